@@ -0,0 +1,1426 @@
+// Built-in zones in the level JSON format (see src/levels/format.js).
+// Each entry is plain JSON: it can be pasted into the level editor or saved
+// as a standalone .json file, and the game loads it through createLevelFromData().
+export const LEVEL_DATA = [
+  {
+    "format": 1,
+    "name": "Green Plains (Day)",
+    "theme": 0,
+    "width": 6200,
+    "height": 900,
+    "spawn": { "x": 80, "y": 220 },
+    "goalX": 6080,
+    "groundY": 300,
+    "coinsPerBox": 1,
+    "solids": [
+      { "x": 0, "y": 300, "w": 980, "h": 600 },
+      { "x": 1160, "y": 300, "w": 5040, "h": 600 },
+      { "x": 320, "y": 250, "w": 120, "h": 20, "oneWay": true },
+      { "x": 520, "y": 220, "w": 140, "h": 20, "oneWay": true },
+      { "x": 760, "y": 260, "w": 120, "h": 20, "oneWay": true },
+      { "x": 1450, "y": 210, "w": 260, "h": 20 },
+      { "x": 1280, "y": 230, "w": 140, "h": 20, "oneWay": true },
+      { "x": 1460, "y": 200, "w": 140, "h": 20, "oneWay": true },
+      { "x": 1640, "y": 170, "w": 140, "h": 20, "oneWay": true },
+      { "x": 1820, "y": 140, "w": 140, "h": 20, "oneWay": true },
+      { "x": 1420, "y": 40, "w": 160, "h": 20, "oneWay": true },
+      { "x": 1680, "y": 0, "w": 160, "h": 20, "oneWay": true },
+      { "x": 1940, "y": 40, "w": 160, "h": 20, "oneWay": true },
+      { "x": 5080, "y": 220, "w": 160, "h": 80 }
+    ],
+    "terrain": [
+      {
+        "points": [
+          { "x": 2800, "y": 300 },
+          { "x": 2840, "y": 296 },
+          { "x": 2880, "y": 285 },
+          { "x": 2920, "y": 269 },
+          { "x": 2960, "y": 250 },
+          { "x": 3000, "y": 232 },
+          { "x": 3040, "y": 219 },
+          { "x": 3080, "y": 211 },
+          { "x": 3120, "y": 211 },
+          { "x": 3160, "y": 219 },
+          { "x": 3200, "y": 232 },
+          { "x": 3240, "y": 250 },
+          { "x": 3280, "y": 269 },
+          { "x": 3320, "y": 285 },
+          { "x": 3360, "y": 296 },
+          { "x": 3400, "y": 300 }
+        ]
+      },
+      {
+        "points": [
+          { "x": 3800, "y": 300 },
+          { "x": 3900, "y": 290 },
+          { "x": 4000, "y": 265 },
+          { "x": 4100, "y": 230 },
+          { "x": 4300, "y": 220 }
+        ]
+      }
+    ],
+    "curves": [
+      { "kind": "loop", "x": 4700, "y": 300, "r": 96, "dir": "right" },
+      { "kind": "quarter-pipe", "x": 5000, "y": 300, "r": 80, "dir": "right" }
+    ],
+    "breakables": [
+      { "x": 2600, "y": 220, "w": 32, "h": 80 }
+    ],
+    "hazards": [
+      { "kind": "spikes", "x": 3540, "y": 284, "w": 64, "h": 16, "dir": "up" },
+      { "kind": "spikes", "x": 4460, "y": 284, "w": 32, "h": 16, "dir": "up", "retract": 2 }
+    ],
+    "checkpoints": [
+      { "x": 2440, "y": 300 },
+      { "x": 3740, "y": 300 }
+    ],
+    "springs": [
+      { "x": 340, "y": 250, "dir": "up" },
+      { "x": 800, "y": 260, "dir": "up" },
+      { "x": 1480, "y": 210, "dir": "diag-right" },
+      { "x": 1560, "y": 280, "dir": "up" },
+      { "x": 1940, "y": 220, "dir": "diag-left" },
+      { "x": 2280, "y": 180, "dir": "up" },
+      { "x": 5400, "y": 260, "dir": "diag-right" }
+    ],
+    "boxes": [
+      { "x": 380, "y": 170, "type": "coin" },
+      { "x": 440, "y": 170, "type": "coin" },
+      { "x": 500, "y": 170, "type": "coin" },
+      { "x": 560, "y": 140, "type": "coin" },
+      { "x": 620, "y": 140, "type": "power_green" },
+      { "x": 680, "y": 140, "type": "coin" },
+      { "x": 740, "y": 180, "type": "growth" },
+      { "x": 800, "y": 180, "type": "coin" },
+      { "x": 1100, "y": 220, "type": "coin" },
+      { "x": 1680, "y": 200, "type": "coin" },
+      { "x": 1760, "y": 200, "type": "power_blue" },
+      { "x": 1840, "y": 200, "type": "coin" },
+      { "x": 2000, "y": 120, "type": "coin" },
+      { "x": 2060, "y": 120, "type": "growth" },
+      { "x": 2120, "y": 120, "type": "coin" },
+      { "x": 2240, "y": 80, "type": "power_green" },
+      { "x": 2300, "y": 80, "type": "coin" },
+      { "x": 1284, "y": 150, "type": "coin" },
+      { "x": 1354, "y": 120, "type": "coin" },
+      { "x": 1424, "y": 90, "type": "coin" },
+      { "x": 1494, "y": 60, "type": "coin" },
+      { "x": 1564, "y": 30, "type": "coin" },
+      { "x": 1634, "y": 0, "type": "coin" },
+      { "x": 1704, "y": -30, "type": "coin" },
+      { "x": 1774, "y": -60, "type": "coin" },
+      { "x": 1404, "y": -40, "type": "coin" },
+      { "x": 1624, "y": -80, "type": "coin" },
+      { "x": 1844, "y": -40, "type": "coin" },
+      { "x": 2064, "y": -80, "type": "coin" },
+      { "x": 2284, "y": -40, "type": "coin" },
+      { "x": 2504, "y": -80, "type": "coin" }
+    ],
+    "coins": [
+      { "x": 120, "y": 290 },
+      { "x": 175, "y": 290 },
+      { "x": 230, "y": 290 },
+      { "x": 285, "y": 290 },
+      { "x": 340, "y": 290 },
+      { "x": 395, "y": 290 },
+      { "x": 450, "y": 290 },
+      { "x": 505, "y": 290 },
+      { "x": 560, "y": 290 },
+      { "x": 615, "y": 290 },
+      { "x": 670, "y": 290 },
+      { "x": 725, "y": 290 },
+      { "x": 780, "y": 290 },
+      { "x": 835, "y": 290 },
+      { "x": 1240, "y": 290 },
+      { "x": 1300, "y": 290 },
+      { "x": 1360, "y": 290 },
+      { "x": 1420, "y": 290 },
+      { "x": 1480, "y": 290 },
+      { "x": 1540, "y": 290 },
+      { "x": 1600, "y": 290 },
+      { "x": 1660, "y": 290 },
+      { "x": 1720, "y": 290 },
+      { "x": 1780, "y": 290 },
+      { "x": 1840, "y": 290 },
+      { "x": 1900, "y": 290 }
+    ],
+    "magnets": [
+      { "x": 420, "y": 288 },
+      { "x": 1510, "y": 288 },
+      { "x": 1910, "y": 288 }
+    ],
+    "enemies": [
+      { "kind": "ground", "x": 520, "y": 300, "range": 90, "speed": 0.55, "hp": 2 },
+      { "kind": "bird", "x": 900, "y": 200, "range": 140, "speed": 0.8, "amp": 20, "hp": 1 },
+      { "kind": "bird", "x": 1320, "y": 190, "range": 140, "speed": 0.8, "amp": 30, "hp": 1 },
+      { "kind": "ground", "x": 1820, "y": 300, "range": 140, "speed": 0.75, "hp": 2 },
+      { "kind": "ground", "x": 5650, "y": 300, "range": 160, "speed": 0.85, "hp": 2 }
+    ],
+    "boss": { "x": 5940, "y": 300, "maxHp": 10, "range": 200, "attackInterval": 2.5 },
+    "tasks": [
+      { "id": "L0_coins", "type": "coins", "target": 8, "mandatory": true, "description": "Collect gold coins" },
+      { "id": "L0_fly", "type": "flyingEnemies", "target": -1, "mandatory": true, "description": "Defeat all flying enemies" }
+    ]
+  },
+  {
+    "format": 1,
+    "name": "Haunted Hills (Night)",
+    "theme": 1,
+    "width": 6720,
+    "height": 900,
+    "spawn": { "x": 80, "y": 220 },
+    "goalX": 6600,
+    "groundY": 310,
+    "coinsPerBox": 2,
+    "solids": [
+      { "x": 0, "y": 310, "w": 1010, "h": 600 },
+      { "x": 1230, "y": 310, "w": 5490, "h": 600 },
+      { "x": 320, "y": 240, "w": 120, "h": 20, "oneWay": true },
+      { "x": 520, "y": 210, "w": 140, "h": 20, "oneWay": true },
+      { "x": 760, "y": 250, "w": 120, "h": 20, "oneWay": true },
+      { "x": 1450, "y": 200, "w": 260, "h": 20, "oneWay": true },
+      { "x": 1610, "y": 310, "w": 200, "h": 600 },
+      { "x": 1990, "y": 310, "w": 200, "h": 600 },
+      { "x": 2250, "y": 310, "w": 200, "h": 600 },
+      { "x": 1490, "y": 230, "w": 130, "h": 20, "oneWay": true },
+      { "x": 1700, "y": 240, "w": 130, "h": 20, "oneWay": true },
+      { "x": 1910, "y": 210, "w": 130, "h": 20, "oneWay": true },
+      { "x": 2120, "y": 260, "w": 130, "h": 20, "oneWay": true },
+      { "x": 2330, "y": 190, "w": 130, "h": 20, "oneWay": true },
+      { "x": 2540, "y": 280, "w": 130, "h": 20, "oneWay": true },
+      { "x": 2750, "y": 170, "w": 130, "h": 20, "oneWay": true }
+    ],
+    "checkpoints": [
+      { "x": 2680, "y": 310 },
+      { "x": 4620, "y": 310 }
+    ],
+    "springs": [
+      { "x": 340, "y": 240, "dir": "up" },
+      { "x": 800, "y": 250, "dir": "up" },
+      { "x": 1480, "y": 200, "dir": "diag-right" },
+      { "x": 1710, "y": 290, "dir": "up" },
+      { "x": 2090, "y": 230, "dir": "diag-left" },
+      { "x": 2430, "y": 190, "dir": "up" },
+      { "x": 5920, "y": 270, "dir": "diag-right" }
+    ],
+    "boxes": [
+      { "x": 380, "y": 160, "type": "coin" },
+      { "x": 440, "y": 160, "type": "coin" },
+      { "x": 500, "y": 160, "type": "coin" },
+      { "x": 560, "y": 130, "type": "coin" },
+      { "x": 620, "y": 130, "type": "power_green" },
+      { "x": 680, "y": 130, "type": "coin" },
+      { "x": 740, "y": 170, "type": "growth" },
+      { "x": 800, "y": 170, "type": "coin" },
+      { "x": 1160, "y": 230, "type": "coin" },
+      { "x": 1830, "y": 210, "type": "coin" },
+      { "x": 1910, "y": 210, "type": "power_blue" },
+      { "x": 1990, "y": 210, "type": "coin" },
+      { "x": 2150, "y": 130, "type": "coin" },
+      { "x": 2210, "y": 130, "type": "growth" },
+      { "x": 2270, "y": 130, "type": "coin" },
+      { "x": 2390, "y": 90, "type": "power_green" },
+      { "x": 2450, "y": 90, "type": "coin" },
+      { "x": 1514, "y": 150, "type": "coin" },
+      { "x": 1724, "y": 160, "type": "coin" },
+      { "x": 1934, "y": 130, "type": "coin" },
+      { "x": 2144, "y": 180, "type": "coin" },
+      { "x": 2354, "y": 110, "type": "coin" },
+      { "x": 2564, "y": 200, "type": "coin" },
+      { "x": 2774, "y": 90, "type": "coin" }
+    ],
+    "coins": [
+      { "x": 125, "y": 300 },
+      { "x": 180, "y": 300 },
+      { "x": 235, "y": 300 },
+      { "x": 290, "y": 300 },
+      { "x": 345, "y": 300 },
+      { "x": 400, "y": 300 },
+      { "x": 455, "y": 300 },
+      { "x": 510, "y": 300 },
+      { "x": 565, "y": 300 },
+      { "x": 620, "y": 300 },
+      { "x": 675, "y": 300 },
+      { "x": 730, "y": 300 },
+      { "x": 785, "y": 300 },
+      { "x": 840, "y": 300 },
+      { "x": 1318, "y": 300 },
+      { "x": 1378, "y": 300 },
+      { "x": 1438, "y": 300 },
+      { "x": 1498, "y": 300 },
+      { "x": 1558, "y": 300 },
+      { "x": 1618, "y": 300 },
+      { "x": 1678, "y": 300 },
+      { "x": 1738, "y": 300 },
+      { "x": 1798, "y": 300 },
+      { "x": 1858, "y": 300 },
+      { "x": 1918, "y": 300 },
+      { "x": 1978, "y": 300 }
+    ],
+    "magnets": [
+      { "x": 420, "y": 298 },
+      { "x": 1620, "y": 298 },
+      { "x": 2060, "y": 298 }
+    ],
+    "enemies": [
+      { "kind": "ground", "x": 560, "y": 310, "range": 90, "speed": 0.57, "hp": 2 },
+      { "kind": "bird", "x": 1160, "y": 180, "range": 152, "speed": 0.83, "amp": 20, "hp": 1 },
+      { "kind": "bird", "x": 1580, "y": 170, "range": 152, "speed": 0.83, "amp": 30, "hp": 1 },
+      { "kind": "ground", "x": 1750, "y": 310, "range": 132, "speed": 0.83, "hp": 2 },
+      { "kind": "ground", "x": 2270, "y": 270, "range": 150, "speed": 0.88, "hp": 1 }
+    ],
+    "boss": { "x": 6460, "y": 310, "maxHp": 14, "range": 210, "attackInterval": 2.4 },
+    "tasks": [
+      { "id": "L1_coins", "type": "coins", "target": 10, "mandatory": true, "description": "Collect gold coins" },
+      { "id": "L1_fly", "type": "flyingEnemies", "target": -1, "mandatory": true, "description": "Defeat all flying enemies" },
+      { "id": "L1_spring", "type": "springsUsed", "target": 2, "mandatory": false, "description": "Use spring jumps" }
+    ]
+  },
+  {
+    "format": 1,
+    "name": "Forest Grove",
+    "theme": 2,
+    "width": 7240,
+    "height": 900,
+    "spawn": { "x": 80, "y": 220 },
+    "goalX": 7120,
+    "groundY": 320,
+    "coinsPerBox": 3,
+    "solids": [
+      { "x": 0, "y": 320, "w": 1040, "h": 600 },
+      { "x": 1300, "y": 320, "w": 5940, "h": 600 },
+      { "x": 320, "y": 230, "w": 120, "h": 20, "oneWay": true },
+      { "x": 520, "y": 200, "w": 140, "h": 20, "oneWay": true },
+      { "x": 760, "y": 240, "w": 120, "h": 20, "oneWay": true },
+      { "x": 1450, "y": 190, "w": 260, "h": 20, "oneWay": true },
+      { "x": 1520, "y": 240, "w": 80, "h": 680 },
+      { "x": 1840, "y": 230, "w": 80, "h": 680 },
+      { "x": 2160, "y": 220, "w": 80, "h": 680 },
+      { "x": 2480, "y": 210, "w": 80, "h": 680 },
+      { "x": 2800, "y": 200, "w": 80, "h": 680 },
+      { "x": 1600, "y": 140, "w": 90, "h": 18, "oneWay": true },
+      { "x": 1760, "y": 100, "w": 90, "h": 18, "oneWay": true },
+      { "x": 1920, "y": 60, "w": 90, "h": 18, "oneWay": true },
+      { "x": 2080, "y": 140, "w": 90, "h": 18, "oneWay": true },
+      { "x": 2240, "y": 100, "w": 90, "h": 18, "oneWay": true },
+      { "x": 2400, "y": 60, "w": 90, "h": 18, "oneWay": true },
+      { "x": 2560, "y": 140, "w": 90, "h": 18, "oneWay": true },
+      { "x": 2720, "y": 100, "w": 90, "h": 18, "oneWay": true },
+      { "x": 2880, "y": 60, "w": 90, "h": 18, "oneWay": true },
+      { "x": 3040, "y": 140, "w": 90, "h": 18, "oneWay": true },
+      { "x": 3200, "y": 100, "w": 90, "h": 18, "oneWay": true },
+      { "x": 3360, "y": 60, "w": 90, "h": 18, "oneWay": true }
+    ],
+    "checkpoints": [
+      { "x": 2840, "y": 200 },
+      { "x": 4980, "y": 320 }
+    ],
+    "springs": [
+      { "x": 340, "y": 230, "dir": "up" },
+      { "x": 800, "y": 240, "dir": "up" },
+      { "x": 1480, "y": 190, "dir": "diag-right" },
+      { "x": 1860, "y": 300, "dir": "up" },
+      { "x": 2240, "y": 240, "dir": "diag-left" },
+      { "x": 2580, "y": 200, "dir": "up" },
+      { "x": 6440, "y": 280, "dir": "diag-right" }
+    ],
+    "boxes": [
+      { "x": 380, "y": 150, "type": "coin" },
+      { "x": 440, "y": 150, "type": "coin" },
+      { "x": 500, "y": 150, "type": "coin" },
+      { "x": 560, "y": 120, "type": "coin" },
+      { "x": 620, "y": 120, "type": "power_green" },
+      { "x": 680, "y": 120, "type": "coin" },
+      { "x": 740, "y": 160, "type": "growth" },
+      { "x": 800, "y": 160, "type": "coin" },
+      { "x": 1220, "y": 240, "type": "coin" },
+      { "x": 1980, "y": 220, "type": "coin" },
+      { "x": 2060, "y": 220, "type": "power_blue" },
+      { "x": 2140, "y": 220, "type": "coin" },
+      { "x": 2300, "y": 140, "type": "coin" },
+      { "x": 2360, "y": 140, "type": "growth" },
+      { "x": 2420, "y": 140, "type": "coin" },
+      { "x": 2540, "y": 100, "type": "power_green" },
+      { "x": 2600, "y": 100, "type": "coin" },
+      { "x": 1614, "y": 60, "type": "coin" },
+      { "x": 1774, "y": 20, "type": "coin" },
+      { "x": 1934, "y": -20, "type": "coin" },
+      { "x": 2094, "y": 60, "type": "coin" },
+      { "x": 2254, "y": 20, "type": "coin" },
+      { "x": 2414, "y": -20, "type": "coin" },
+      { "x": 2574, "y": 60, "type": "coin" },
+      { "x": 2734, "y": 20, "type": "coin" },
+      { "x": 2894, "y": -20, "type": "coin" },
+      { "x": 3054, "y": 60, "type": "coin" },
+      { "x": 3214, "y": 20, "type": "coin" },
+      { "x": 3374, "y": -20, "type": "coin" }
+    ],
+    "coins": [
+      { "x": 130, "y": 310 },
+      { "x": 185, "y": 310 },
+      { "x": 240, "y": 310 },
+      { "x": 295, "y": 310 },
+      { "x": 350, "y": 310 },
+      { "x": 405, "y": 310 },
+      { "x": 460, "y": 310 },
+      { "x": 515, "y": 310 },
+      { "x": 570, "y": 310 },
+      { "x": 625, "y": 310 },
+      { "x": 680, "y": 310 },
+      { "x": 735, "y": 310 },
+      { "x": 790, "y": 310 },
+      { "x": 845, "y": 310 },
+      { "x": 1380, "y": 310 },
+      { "x": 1440, "y": 310 },
+      { "x": 1500, "y": 310 },
+      { "x": 1560, "y": 310 },
+      { "x": 1620, "y": 310 },
+      { "x": 1680, "y": 310 },
+      { "x": 1740, "y": 310 },
+      { "x": 1800, "y": 310 },
+      { "x": 1860, "y": 310 },
+      { "x": 1920, "y": 310 },
+      { "x": 1980, "y": 310 },
+      { "x": 2040, "y": 310 }
+    ],
+    "magnets": [
+      { "x": 420, "y": 308 },
+      { "x": 1730, "y": 308 },
+      { "x": 2210, "y": 308 }
+    ],
+    "enemies": [
+      { "kind": "ground", "x": 600, "y": 320, "range": 90, "speed": 0.59, "hp": 2 },
+      { "kind": "ground", "x": 860, "y": 320, "range": 110, "speed": 0.59, "hp": 1 },
+      { "kind": "bird", "x": 1420, "y": 160, "range": 164, "speed": 0.86, "amp": 20, "hp": 1 },
+      { "kind": "bird", "x": 1840, "y": 150, "range": 164, "speed": 0.86, "amp": 30, "hp": 1 },
+      { "kind": "ground", "x": 1680, "y": 320, "range": 170, "speed": 0.86, "hp": 2 },
+      { "kind": "ground", "x": 2000, "y": 260, "range": 146, "speed": 0.96, "hp": 1 }
+    ],
+    "boss": { "x": 6980, "y": 320, "maxHp": 18, "range": 220, "attackInterval": 2.3 },
+    "tasks": [
+      { "id": "L2_coins", "type": "coins", "target": 12, "mandatory": true, "description": "Collect gold coins" },
+      { "id": "L2_fly", "type": "flyingEnemies", "target": -1, "mandatory": true, "description": "Defeat all flying enemies" },
+      { "id": "L2_spring", "type": "springsUsed", "target": 2, "mandatory": false, "description": "Use spring jumps" },
+      { "id": "L2_both", "type": "bothCoins", "target": 1, "mandatory": false, "description": "Collect green & blue coins" }
+    ]
+  },
+  {
+    "format": 1,
+    "name": "Underwater Ruins",
+    "theme": 3,
+    "width": 7760,
+    "height": 900,
+    "spawn": { "x": 80, "y": 220 },
+    "goalX": 7640,
+    "groundY": 300,
+    "coinsPerBox": 1,
+    "solids": [
+      { "x": 0, "y": 300, "w": 1070, "h": 600 },
+      { "x": 1370, "y": 300, "w": 6390, "h": 600 },
+      { "x": 320, "y": 250, "w": 120, "h": 20, "oneWay": true },
+      { "x": 520, "y": 220, "w": 140, "h": 20, "oneWay": true },
+      { "x": 760, "y": 260, "w": 120, "h": 20, "oneWay": true },
+      { "x": 1450, "y": 210, "w": 260, "h": 20 },
+      { "x": 1630, "y": 300, "w": 180, "h": 600 },
+      { "x": 2050, "y": 300, "w": 180, "h": 600 },
+      { "x": 2470, "y": 300, "w": 180, "h": 600 },
+      { "x": 2890, "y": 300, "w": 180, "h": 600 },
+      { "x": 3310, "y": 300, "w": 180, "h": 600 },
+      { "x": 1630, "y": 10, "w": 150, "h": 20, "oneWay": true },
+      { "x": 1850, "y": 60, "w": 150, "h": 20, "oneWay": true },
+      { "x": 2070, "y": 10, "w": 150, "h": 20, "oneWay": true },
+      { "x": 2290, "y": 60, "w": 150, "h": 20, "oneWay": true },
+      { "x": 2510, "y": 10, "w": 150, "h": 20, "oneWay": true },
+      { "x": 2730, "y": 60, "w": 150, "h": 20, "oneWay": true },
+      { "x": 2950, "y": 10, "w": 150, "h": 20, "oneWay": true },
+      { "x": 3170, "y": 60, "w": 150, "h": 20, "oneWay": true },
+      { "x": 3390, "y": 10, "w": 150, "h": 20, "oneWay": true }
+    ],
+    "hazards": [
+      { "kind": "spikes", "x": 4800, "y": 284, "w": 64, "h": 16, "dir": "up" },
+      { "kind": "spikes", "x": 5600, "y": 284, "w": 64, "h": 16, "dir": "up" }
+    ],
+    "water": [{ "x": 3800, "y": 180, "w": 2600, "h": 720 }],
+    "bubbles": [
+      { "x": 4400, "y": 300, "period": 3 },
+      { "x": 5200, "y": 300, "period": 3 },
+      { "x": 6000, "y": 300, "period": 3 }
+    ],
+    "checkpoints": [
+      { "x": 3060, "y": 300 }
+    ],
+    "springs": [
+      { "x": 340, "y": 250, "dir": "up" },
+      { "x": 800, "y": 260, "dir": "up" },
+      { "x": 1480, "y": 210, "dir": "diag-right" },
+      { "x": 2010, "y": 280, "dir": "up" },
+      { "x": 2390, "y": 220, "dir": "diag-left" },
+      { "x": 2730, "y": 180, "dir": "up" },
+      { "x": 6960, "y": 260, "dir": "diag-right" }
+    ],
+    "boxes": [
+      { "x": 380, "y": 170, "type": "coin" },
+      { "x": 440, "y": 170, "type": "coin" },
+      { "x": 500, "y": 170, "type": "coin" },
+      { "x": 560, "y": 140, "type": "coin" },
+      { "x": 620, "y": 140, "type": "power_green" },
+      { "x": 680, "y": 140, "type": "coin" },
+      { "x": 740, "y": 180, "type": "growth" },
+      { "x": 800, "y": 180, "type": "coin" },
+      { "x": 1280, "y": 220, "type": "coin" },
+      { "x": 2130, "y": 200, "type": "coin" },
+      { "x": 2210, "y": 200, "type": "power_blue" },
+      { "x": 2290, "y": 200, "type": "coin" },
+      { "x": 2450, "y": 120, "type": "coin" },
+      { "x": 2510, "y": 120, "type": "growth" },
+      { "x": 2570, "y": 120, "type": "coin" },
+      { "x": 2690, "y": 80, "type": "power_green" },
+      { "x": 2750, "y": 80, "type": "coin" },
+      { "x": 1664, "y": -70, "type": "coin" },
+      { "x": 1884, "y": -20, "type": "coin" },
+      { "x": 2104, "y": -70, "type": "coin" },
+      { "x": 2324, "y": -20, "type": "coin" },
+      { "x": 2544, "y": -70, "type": "coin" },
+      { "x": 2764, "y": -20, "type": "coin" },
+      { "x": 2984, "y": -70, "type": "coin" },
+      { "x": 3204, "y": -20, "type": "coin" },
+      { "x": 3424, "y": -70, "type": "coin" }
+    ],
+    "coins": [
+      { "x": 120, "y": 290 },
+      { "x": 175, "y": 290 },
+      { "x": 230, "y": 290 },
+      { "x": 285, "y": 290 },
+      { "x": 340, "y": 290 },
+      { "x": 395, "y": 290 },
+      { "x": 450, "y": 290 },
+      { "x": 505, "y": 290 },
+      { "x": 560, "y": 290 },
+      { "x": 615, "y": 290 },
+      { "x": 670, "y": 290 },
+      { "x": 725, "y": 290 },
+      { "x": 780, "y": 290 },
+      { "x": 835, "y": 290 },
+      { "x": 1458, "y": 290 },
+      { "x": 1518, "y": 290 },
+      { "x": 1578, "y": 290 },
+      { "x": 1638, "y": 290 },
+      { "x": 1698, "y": 290 },
+      { "x": 1758, "y": 290 },
+      { "x": 1818, "y": 290 },
+      { "x": 1878, "y": 290 },
+      { "x": 1938, "y": 290 },
+      { "x": 1998, "y": 290 },
+      { "x": 2058, "y": 290 },
+      { "x": 2118, "y": 290 }
+    ],
+    "magnets": [
+      { "x": 420, "y": 288 },
+      { "x": 1840, "y": 288 },
+      { "x": 2360, "y": 288 },
+      { "x": 6560, "y": 288 }
+    ],
+    "enemies": [
+      { "kind": "ground", "x": 520, "y": 300, "range": 90, "speed": 0.61, "hp": 2 },
+      { "kind": "ground", "x": 780, "y": 300, "range": 110, "speed": 0.61, "hp": 1 },
+      { "kind": "bird", "x": 1680, "y": 200, "range": 176, "speed": 0.89, "amp": 20, "hp": 1 },
+      { "kind": "bird", "x": 2100, "y": 190, "range": 176, "speed": 0.89, "amp": 30, "hp": 1 },
+      { "kind": "bird", "x": 2520, "y": 180, "range": 176, "speed": 0.89, "amp": 20, "hp": 1 },
+      { "kind": "ground", "x": 1890, "y": 260, "range": 180, "speed": 0.94, "hp": 2 },
+      { "kind": "ground", "x": 7140, "y": 220, "range": 214, "speed": 1.04, "hp": 1 }
+    ],
+    "boss": { "x": 7500, "y": 300, "maxHp": 22, "range": 230, "attackInterval": 2.2 },
+    "tasks": [
+      { "id": "L3_coins", "type": "coins", "target": 14, "mandatory": true, "description": "Collect gold coins" },
+      { "id": "L3_fly", "type": "flyingEnemies", "target": -1, "mandatory": true, "description": "Defeat all flying enemies" }
+    ]
+  },
+  {
+    "format": 1,
+    "name": "Desert Dunes",
+    "theme": 4,
+    "width": 8280,
+    "height": 900,
+    "spawn": { "x": 80, "y": 220 },
+    "goalX": 8160,
+    "groundY": 310,
+    "coinsPerBox": 2,
+    "solids": [
+      { "x": 0, "y": 310, "w": 1100, "h": 600 },
+      { "x": 1280, "y": 310, "w": 7000, "h": 600 },
+      { "x": 320, "y": 240, "w": 120, "h": 20, "oneWay": true },
+      { "x": 520, "y": 210, "w": 140, "h": 20, "oneWay": true },
+      { "x": 760, "y": 250, "w": 120, "h": 20, "oneWay": true },
+      { "x": 1450, "y": 200, "w": 260, "h": 20, "oneWay": true },
+      { "x": 1400, "y": 240, "w": 140, "h": 20, "oneWay": true },
+      { "x": 1580, "y": 210, "w": 140, "h": 20, "oneWay": true },
+      { "x": 1760, "y": 180, "w": 140, "h": 20, "oneWay": true },
+      { "x": 1940, "y": 150, "w": 140, "h": 20, "oneWay": true },
+      { "x": 2120, "y": 120, "w": 140, "h": 20, "oneWay": true },
+      { "x": 2300, "y": 90, "w": 140, "h": 20, "oneWay": true },
+      { "x": 2480, "y": 60, "w": 140, "h": 20, "oneWay": true },
+      { "x": 2660, "y": 30, "w": 140, "h": 20, "oneWay": true },
+      { "x": 1700, "y": 50, "w": 160, "h": 20, "oneWay": true },
+      { "x": 1960, "y": 10, "w": 160, "h": 20, "oneWay": true },
+      { "x": 2220, "y": 50, "w": 160, "h": 20, "oneWay": true },
+      { "x": 2480, "y": 10, "w": 160, "h": 20, "oneWay": true },
+      { "x": 2740, "y": 50, "w": 160, "h": 20, "oneWay": true }
+    ],
+    "checkpoints": [
+      { "x": 3260, "y": 310 },
+      { "x": 5720, "y": 310 }
+    ],
+    "springs": [
+      { "x": 340, "y": 240, "dir": "up" },
+      { "x": 800, "y": 250, "dir": "up" },
+      { "x": 1480, "y": 200, "dir": "diag-right" },
+      { "x": 2000, "y": 290, "dir": "up" },
+      { "x": 2380, "y": 230, "dir": "diag-left" },
+      { "x": 2720, "y": 190, "dir": "up" },
+      { "x": 7480, "y": 270, "dir": "diag-right" }
+    ],
+    "boxes": [
+      { "x": 380, "y": 160, "type": "coin" },
+      { "x": 440, "y": 160, "type": "coin" },
+      { "x": 500, "y": 160, "type": "coin" },
+      { "x": 560, "y": 130, "type": "coin" },
+      { "x": 620, "y": 130, "type": "power_green" },
+      { "x": 680, "y": 130, "type": "coin" },
+      { "x": 740, "y": 170, "type": "growth" },
+      { "x": 800, "y": 170, "type": "coin" },
+      { "x": 1340, "y": 230, "type": "coin" },
+      { "x": 2120, "y": 210, "type": "coin" },
+      { "x": 2200, "y": 210, "type": "power_blue" },
+      { "x": 2280, "y": 210, "type": "coin" },
+      { "x": 2440, "y": 130, "type": "coin" },
+      { "x": 2500, "y": 130, "type": "growth" },
+      { "x": 2560, "y": 130, "type": "coin" },
+      { "x": 2680, "y": 90, "type": "power_green" },
+      { "x": 2740, "y": 90, "type": "coin" },
+      { "x": 1404, "y": 160, "type": "coin" },
+      { "x": 1474, "y": 130, "type": "coin" },
+      { "x": 1544, "y": 100, "type": "coin" },
+      { "x": 1614, "y": 70, "type": "coin" },
+      { "x": 1684, "y": 40, "type": "coin" },
+      { "x": 1754, "y": 10, "type": "coin" },
+      { "x": 1824, "y": -20, "type": "coin" },
+      { "x": 1894, "y": -50, "type": "coin" },
+      { "x": 1964, "y": -80, "type": "coin" },
+      { "x": 2034, "y": -110, "type": "coin" },
+      { "x": 2104, "y": -140, "type": "coin" },
+      { "x": 2174, "y": -170, "type": "coin" },
+      { "x": 1644, "y": -30, "type": "coin" },
+      { "x": 1864, "y": -70, "type": "coin" },
+      { "x": 2084, "y": -30, "type": "coin" },
+      { "x": 2304, "y": -70, "type": "coin" },
+      { "x": 2524, "y": -30, "type": "coin" },
+      { "x": 2744, "y": -70, "type": "coin" },
+      { "x": 2964, "y": -30, "type": "coin" },
+      { "x": 3184, "y": -70, "type": "coin" }
+    ],
+    "coins": [
+      { "x": 125, "y": 300 },
+      { "x": 180, "y": 300 },
+      { "x": 235, "y": 300 },
+      { "x": 290, "y": 300 },
+      { "x": 345, "y": 300 },
+      { "x": 400, "y": 300 },
+      { "x": 455, "y": 300 },
+      { "x": 510, "y": 300 },
+      { "x": 565, "y": 300 },
+      { "x": 620, "y": 300 },
+      { "x": 675, "y": 300 },
+      { "x": 730, "y": 300 },
+      { "x": 785, "y": 300 },
+      { "x": 840, "y": 300 },
+      { "x": 1360, "y": 300 },
+      { "x": 1420, "y": 300 },
+      { "x": 1480, "y": 300 },
+      { "x": 1540, "y": 300 },
+      { "x": 1600, "y": 300 },
+      { "x": 1660, "y": 300 },
+      { "x": 1720, "y": 300 },
+      { "x": 1780, "y": 300 },
+      { "x": 1840, "y": 300 },
+      { "x": 1900, "y": 300 },
+      { "x": 1960, "y": 300 },
+      { "x": 2020, "y": 300 }
+    ],
+    "magnets": [
+      { "x": 420, "y": 298 },
+      { "x": 1790, "y": 298 },
+      { "x": 2350, "y": 298 },
+      { "x": 7080, "y": 298 }
+    ],
+    "enemies": [
+      { "kind": "ground", "x": 560, "y": 310, "range": 90, "speed": 0.63, "hp": 2 },
+      { "kind": "ground", "x": 820, "y": 310, "range": 110, "speed": 0.63, "hp": 1 },
+      { "kind": "ground", "x": 1080, "y": 310, "range": 130, "speed": 0.63, "hp": 2 },
+      { "kind": "bird", "x": 1940, "y": 180, "range": 188, "speed": 0.92, "amp": 20, "hp": 1 },
+      { "kind": "bird", "x": 2360, "y": 170, "range": 188, "speed": 0.92, "amp": 30, "hp": 1 },
+      { "kind": "bird", "x": 2780, "y": 160, "range": 188, "speed": 0.92, "amp": 20, "hp": 1 },
+      { "kind": "ground", "x": 2100, "y": 310, "range": 180, "speed": 0.87, "hp": 2 },
+      { "kind": "ground", "x": 7730, "y": 310, "range": 192, "speed": 0.99, "hp": 2 }
+    ],
+    "boss": { "x": 8020, "y": 310, "maxHp": 26, "range": 240, "attackInterval": 2.1 },
+    "tasks": [
+      { "id": "L4_coins", "type": "coins", "target": 16, "mandatory": true, "description": "Collect gold coins" },
+      { "id": "L4_fly", "type": "flyingEnemies", "target": -1, "mandatory": true, "description": "Defeat all flying enemies" },
+      { "id": "L4_spring", "type": "springsUsed", "target": 3, "mandatory": false, "description": "Use spring jumps" }
+    ]
+  },
+  {
+    "format": 1,
+    "name": "Sky Islands",
+    "theme": 5,
+    "width": 8800,
+    "height": 900,
+    "spawn": { "x": 80, "y": 220 },
+    "goalX": 8680,
+    "groundY": 320,
+    "coinsPerBox": 3,
+    "solids": [
+      { "x": 0, "y": 320, "w": 980, "h": 600 },
+      { "x": 1200, "y": 320, "w": 7600, "h": 600 },
+      { "x": 320, "y": 230, "w": 120, "h": 20, "oneWay": true },
+      { "x": 520, "y": 200, "w": 140, "h": 20, "oneWay": true },
+      { "x": 760, "y": 240, "w": 120, "h": 20, "oneWay": true },
+      { "x": 1450, "y": 190, "w": 260, "h": 20, "oneWay": true },
+      { "x": 1580, "y": 320, "w": 200, "h": 600 },
+      { "x": 1960, "y": 320, "w": 200, "h": 600 },
+      { "x": 2220, "y": 320, "w": 200, "h": 600 },
+      { "x": 2600, "y": 320, "w": 200, "h": 600 },
+      { "x": 2860, "y": 320, "w": 200, "h": 600 },
+      { "x": 1460, "y": 240, "w": 130, "h": 20, "oneWay": true },
+      { "x": 1670, "y": 250, "w": 130, "h": 20, "oneWay": true },
+      { "x": 1880, "y": 220, "w": 130, "h": 20, "oneWay": true },
+      { "x": 2090, "y": 270, "w": 130, "h": 20, "oneWay": true },
+      { "x": 2300, "y": 200, "w": 130, "h": 20, "oneWay": true },
+      { "x": 2510, "y": 290, "w": 130, "h": 20, "oneWay": true },
+      { "x": 2720, "y": 180, "w": 130, "h": 20, "oneWay": true },
+      { "x": 2930, "y": 310, "w": 130, "h": 20, "oneWay": true },
+      { "x": 3140, "y": 160, "w": 130, "h": 20, "oneWay": true },
+      { "x": 3350, "y": 330, "w": 130, "h": 20, "oneWay": true },
+      { "x": 3560, "y": 140, "w": 130, "h": 20, "oneWay": true }
+    ],
+    "platforms": [
+      { "x": 4200, "y": 230, "w": 120, "h": 16, "path": "linear", "dx": 320, "dy": 0, "period": 4, "oneWay": true },
+      { "x": 5000, "y": 200, "w": 110, "h": 16, "path": "circle", "r": 70, "period": 5, "oneWay": true },
+      { "x": 5500, "y": 304, "w": 120, "h": 16, "path": "linear", "dx": 0, "dy": -220, "period": 6, "trigger": "touch", "oneWay": true }
+    ],
+    "crumbles": [
+      { "x": 6200, "y": 260, "w": 64, "h": 16, "delay": 0.5, "respawn": 5 },
+      { "x": 6340, "y": 220, "w": 64, "h": 16, "delay": 0.5, "respawn": 5 },
+      { "x": 6480, "y": 180, "w": 64, "h": 16, "delay": 0.5, "respawn": 5 },
+      { "x": 6620, "y": 140, "w": 64, "h": 16, "delay": 0.4, "respawn": 5 }
+    ],
+    "checkpoints": [
+      { "x": 3480, "y": 320 },
+      { "x": 6080, "y": 320 }
+    ],
+    "springs": [
+      { "x": 340, "y": 230, "dir": "up" },
+      { "x": 800, "y": 240, "dir": "up" },
+      { "x": 1480, "y": 190, "dir": "diag-right" },
+      { "x": 2000, "y": 300, "dir": "up" },
+      { "x": 2380, "y": 240, "dir": "diag-left" },
+      { "x": 2720, "y": 200, "dir": "up" },
+      { "x": 8000, "y": 280, "dir": "diag-right" }
+    ],
+    "boxes": [
+      { "x": 380, "y": 150, "type": "coin" },
+      { "x": 440, "y": 150, "type": "coin" },
+      { "x": 500, "y": 150, "type": "coin" },
+      { "x": 560, "y": 120, "type": "coin" },
+      { "x": 620, "y": 120, "type": "power_green" },
+      { "x": 680, "y": 120, "type": "coin" },
+      { "x": 740, "y": 160, "type": "growth" },
+      { "x": 800, "y": 160, "type": "coin" },
+      { "x": 1400, "y": 240, "type": "coin" },
+      { "x": 2120, "y": 220, "type": "coin" },
+      { "x": 2200, "y": 220, "type": "power_blue" },
+      { "x": 2280, "y": 220, "type": "coin" },
+      { "x": 2440, "y": 140, "type": "coin" },
+      { "x": 2500, "y": 140, "type": "growth" },
+      { "x": 2560, "y": 140, "type": "coin" },
+      { "x": 2680, "y": 100, "type": "power_green" },
+      { "x": 2740, "y": 100, "type": "coin" },
+      { "x": 1484, "y": 160, "type": "coin" },
+      { "x": 1694, "y": 170, "type": "coin" },
+      { "x": 1904, "y": 140, "type": "coin" },
+      { "x": 2114, "y": 190, "type": "coin" },
+      { "x": 2324, "y": 120, "type": "coin" },
+      { "x": 2534, "y": 210, "type": "coin" },
+      { "x": 2744, "y": 100, "type": "coin" },
+      { "x": 2954, "y": 230, "type": "coin" },
+      { "x": 3164, "y": 80, "type": "coin" },
+      { "x": 3374, "y": 250, "type": "coin" },
+      { "x": 3584, "y": 60, "type": "coin" }
+    ],
+    "coins": [
+      { "x": 130, "y": 310 },
+      { "x": 185, "y": 310 },
+      { "x": 240, "y": 310 },
+      { "x": 295, "y": 310 },
+      { "x": 350, "y": 310 },
+      { "x": 405, "y": 310 },
+      { "x": 460, "y": 310 },
+      { "x": 515, "y": 310 },
+      { "x": 570, "y": 310 },
+      { "x": 625, "y": 310 },
+      { "x": 680, "y": 310 },
+      { "x": 735, "y": 310 },
+      { "x": 790, "y": 310 },
+      { "x": 845, "y": 310 },
+      { "x": 1288, "y": 310 },
+      { "x": 1348, "y": 310 },
+      { "x": 1408, "y": 310 },
+      { "x": 1468, "y": 310 },
+      { "x": 1528, "y": 310 },
+      { "x": 1588, "y": 310 },
+      { "x": 1648, "y": 310 },
+      { "x": 1708, "y": 310 },
+      { "x": 1768, "y": 310 },
+      { "x": 1828, "y": 310 },
+      { "x": 1888, "y": 310 },
+      { "x": 1948, "y": 310 },
+      { "x": 4380, "y": 190 },
+      { "x": 4440, "y": 190 },
+      { "x": 4500, "y": 190 },
+      { "x": 4930, "y": 200 },
+      { "x": 5530, "y": 60 },
+      { "x": 5560, "y": 60 },
+      { "x": 5590, "y": 60 },
+      { "x": 6652, "y": 110 },
+      { "x": 6652, "y": 80 }
+    ],
+    "magnets": [
+      { "x": 420, "y": 308 },
+      { "x": 1750, "y": 308 },
+      { "x": 2350, "y": 308 },
+      { "x": 7600, "y": 308 }
+    ],
+    "enemies": [
+      { "kind": "ground", "x": 600, "y": 320, "range": 90, "speed": 0.65, "hp": 2 },
+      { "kind": "ground", "x": 860, "y": 320, "range": 110, "speed": 0.65, "hp": 1 },
+      { "kind": "ground", "x": 1120, "y": 320, "range": 130, "speed": 0.65, "hp": 2 },
+      { "kind": "bird", "x": 2200, "y": 160, "range": 200, "speed": 0.95, "amp": 20, "hp": 1 },
+      { "kind": "bird", "x": 2620, "y": 150, "range": 200, "speed": 0.95, "amp": 30, "hp": 1 },
+      { "kind": "bird", "x": 3040, "y": 140, "range": 200, "speed": 0.95, "amp": 20, "hp": 1 },
+      { "kind": "ground", "x": 1720, "y": 320, "range": 180, "speed": 0.95, "hp": 2 },
+      { "kind": "ground", "x": 2240, "y": 280, "range": 190, "speed": 1, "hp": 1 }
+    ],
+    "boss": { "x": 8540, "y": 320, "maxHp": 30, "range": 250, "attackInterval": 2 },
+    "tasks": [
+      { "id": "L5_coins", "type": "coins", "target": 18, "mandatory": true, "description": "Collect gold coins" },
+      { "id": "L5_fly", "type": "flyingEnemies", "target": -1, "mandatory": false, "description": "Defeat all flying enemies" },
+      { "id": "L5_spring", "type": "springsUsed", "target": 3, "mandatory": false, "description": "Use spring jumps" },
+      { "id": "L5_both", "type": "bothCoins", "target": 1, "mandatory": false, "description": "Collect green & blue coins" }
+    ]
+  },
+  {
+    "format": 1,
+    "name": "Lava Caverns",
+    "theme": 6,
+    "width": 9320,
+    "height": 900,
+    "spawn": { "x": 80, "y": 220 },
+    "goalX": 9200,
+    "groundY": 300,
+    "coinsPerBox": 1,
+    "solids": [
+      { "x": 0, "y": 300, "w": 1010, "h": 600 },
+      { "x": 1270, "y": 300, "w": 8050, "h": 600 },
+      { "x": 320, "y": 250, "w": 120, "h": 20, "oneWay": true },
+      { "x": 520, "y": 220, "w": 140, "h": 20, "oneWay": true },
+      { "x": 760, "y": 260, "w": 120, "h": 20, "oneWay": true },
+      { "x": 1450, "y": 210, "w": 260, "h": 20 },
+      { "x": 1490, "y": 220, "w": 80, "h": 680 },
+      { "x": 1810, "y": 210, "w": 80, "h": 680 },
+      { "x": 2130, "y": 200, "w": 80, "h": 680 },
+      { "x": 2450, "y": 190, "w": 80, "h": 680 },
+      { "x": 2770, "y": 180, "w": 80, "h": 680 },
+      { "x": 3090, "y": 170, "w": 80, "h": 680 },
+      { "x": 3410, "y": 160, "w": 80, "h": 680 },
+      { "x": 1570, "y": 120, "w": 90, "h": 18, "oneWay": true },
+      { "x": 1730, "y": 80, "w": 90, "h": 18, "oneWay": true },
+      { "x": 1890, "y": 40, "w": 90, "h": 18, "oneWay": true },
+      { "x": 2050, "y": 120, "w": 90, "h": 18, "oneWay": true },
+      { "x": 2210, "y": 80, "w": 90, "h": 18, "oneWay": true },
+      { "x": 2370, "y": 40, "w": 90, "h": 18, "oneWay": true },
+      { "x": 2530, "y": 120, "w": 90, "h": 18, "oneWay": true },
+      { "x": 2690, "y": 80, "w": 90, "h": 18, "oneWay": true },
+      { "x": 2850, "y": 40, "w": 90, "h": 18, "oneWay": true },
+      { "x": 3010, "y": 120, "w": 90, "h": 18, "oneWay": true },
+      { "x": 3170, "y": 80, "w": 90, "h": 18, "oneWay": true },
+      { "x": 3330, "y": 40, "w": 90, "h": 18, "oneWay": true },
+      { "x": 3490, "y": 120, "w": 90, "h": 18, "oneWay": true },
+      { "x": 3650, "y": 80, "w": 90, "h": 18, "oneWay": true },
+      { "x": 3810, "y": 40, "w": 90, "h": 18, "oneWay": true },
+      { "x": 3970, "y": 120, "w": 90, "h": 18, "oneWay": true }
+    ],
+    "crumbles": [
+      { "x": 4300, "y": 250, "w": 64, "h": 16, "delay": 0.4, "respawn": 5 },
+      { "x": 4440, "y": 205, "w": 64, "h": 16, "delay": 0.4, "respawn": 5 },
+      { "x": 4580, "y": 160, "w": 64, "h": 16, "delay": 0.4, "respawn": 5 },
+      { "x": 4720, "y": 115, "w": 64, "h": 16, "delay": 0.3, "respawn": 5 }
+    ],
+    "hazards": [
+      { "kind": "lava", "x": 5200, "y": 290, "w": 160, "h": 10 },
+      { "kind": "crusher", "x": 5800, "y": 156, "w": 64, "h": 48, "travel": 96, "period": 3 },
+      { "kind": "lava", "x": 6400, "y": 290, "w": 96, "h": 10 },
+      { "kind": "crusher", "x": 7000, "y": 156, "w": 64, "h": 48, "travel": 96, "period": 3, "offset": 1.5 }
+    ],
+    "checkpoints": [
+      { "x": 3620, "y": 300 },
+      { "x": 6280, "y": 300 }
+    ],
+    "springs": [
+      { "x": 340, "y": 250, "dir": "up" },
+      { "x": 800, "y": 260, "dir": "up" },
+      { "x": 1480, "y": 210, "dir": "diag-right" },
+      { "x": 2150, "y": 280, "dir": "up" },
+      { "x": 2530, "y": 220, "dir": "diag-left" },
+      { "x": 2870, "y": 180, "dir": "up" },
+      { "x": 8520, "y": 260, "dir": "diag-right" }
+    ],
+    "boxes": [
+      { "x": 380, "y": 170, "type": "coin" },
+      { "x": 440, "y": 170, "type": "coin" },
+      { "x": 500, "y": 170, "type": "coin" },
+      { "x": 560, "y": 140, "type": "coin" },
+      { "x": 620, "y": 140, "type": "power_green" },
+      { "x": 680, "y": 140, "type": "coin" },
+      { "x": 740, "y": 180, "type": "growth" },
+      { "x": 800, "y": 180, "type": "coin" },
+      { "x": 1460, "y": 220, "type": "coin" },
+      { "x": 2270, "y": 200, "type": "coin" },
+      { "x": 2350, "y": 200, "type": "power_blue" },
+      { "x": 2430, "y": 200, "type": "coin" },
+      { "x": 2590, "y": 120, "type": "coin" },
+      { "x": 2650, "y": 120, "type": "growth" },
+      { "x": 2710, "y": 120, "type": "coin" },
+      { "x": 2830, "y": 80, "type": "power_green" },
+      { "x": 2890, "y": 80, "type": "coin" },
+      { "x": 1584, "y": 40, "type": "coin" },
+      { "x": 1744, "y": 0, "type": "coin" },
+      { "x": 1904, "y": -40, "type": "coin" },
+      { "x": 2064, "y": 40, "type": "coin" },
+      { "x": 2224, "y": 0, "type": "coin" },
+      { "x": 2384, "y": -40, "type": "coin" },
+      { "x": 2544, "y": 40, "type": "coin" },
+      { "x": 2704, "y": 0, "type": "coin" },
+      { "x": 2864, "y": -40, "type": "coin" },
+      { "x": 3024, "y": 40, "type": "coin" },
+      { "x": 3184, "y": 0, "type": "coin" },
+      { "x": 3344, "y": -40, "type": "coin" },
+      { "x": 3504, "y": 40, "type": "coin" },
+      { "x": 3664, "y": 0, "type": "coin" },
+      { "x": 3824, "y": -40, "type": "coin" },
+      { "x": 3984, "y": 40, "type": "coin" }
+    ],
+    "coins": [
+      { "x": 120, "y": 290 },
+      { "x": 175, "y": 290 },
+      { "x": 230, "y": 290 },
+      { "x": 285, "y": 290 },
+      { "x": 340, "y": 290 },
+      { "x": 395, "y": 290 },
+      { "x": 450, "y": 290 },
+      { "x": 505, "y": 290 },
+      { "x": 560, "y": 290 },
+      { "x": 615, "y": 290 },
+      { "x": 670, "y": 290 },
+      { "x": 725, "y": 290 },
+      { "x": 780, "y": 290 },
+      { "x": 835, "y": 290 },
+      { "x": 1350, "y": 290 },
+      { "x": 1410, "y": 290 },
+      { "x": 1470, "y": 290 },
+      { "x": 1530, "y": 290 },
+      { "x": 1590, "y": 290 },
+      { "x": 1650, "y": 290 },
+      { "x": 1710, "y": 290 },
+      { "x": 1770, "y": 290 },
+      { "x": 1830, "y": 290 },
+      { "x": 1890, "y": 290 },
+      { "x": 1950, "y": 290 },
+      { "x": 2010, "y": 290 },
+      { "x": 4472, "y": 175 },
+      { "x": 4612, "y": 130 },
+      { "x": 4752, "y": 85 },
+      { "x": 4752, "y": 55 }
+    ],
+    "magnets": [
+      { "x": 420, "y": 288 },
+      { "x": 1860, "y": 288 },
+      { "x": 2500, "y": 288 },
+      { "x": 8120, "y": 288 }
+    ],
+    "enemies": [
+      { "kind": "ground", "x": 520, "y": 300, "range": 90, "speed": 0.67, "hp": 2 },
+      { "kind": "ground", "x": 780, "y": 300, "range": 110, "speed": 0.67, "hp": 1 },
+      { "kind": "ground", "x": 1040, "y": 300, "range": 130, "speed": 0.67, "hp": 2 },
+      { "kind": "ground", "x": 1300, "y": 300, "range": 150, "speed": 0.67, "hp": 1 },
+      { "kind": "bird", "x": 2460, "y": 200, "range": 212, "speed": 0.98, "amp": 20, "hp": 1 },
+      { "kind": "bird", "x": 2880, "y": 190, "range": 212, "speed": 0.98, "amp": 30, "hp": 1 },
+      { "kind": "bird", "x": 3300, "y": 180, "range": 212, "speed": 0.98, "amp": 20, "hp": 1 },
+      { "kind": "bird", "x": 3720, "y": 170, "range": 212, "speed": 0.98, "amp": 30, "hp": 1 },
+      { "kind": "ground", "x": 1650, "y": 300, "range": 210, "speed": 0.98, "hp": 2 },
+      { "kind": "ground", "x": 1970, "y": 240, "range": 178, "speed": 1.08, "hp": 1 }
+    ],
+    "boss": { "x": 9060, "y": 300, "maxHp": 34, "range": 260, "attackInterval": 1.9 },
+    "tasks": [
+      { "id": "L6_coins", "type": "coins", "target": 20, "mandatory": true, "description": "Collect gold coins" },
+      { "id": "L6_fly", "type": "flyingEnemies", "target": -1, "mandatory": false, "description": "Defeat all flying enemies" }
+    ]
+  },
+  {
+    "format": 1,
+    "name": "City Rooftops",
+    "theme": 7,
+    "width": 9840,
+    "height": 900,
+    "spawn": { "x": 80, "y": 220 },
+    "goalX": 9720,
+    "groundY": 310,
+    "coinsPerBox": 2,
+    "solids": [
+      { "x": 0, "y": 310, "w": 1040, "h": 600 },
+      { "x": 1340, "y": 310, "w": 8500, "h": 600 },
+      { "x": 320, "y": 240, "w": 120, "h": 20, "oneWay": true },
+      { "x": 520, "y": 210, "w": 140, "h": 20, "oneWay": true },
+      { "x": 760, "y": 250, "w": 120, "h": 20, "oneWay": true },
+      { "x": 1450, "y": 200, "w": 260, "h": 20, "oneWay": true },
+      { "x": 1600, "y": 310, "w": 180, "h": 600 },
+      { "x": 2020, "y": 310, "w": 180, "h": 600 },
+      { "x": 2440, "y": 310, "w": 180, "h": 600 },
+      { "x": 2860, "y": 310, "w": 180, "h": 600 },
+      { "x": 3280, "y": 310, "w": 180, "h": 600 },
+      { "x": 3700, "y": 310, "w": 180, "h": 600 },
+      { "x": 4120, "y": 310, "w": 180, "h": 600 },
+      { "x": 1600, "y": 20, "w": 150, "h": 20, "oneWay": true },
+      { "x": 1820, "y": 70, "w": 150, "h": 20, "oneWay": true },
+      { "x": 2040, "y": 20, "w": 150, "h": 20, "oneWay": true },
+      { "x": 2260, "y": 70, "w": 150, "h": 20, "oneWay": true },
+      { "x": 2480, "y": 20, "w": 150, "h": 20, "oneWay": true },
+      { "x": 2700, "y": 70, "w": 150, "h": 20, "oneWay": true },
+      { "x": 2920, "y": 20, "w": 150, "h": 20, "oneWay": true },
+      { "x": 3140, "y": 70, "w": 150, "h": 20, "oneWay": true },
+      { "x": 3360, "y": 20, "w": 150, "h": 20, "oneWay": true },
+      { "x": 3580, "y": 70, "w": 150, "h": 20, "oneWay": true },
+      { "x": 3800, "y": 20, "w": 150, "h": 20, "oneWay": true },
+      { "x": 4020, "y": 70, "w": 150, "h": 20, "oneWay": true },
+      { "x": 4240, "y": 20, "w": 150, "h": 20, "oneWay": true }
+    ],
+    "hazards": [
+      { "kind": "crusher", "x": 5000, "y": 166, "w": 64, "h": 48, "travel": 96, "period": 3.5 },
+      { "kind": "spikes", "x": 5600, "y": 294, "w": 96, "h": 16, "dir": "up", "retract": 1.5 }
+    ],
+    "checkpoints": [
+      { "x": 3920, "y": 310 },
+      { "x": 6800, "y": 310 }
+    ],
+    "springs": [
+      { "x": 340, "y": 240, "dir": "up" },
+      { "x": 800, "y": 250, "dir": "up" },
+      { "x": 1480, "y": 200, "dir": "diag-right" },
+      { "x": 2300, "y": 290, "dir": "up" },
+      { "x": 2680, "y": 230, "dir": "diag-left" },
+      { "x": 3020, "y": 190, "dir": "up" },
+      { "x": 9040, "y": 270, "dir": "diag-right" }
+    ],
+    "boxes": [
+      { "x": 380, "y": 160, "type": "coin" },
+      { "x": 440, "y": 160, "type": "coin" },
+      { "x": 500, "y": 160, "type": "coin" },
+      { "x": 560, "y": 130, "type": "coin" },
+      { "x": 620, "y": 130, "type": "power_green" },
+      { "x": 680, "y": 130, "type": "coin" },
+      { "x": 740, "y": 170, "type": "growth" },
+      { "x": 800, "y": 170, "type": "coin" },
+      { "x": 1520, "y": 230, "type": "coin" },
+      { "x": 2420, "y": 210, "type": "coin" },
+      { "x": 2500, "y": 210, "type": "power_blue" },
+      { "x": 2580, "y": 210, "type": "coin" },
+      { "x": 2740, "y": 130, "type": "coin" },
+      { "x": 2800, "y": 130, "type": "growth" },
+      { "x": 2860, "y": 130, "type": "coin" },
+      { "x": 2980, "y": 90, "type": "power_green" },
+      { "x": 3040, "y": 90, "type": "coin" },
+      { "x": 1634, "y": -60, "type": "coin" },
+      { "x": 1854, "y": -10, "type": "coin" },
+      { "x": 2074, "y": -60, "type": "coin" },
+      { "x": 2294, "y": -10, "type": "coin" },
+      { "x": 2514, "y": -60, "type": "coin" },
+      { "x": 2734, "y": -10, "type": "coin" },
+      { "x": 2954, "y": -60, "type": "coin" },
+      { "x": 3174, "y": -10, "type": "coin" },
+      { "x": 3394, "y": -60, "type": "coin" },
+      { "x": 3614, "y": -10, "type": "coin" },
+      { "x": 3834, "y": -60, "type": "coin" },
+      { "x": 4054, "y": -10, "type": "coin" },
+      { "x": 4274, "y": -60, "type": "coin" }
+    ],
+    "coins": [
+      { "x": 125, "y": 300 },
+      { "x": 180, "y": 300 },
+      { "x": 235, "y": 300 },
+      { "x": 290, "y": 300 },
+      { "x": 345, "y": 300 },
+      { "x": 400, "y": 300 },
+      { "x": 455, "y": 300 },
+      { "x": 510, "y": 300 },
+      { "x": 565, "y": 300 },
+      { "x": 620, "y": 300 },
+      { "x": 675, "y": 300 },
+      { "x": 730, "y": 300 },
+      { "x": 785, "y": 300 },
+      { "x": 840, "y": 300 },
+      { "x": 1428, "y": 300 },
+      { "x": 1488, "y": 300 },
+      { "x": 1548, "y": 300 },
+      { "x": 1608, "y": 300 },
+      { "x": 1668, "y": 300 },
+      { "x": 1728, "y": 300 },
+      { "x": 1788, "y": 300 },
+      { "x": 1848, "y": 300 },
+      { "x": 1908, "y": 300 },
+      { "x": 1968, "y": 300 },
+      { "x": 2028, "y": 300 },
+      { "x": 2088, "y": 300 }
+    ],
+    "magnets": [
+      { "x": 420, "y": 298 },
+      { "x": 1970, "y": 298 },
+      { "x": 2650, "y": 298 },
+      { "x": 8640, "y": 298 }
+    ],
+    "enemies": [
+      { "kind": "ground", "x": 560, "y": 310, "range": 90, "speed": 0.69, "hp": 2 },
+      { "kind": "ground", "x": 820, "y": 310, "range": 110, "speed": 0.69, "hp": 1 },
+      { "kind": "ground", "x": 1080, "y": 310, "range": 130, "speed": 0.69, "hp": 2 },
+      { "kind": "ground", "x": 1340, "y": 310, "range": 150, "speed": 0.69, "hp": 1 },
+      { "kind": "bird", "x": 2720, "y": 180, "range": 224, "speed": 1.01, "amp": 20, "hp": 1 },
+      { "kind": "bird", "x": 3140, "y": 170, "range": 224, "speed": 1.01, "amp": 30, "hp": 1 },
+      { "kind": "bird", "x": 3560, "y": 160, "range": 224, "speed": 1.01, "amp": 20, "hp": 1 },
+      { "kind": "bird", "x": 3980, "y": 150, "range": 224, "speed": 1.01, "amp": 30, "hp": 1 },
+      { "kind": "ground", "x": 1860, "y": 270, "range": 220, "speed": 1.06, "hp": 2 },
+      { "kind": "ground", "x": 9220, "y": 230, "range": 246, "speed": 1.16, "hp": 1 }
+    ],
+    "boss": { "x": 9580, "y": 310, "maxHp": 38, "range": 270, "attackInterval": 1.8 },
+    "tasks": [
+      { "id": "L7_coins", "type": "coins", "target": 22, "mandatory": true, "description": "Collect gold coins" },
+      { "id": "L7_fly", "type": "flyingEnemies", "target": -1, "mandatory": false, "description": "Defeat all flying enemies" },
+      { "id": "L7_spring", "type": "springsUsed", "target": 3, "mandatory": false, "description": "Use spring jumps" }
+    ]
+  },
+  {
+    "format": 1,
+    "name": "Ocean Night",
+    "theme": 8,
+    "width": 10360,
+    "height": 900,
+    "spawn": { "x": 80, "y": 220 },
+    "goalX": 10240,
+    "groundY": 320,
+    "coinsPerBox": 3,
+    "solids": [
+      { "x": 0, "y": 320, "w": 1070, "h": 600 },
+      { "x": 1250, "y": 320, "w": 9110, "h": 600 },
+      { "x": 320, "y": 230, "w": 120, "h": 20, "oneWay": true },
+      { "x": 520, "y": 200, "w": 140, "h": 20, "oneWay": true },
+      { "x": 760, "y": 240, "w": 120, "h": 20, "oneWay": true },
+      { "x": 1450, "y": 190, "w": 260, "h": 20, "oneWay": true },
+      { "x": 1370, "y": 250, "w": 140, "h": 20, "oneWay": true },
+      { "x": 1550, "y": 220, "w": 140, "h": 20, "oneWay": true },
+      { "x": 1730, "y": 190, "w": 140, "h": 20, "oneWay": true },
+      { "x": 1910, "y": 160, "w": 140, "h": 20, "oneWay": true },
+      { "x": 2090, "y": 130, "w": 140, "h": 20, "oneWay": true },
+      { "x": 2270, "y": 100, "w": 140, "h": 20, "oneWay": true },
+      { "x": 2450, "y": 70, "w": 140, "h": 20, "oneWay": true },
+      { "x": 2630, "y": 40, "w": 140, "h": 20, "oneWay": true },
+      { "x": 1830, "y": 60, "w": 160, "h": 20, "oneWay": true },
+      { "x": 2090, "y": 20, "w": 160, "h": 20, "oneWay": true },
+      { "x": 2350, "y": 60, "w": 160, "h": 20, "oneWay": true },
+      { "x": 2610, "y": 20, "w": 160, "h": 20, "oneWay": true },
+      { "x": 2870, "y": 60, "w": 160, "h": 20, "oneWay": true },
+      { "x": 3130, "y": 20, "w": 160, "h": 20, "oneWay": true }
+    ],
+    "water": [{ "x": 4000, "y": 200, "w": 3000, "h": 700 }],
+    "waterTuning": { "air": 15, "speed": 0.45 },
+    "bubbles": [
+      { "x": 4600, "y": 320, "period": 2.5 },
+      { "x": 5400, "y": 320, "period": 2.5 },
+      { "x": 6200, "y": 320, "period": 2.5 }
+    ],
+    "checkpoints": [
+      { "x": 3880, "y": 320 },
+      { "x": 7160, "y": 320 }
+    ],
+    "springs": [
+      { "x": 340, "y": 230, "dir": "up" },
+      { "x": 800, "y": 240, "dir": "up" },
+      { "x": 1480, "y": 190, "dir": "diag-right" },
+      { "x": 2290, "y": 300, "dir": "up" },
+      { "x": 2670, "y": 240, "dir": "diag-left" },
+      { "x": 3010, "y": 200, "dir": "up" },
+      { "x": 9560, "y": 280, "dir": "diag-right" }
+    ],
+    "boxes": [
+      { "x": 380, "y": 150, "type": "coin" },
+      { "x": 440, "y": 150, "type": "coin" },
+      { "x": 500, "y": 150, "type": "coin" },
+      { "x": 560, "y": 120, "type": "coin" },
+      { "x": 620, "y": 120, "type": "power_green" },
+      { "x": 680, "y": 120, "type": "coin" },
+      { "x": 740, "y": 160, "type": "growth" },
+      { "x": 800, "y": 160, "type": "coin" },
+      { "x": 1580, "y": 240, "type": "coin" },
+      { "x": 2410, "y": 220, "type": "coin" },
+      { "x": 2490, "y": 220, "type": "power_blue" },
+      { "x": 2570, "y": 220, "type": "coin" },
+      { "x": 2730, "y": 140, "type": "coin" },
+      { "x": 2790, "y": 140, "type": "growth" },
+      { "x": 2850, "y": 140, "type": "coin" },
+      { "x": 2970, "y": 100, "type": "power_green" },
+      { "x": 3030, "y": 100, "type": "coin" },
+      { "x": 1374, "y": 170, "type": "coin" },
+      { "x": 1444, "y": 140, "type": "coin" },
+      { "x": 1514, "y": 110, "type": "coin" },
+      { "x": 1584, "y": 80, "type": "coin" },
+      { "x": 1654, "y": 50, "type": "coin" },
+      { "x": 1724, "y": 20, "type": "coin" },
+      { "x": 1794, "y": -10, "type": "coin" },
+      { "x": 1864, "y": -40, "type": "coin" },
+      { "x": 1934, "y": -70, "type": "coin" },
+      { "x": 2004, "y": -100, "type": "coin" },
+      { "x": 2074, "y": -130, "type": "coin" },
+      { "x": 2144, "y": -160, "type": "coin" },
+      { "x": 2214, "y": -190, "type": "coin" },
+      { "x": 2284, "y": -220, "type": "coin" },
+      { "x": 2354, "y": -250, "type": "coin" },
+      { "x": 2424, "y": -280, "type": "coin" },
+      { "x": 1734, "y": -20, "type": "coin" },
+      { "x": 1954, "y": -60, "type": "coin" },
+      { "x": 2174, "y": -20, "type": "coin" },
+      { "x": 2394, "y": -60, "type": "coin" },
+      { "x": 2614, "y": -20, "type": "coin" },
+      { "x": 2834, "y": -60, "type": "coin" },
+      { "x": 3054, "y": -20, "type": "coin" },
+      { "x": 3274, "y": -60, "type": "coin" },
+      { "x": 3494, "y": -20, "type": "coin" },
+      { "x": 3714, "y": -60, "type": "coin" }
+    ],
+    "coins": [
+      { "x": 130, "y": 310 },
+      { "x": 185, "y": 310 },
+      { "x": 240, "y": 310 },
+      { "x": 295, "y": 310 },
+      { "x": 350, "y": 310 },
+      { "x": 405, "y": 310 },
+      { "x": 460, "y": 310 },
+      { "x": 515, "y": 310 },
+      { "x": 570, "y": 310 },
+      { "x": 625, "y": 310 },
+      { "x": 680, "y": 310 },
+      { "x": 735, "y": 310 },
+      { "x": 790, "y": 310 },
+      { "x": 845, "y": 310 },
+      { "x": 1330, "y": 310 },
+      { "x": 1390, "y": 310 },
+      { "x": 1450, "y": 310 },
+      { "x": 1510, "y": 310 },
+      { "x": 1570, "y": 310 },
+      { "x": 1630, "y": 310 },
+      { "x": 1690, "y": 310 },
+      { "x": 1750, "y": 310 },
+      { "x": 1810, "y": 310 },
+      { "x": 1870, "y": 310 },
+      { "x": 1930, "y": 310 },
+      { "x": 1990, "y": 310 }
+    ],
+    "magnets": [
+      { "x": 420, "y": 308 },
+      { "x": 1920, "y": 308 },
+      { "x": 2640, "y": 308 },
+      { "x": 9160, "y": 308 }
+    ],
+    "enemies": [
+      { "kind": "ground", "x": 600, "y": 320, "range": 90, "speed": 0.71, "hp": 2 },
+      { "kind": "ground", "x": 860, "y": 320, "range": 110, "speed": 0.71, "hp": 1 },
+      { "kind": "ground", "x": 1120, "y": 320, "range": 130, "speed": 0.71, "hp": 2 },
+      { "kind": "ground", "x": 1380, "y": 320, "range": 150, "speed": 0.71, "hp": 1 },
+      { "kind": "ground", "x": 1640, "y": 320, "range": 170, "speed": 0.71, "hp": 2 },
+      { "kind": "bird", "x": 2980, "y": 160, "range": 236, "speed": 1.04, "amp": 20, "hp": 1 },
+      { "kind": "bird", "x": 3400, "y": 150, "range": 236, "speed": 1.04, "amp": 30, "hp": 1 },
+      { "kind": "bird", "x": 3820, "y": 140, "range": 236, "speed": 1.04, "amp": 20, "hp": 1 },
+      { "kind": "bird", "x": 4240, "y": 130, "range": 236, "speed": 1.04, "amp": 30, "hp": 1 },
+      { "kind": "ground", "x": 2230, "y": 320, "range": 220, "speed": 0.99, "hp": 2 },
+      { "kind": "ground", "x": 9810, "y": 320, "range": 224, "speed": 1.13, "hp": 2 }
+    ],
+    "boss": { "x": 10100, "y": 320, "maxHp": 42, "range": 280, "attackInterval": 1.7 },
+    "tasks": [
+      { "id": "L8_coins", "type": "coins", "target": 24, "mandatory": true, "description": "Collect gold coins" },
+      { "id": "L8_fly", "type": "flyingEnemies", "target": -1, "mandatory": false, "description": "Defeat all flying enemies" },
+      { "id": "L8_spring", "type": "springsUsed", "target": 3, "mandatory": false, "description": "Use spring jumps" },
+      { "id": "L8_both", "type": "bothCoins", "target": 1, "mandatory": false, "description": "Collect green & blue coins" }
+    ]
+  },
+  {
+    "format": 1,
+    "name": "Starship Zone",
+    "theme": 9,
+    "width": 10880,
+    "height": 900,
+    "spawn": { "x": 80, "y": 220 },
+    "goalX": 10760,
+    "groundY": 300,
+    "coinsPerBox": 1,
+    "solids": [
+      { "x": 0, "y": 300, "w": 1100, "h": 600 },
+      { "x": 1320, "y": 300, "w": 9560, "h": 600 },
+      { "x": 320, "y": 250, "w": 120, "h": 20, "oneWay": true },
+      { "x": 520, "y": 220, "w": 140, "h": 20, "oneWay": true },
+      { "x": 760, "y": 260, "w": 120, "h": 20, "oneWay": true },
+      { "x": 1450, "y": 210, "w": 260, "h": 20 },
+      { "x": 1700, "y": 300, "w": 200, "h": 600 },
+      { "x": 2080, "y": 300, "w": 200, "h": 600 },
+      { "x": 2340, "y": 300, "w": 200, "h": 600 },
+      { "x": 2720, "y": 300, "w": 200, "h": 600 },
+      { "x": 2980, "y": 300, "w": 200, "h": 600 },
+      { "x": 3360, "y": 300, "w": 200, "h": 600 },
+      { "x": 3620, "y": 300, "w": 200, "h": 600 },
+      { "x": 1580, "y": 220, "w": 130, "h": 20, "oneWay": true },
+      { "x": 1790, "y": 230, "w": 130, "h": 20, "oneWay": true },
+      { "x": 2000, "y": 200, "w": 130, "h": 20, "oneWay": true },
+      { "x": 2210, "y": 250, "w": 130, "h": 20, "oneWay": true },
+      { "x": 2420, "y": 180, "w": 130, "h": 20, "oneWay": true },
+      { "x": 2630, "y": 270, "w": 130, "h": 20, "oneWay": true },
+      { "x": 2840, "y": 160, "w": 130, "h": 20, "oneWay": true },
+      { "x": 3050, "y": 290, "w": 130, "h": 20, "oneWay": true },
+      { "x": 3260, "y": 140, "w": 130, "h": 20, "oneWay": true },
+      { "x": 3470, "y": 310, "w": 130, "h": 20, "oneWay": true },
+      { "x": 3680, "y": 120, "w": 130, "h": 20, "oneWay": true },
+      { "x": 3890, "y": 330, "w": 130, "h": 20, "oneWay": true },
+      { "x": 4100, "y": 100, "w": 130, "h": 20, "oneWay": true },
+      { "x": 4310, "y": 350, "w": 130, "h": 20, "oneWay": true },
+      { "x": 4520, "y": 80, "w": 130, "h": 20, "oneWay": true }
+    ],
+    "platforms": [
+      { "x": 5000, "y": 220, "w": 120, "h": 16, "path": "waypoints", "points": [{ "x": 5300, "y": 140 }, { "x": 5600, "y": 220 }], "speed": 1.5, "oneWay": true },
+      { "x": 6000, "y": 120, "w": 140, "h": 20, "path": "linear", "dx": 0, "dy": 90, "period": 3 },
+      { "x": 6400, "y": 284, "w": 120, "h": 16, "path": "linear", "dx": 360, "dy": -160, "period": 7, "trigger": "touch", "oneWay": true }
+    ],
+    "hazards": [
+      { "kind": "electric", "x": 7200, "y": 292, "w": 128, "h": 8, "on": 1.5, "off": 1.5 },
+      { "kind": "electric", "x": 7500, "y": 292, "w": 128, "h": 8, "on": 1.5, "off": 1.5, "offset": 1.5 },
+      { "kind": "electric", "x": 7800, "y": 292, "w": 128, "h": 8, "on": 1.5, "off": 1.5 }
+    ],
+    "checkpoints": [
+      { "x": 4280, "y": 300 },
+      { "x": 7080, "y": 300 }
+    ],
+    "springs": [
+      { "x": 340, "y": 250, "dir": "up" },
+      { "x": 800, "y": 260, "dir": "up" },
+      { "x": 1480, "y": 210, "dir": "diag-right" },
+      { "x": 2440, "y": 280, "dir": "up" },
+      { "x": 2820, "y": 220, "dir": "diag-left" },
+      { "x": 3160, "y": 180, "dir": "up" },
+      { "x": 10080, "y": 260, "dir": "diag-right" }
+    ],
+    "boxes": [
+      { "x": 380, "y": 170, "type": "coin" },
+      { "x": 440, "y": 170, "type": "coin" },
+      { "x": 500, "y": 170, "type": "coin" },
+      { "x": 560, "y": 140, "type": "coin" },
+      { "x": 620, "y": 140, "type": "power_green" },
+      { "x": 680, "y": 140, "type": "coin" },
+      { "x": 740, "y": 180, "type": "growth" },
+      { "x": 800, "y": 180, "type": "coin" },
+      { "x": 1640, "y": 220, "type": "coin" },
+      { "x": 2560, "y": 200, "type": "coin" },
+      { "x": 2640, "y": 200, "type": "power_blue" },
+      { "x": 2720, "y": 200, "type": "coin" },
+      { "x": 2880, "y": 120, "type": "coin" },
+      { "x": 2940, "y": 120, "type": "growth" },
+      { "x": 3000, "y": 120, "type": "coin" },
+      { "x": 3120, "y": 80, "type": "power_green" },
+      { "x": 3180, "y": 80, "type": "coin" },
+      { "x": 1604, "y": 140, "type": "coin" },
+      { "x": 1814, "y": 150, "type": "coin" },
+      { "x": 2024, "y": 120, "type": "coin" },
+      { "x": 2234, "y": 170, "type": "coin" },
+      { "x": 2444, "y": 100, "type": "coin" },
+      { "x": 2654, "y": 190, "type": "coin" },
+      { "x": 2864, "y": 80, "type": "coin" },
+      { "x": 3074, "y": 210, "type": "coin" },
+      { "x": 3284, "y": 60, "type": "coin" },
+      { "x": 3494, "y": 230, "type": "coin" },
+      { "x": 3704, "y": 40, "type": "coin" },
+      { "x": 3914, "y": 250, "type": "coin" },
+      { "x": 4124, "y": 20, "type": "coin" },
+      { "x": 4334, "y": 270, "type": "coin" },
+      { "x": 4544, "y": 0, "type": "coin" }
+    ],
+    "coins": [
+      { "x": 120, "y": 290 },
+      { "x": 175, "y": 290 },
+      { "x": 230, "y": 290 },
+      { "x": 285, "y": 290 },
+      { "x": 340, "y": 290 },
+      { "x": 395, "y": 290 },
+      { "x": 450, "y": 290 },
+      { "x": 505, "y": 290 },
+      { "x": 560, "y": 290 },
+      { "x": 615, "y": 290 },
+      { "x": 670, "y": 290 },
+      { "x": 725, "y": 290 },
+      { "x": 780, "y": 290 },
+      { "x": 835, "y": 290 },
+      { "x": 1408, "y": 290 },
+      { "x": 1468, "y": 290 },
+      { "x": 1528, "y": 290 },
+      { "x": 1588, "y": 290 },
+      { "x": 1648, "y": 290 },
+      { "x": 1708, "y": 290 },
+      { "x": 1768, "y": 290 },
+      { "x": 1828, "y": 290 },
+      { "x": 1888, "y": 290 },
+      { "x": 1948, "y": 290 },
+      { "x": 2008, "y": 290 },
+      { "x": 2068, "y": 290 },
+      { "x": 5360, "y": 100 },
+      { "x": 5420, "y": 100 },
+      { "x": 6070, "y": 80 },
+      { "x": 6880, "y": 80 },
+      { "x": 6940, "y": 80 }
+    ],
+    "magnets": [
+      { "x": 420, "y": 288 },
+      { "x": 2030, "y": 288 },
+      { "x": 2790, "y": 288 },
+      { "x": 9680, "y": 288 }
+    ],
+    "enemies": [
+      { "kind": "ground", "x": 520, "y": 300, "range": 90, "speed": 0.73, "hp": 2 },
+      { "kind": "ground", "x": 780, "y": 300, "range": 110, "speed": 0.73, "hp": 1 },
+      { "kind": "ground", "x": 1040, "y": 300, "range": 130, "speed": 0.73, "hp": 2 },
+      { "kind": "ground", "x": 1300, "y": 300, "range": 150, "speed": 0.73, "hp": 1 },
+      { "kind": "ground", "x": 1560, "y": 300, "range": 170, "speed": 0.73, "hp": 2 },
+      { "kind": "bird", "x": 3240, "y": 200, "range": 248, "speed": 1.07, "amp": 20, "hp": 1 },
+      { "kind": "bird", "x": 3660, "y": 190, "range": 248, "speed": 1.07, "amp": 30, "hp": 1 },
+      { "kind": "bird", "x": 4080, "y": 180, "range": 248, "speed": 1.07, "amp": 20, "hp": 1 },
+      { "kind": "bird", "x": 4500, "y": 170, "range": 248, "speed": 1.07, "amp": 30, "hp": 1 },
+      { "kind": "bird", "x": 4920, "y": 160, "range": 248, "speed": 1.07, "amp": 20, "hp": 1 },
+      { "kind": "ground", "x": 1840, "y": 300, "range": 228, "speed": 1.07, "hp": 2 },
+      { "kind": "ground", "x": 2360, "y": 260, "range": 230, "speed": 1.12, "hp": 1 }
+    ],
+    "boss": { "x": 10620, "y": 300, "maxHp": 46, "range": 290, "attackInterval": 1.6 },
+    "tasks": [
+      { "id": "L9_coins", "type": "coins", "target": 26, "mandatory": true, "description": "Collect gold coins" },
+      { "id": "L9_fly", "type": "flyingEnemies", "target": -1, "mandatory": false, "description": "Defeat all flying enemies" }
+    ]
+  }
+];
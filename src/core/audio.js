@@ -0,0 +1,101 @@
+// Simple audio hooks.
+
+const AUDIO_ENABLED = typeof window !== "undefined" && "Audio" in window;
+const SFX = AUDIO_ENABLED
+  ? {
+      coin: new Audio("audio/sfx_coin.wav.mp3"),
+      power: new Audio("audio/sfx_power.wav.mp3"),
+      spring: new Audio("audio/sfx_power.wav.mp3"),
+      shoot: new Audio("audio/sfx_shoot.wav.mp3"),
+      enemyHit: new Audio("audio/sfx_enemy_hit.wav.mp3"),
+      bossHit: new Audio("audio/sfx_boss_hit.wav.mp3"),
+      bossExplode: new Audio("audio/sfx_boss_explode.wav.mp3"),
+      spinRev: (() => {
+        const a = new Audio("audio/sfx_shoot.wav.mp3");
+        a.volume = 0.6;
+        return a;
+      })(),
+      spinDash: new Audio("audio/sfx_power.wav.mp3"),
+      wallBreak: new Audio("audio/sfx_boss_hit.wav.mp3"),
+      crumble: (() => {
+        const a = new Audio("audio/sfx_boss_hit.wav.mp3");
+        a.volume = 0.5;
+        return a;
+      })(),
+      splash: (() => {
+        const a = new Audio("audio/sfx_power.wav.mp3");
+        a.volume = 0.4;
+        return a;
+      })(),
+      airBubble: new Audio("audio/sfx_coin.wav.mp3"),
+      airWarn: (() => {
+        const a = new Audio("audio/sfx_shoot.wav.mp3");
+        a.volume = 0.5;
+        return a;
+      })(),
+      checkpoint: new Audio("audio/sfx_coin.wav.mp3"),
+      menuMove: (() => {
+        const a = new Audio("audio/sfx_coin.wav.mp3");
+        a.volume = 0.3;
+        return a;
+      })(),
+      tally: (() => {
+        const a = new Audio("audio/sfx_coin.wav.mp3");
+        a.volume = 0.25;
+        return a;
+      })(),
+      tallyDone: new Audio("audio/sfx_power.wav.mp3"),
+      menuLocked: (() => {
+        const a = new Audio("audio/sfx_enemy_hit.wav.mp3");
+        a.volume = 0.5;
+        return a;
+      })(),
+      magnetDeactivate: (() => {
+        const a = new Audio("audio/sfx_power.wav.mp3");
+        a.volume = 0.45;
+        return a;
+      })(),
+    }
+  : {};
+const MUSIC = AUDIO_ENABLED ? new Audio("audio/music_loop.mp3") : null;
+const MUSIC_VOLUME = 0.4;
+let musicMuted = false;
+let sfxMuted = false;
+if (MUSIC) {
+  MUSIC.loop = true;
+  MUSIC.volume = MUSIC_VOLUME;
+}
+
+export function setMusicMuted(muted) {
+  musicMuted = muted;
+  if (MUSIC) MUSIC.volume = muted ? 0 : MUSIC_VOLUME;
+}
+export function setSfxMuted(muted) {
+  sfxMuted = muted;
+}
+export function getMusicMuted() {
+  return musicMuted;
+}
+export function getSfxMuted() {
+  return sfxMuted;
+}
+
+// rate > 1 plays the clip faster and higher (spin dash revs climb in pitch).
+export function playSound(name, rate = 1) {
+  if (sfxMuted) return;
+  const a = SFX[name];
+  if (!a) return;
+  try {
+    a.currentTime = 0;
+    a.playbackRate = rate;
+    a.play().catch(() => {});
+  } catch {
+    // ignore autoplay / file errors
+  }
+}
+
+export function startMusicOnce() {
+  if (!MUSIC || MUSIC._started) return;
+  MUSIC._started = true;
+  MUSIC.play().catch(() => {});
+}
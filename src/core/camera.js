@@ -1,69 +1,81 @@
+// Smooth dynamic follow (Sonic-style).
+
 import { clamp, lerp, sign } from "./math.js";
 
 export class Camera {
   constructor({ width, height }) {
     this.width = width;
     this.height = height;
-
     this.x = 0;
     this.y = 0;
-
-    this.deadZoneX = 60;
-    this.deadZoneY = 80;
-
-    this.lookAhead = 20;
     this._target = null;
     this._bounds = { left: 0, right: 0, top: 0, bottom: 0 };
+    // Tuning: look-ahead in movement direction (pixels)
+    this.lookAheadBase = 25;
+    this.lookAheadMax = 80;
+    // Hero vertical offset from screen center: positive = hero slightly lower on screen (see more above)
+    this.heroOffsetYGround = 15;
+    this.heroOffsetYAir = 45;
+    // Damping: higher = snappier. X fast, Y varies by state.
+    this.smoothSpeedX = 6;
+    this.smoothSpeedYGround = 2.2;
+    this.smoothSpeedYAir = 5.5;
+    this.smoothSpeedYLaunch = 11;
   }
 
   follow(target) {
     this._target = target;
   }
-
   setBounds(bounds) {
     this._bounds = bounds;
   }
 
-  update(dt, level) {
+  update(dt) {
     if (!this._target) return;
-
-    const target = this._target;
-    const centerX = this.x + this.width / 2;
-    const centerY = this.y + this.height / 2;
-
-    const speed = Math.abs(target.vx);
-    const dzX = speed > 8 ? 100 : this.deadZoneX;
-    const lead = sign(target.vx) * (speed > 8 ? this.lookAhead : 0);
-
-    const desiredX = target.x + lead;
-    const desiredY = target.y;
-
-    let nextX = this.x;
-    let nextY = this.y;
-
-    if (desiredX < centerX - dzX) nextX = this.x - (centerX - dzX - desiredX);
-    if (desiredX > centerX + dzX) nextX = this.x + (desiredX - (centerX + dzX));
-
-    if (desiredY < centerY - this.deadZoneY)
-      nextY = this.y - (centerY - this.deadZoneY - desiredY);
-    if (desiredY > centerY + this.deadZoneY)
-      nextY = this.y + (desiredY - (centerY + this.deadZoneY));
-
-    // Smooth follow: slightly slower vertically, a bit faster when falling.
-    const lerpX = 1 - Math.pow(0.001, dt); // ~0.1 at 60fps
-    const lerpYBase = 1 - Math.pow(0.0005, dt);
-    const lerpY = target.vy > 0 ? lerpYBase * 1.35 : lerpYBase;
-
-    this.x = lerp(this.x, nextX, lerpX);
-    this.y = lerp(this.y, nextY, lerpY);
-
+    const t = this._target;
+    const w = this.width;
+    const h = this.height;
+
+    // —— Desired camera center (world space) ——
+    // X: hero + look-ahead in movement direction (see upcoming platforms/enemies)
+    const speedX = Math.abs(t.vx);
+    const lookAhead = this.lookAheadBase + Math.min(speedX * 3, this.lookAheadMax - this.lookAheadBase);
+    const desiredCenterX = t.x + sign(t.vx) * lookAhead;
+
+    // Y: hero position minus offset so hero sits at (center + offset) on screen
+    // When jumping, use larger offset so hero is slightly lower on screen and we see more above
+    const inAir = !t.grounded;
+    const isLaunch = (t.springLaunchTimer && t.springLaunchTimer > 0) || t.vy < -7;
+    const heroOffsetY = inAir ? this.heroOffsetYAir : this.heroOffsetYGround;
+    const desiredCenterY = t.y + heroOffsetY;
+
+    // Desired camera position (top-left of viewport)
+    let desiredX = desiredCenterX - w / 2;
+    let desiredY = desiredCenterY - h / 2;
+
+    // —— Smooth damping (exponential ease toward desired) ——
+    // Vertical follow speed: much faster during spring/high jump so camera doesn't lag
+    let speedY = this.smoothSpeedYGround;
+    if (inAir) {
+      speedY = isLaunch ? this.smoothSpeedYLaunch : this.smoothSpeedYAir;
+    }
+    const dampX = 1 - Math.exp(-this.smoothSpeedX * dt);
+    const dampY = 1 - Math.exp(-speedY * dt);
+
+    this.x = lerp(this.x, desiredX, dampX);
+    this.y = lerp(this.y, desiredY, dampY);
+
+    // Clamp within level bounds (no snap, we already moved smoothly)
     const b = this._bounds;
     this.x = clamp(this.x, b.left, b.right);
     this.y = clamp(this.y, b.top, b.bottom);
+
+    // Integer camera position = crisp rendering, no subpixel jitter
+    this.x = Math.round(this.x);
+    this.y = Math.round(this.y);
   }
 
   worldToScreen(wx, wy) {
     return { x: wx - this.x, y: wy - this.y };
   }
 }
-
@@ -4,31 +4,50 @@ export const GAME = Object.freeze({
   maxDt: 1 / 20,
 });
 
-// Values here are in "pixels per frame" units (classic Sonic style),
-// but we integrate them in a time-scaled loop by multiplying by (dt * 60).
-// That keeps the numbers readable while still using requestAnimationFrame timing.
+// Values are in "pixels per frame" units; we scale by (dt * 60).
 export const PHYS = Object.freeze({
   gravity: 0.21875,
   terminalVel: 16,
-
   topSpeed: 6,
   maxSpeedRolling: 16,
-
   groundAccel: 0.046875,
   groundDecel: 0.5,
   groundFriction: 0.046875,
-
   airAccel: 0.09375,
-
-  jumpVel: 6.5, // applied upward as -jumpVel
+  jumpVel: 6.5,
   jumpCutMultiplier: 0.5,
-
   rollFriction: 0.0234375,
   rollDecelFlat: 0.125,
+  // Spin dash: launch speed goes from spinDashBase at no rev to maxSpeedRolling at spinDashRevMax.
+  spinDashBase: 8,
+  spinDashRevStep: 2,
+  spinDashRevMax: 8,
+  breakSpeed: 4, // slowest roll that still smashes breakable walls
+  airDrag: 0.03125, // classic model: share of vx lost per frame near the top of a jump
+  // Slopes: running speed scales by 1 ± sin(angle) * slopeSpeedScale (uphill slower, downhill faster);
+  // a rolling hero with no input is pushed along the surface by sin(angle) * slopeRoll{Up,Down}.
+  slopeSpeedScale: 0.5,
+  slopeRollUp: 0.078125,
+  slopeRollDown: 0.3125,
+  slopeMaxClimb: 2, // steepest rise per px the hero can run up (~63°); steeper terrain is a wall
+  slopeFactor: 0.125, // gravity along the ground (classic model on slopes; loops and quarter pipes)
+  curveDetachSpeed: 2.5, // below this the hero falls off walls and ceilings
+});
+
+// Underwater tuning: shares of the PHYS values plus the air supply. Levels override any of them
+// with `waterTuning` (see levels/format).
+export const WATER_DEFAULTS = Object.freeze({
+  gravity: 0.35, // share of PHYS.gravity
+  jump: 0.6, // share of PHYS.jumpVel
+  speed: 0.5, // share of PHYS.topSpeed; diving in also cuts vx by this much
+  air: 20, // seconds of air from a full breath
+  warn: 5, // HUD countdown shows for the last few seconds of air
 });
 
-export const INPUT = Object.freeze({
-  jumpBufferSeconds: 5 / 60, // 5 frames
-  coyoteSeconds: 6 / 60, // 6 frames
+export const INPUT_CONST = Object.freeze({
+  jumpBufferSeconds: 5 / 60,
+  coyoteSeconds: 6 / 60,
 });
 
+export const GAME_WIDTH = 960;
+export const GAME_HEIGHT = 540;
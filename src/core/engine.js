@@ -1,27 +1,144 @@
+import { MOVEMENT_MODELS } from "../game/player.js";
+import { LEVEL_DEFS } from "../levels/environments.js";
+import { generateLevelData, randomSeedString } from "../levels/generator.js";
+import { createLevel, createLevelFromData, getLevelTasks } from "../levels/level.js";
+import { cloneLevelData } from "../ui/editor.js";
+import { LEVEL_SELECT } from "../ui/hud.js";
+import { getMusicMuted, getSfxMuted, playSound, setMusicMuted, setSfxMuted } from "./audio.js";
 import { GAME } from "./constants.js";
+import { EventBus } from "./events.js";
+import { clamp, createRng } from "./math.js";
+import { REPLAY_SPEEDS, ReplayInput, ReplayRecorder, createReplayLevel } from "./replay.js";
 
-const GameState = Object.freeze({
+export const GameState = Object.freeze({
   title: "title",
+  levelSelect: "levelSelect",
   playing: "playing",
   paused: "paused",
+  editor: "editor",
+  results: "results",
+  replay: "replay",
 });
 
+const GOAL_NOTICE_DISTANCE = 480; // px before the signpost where a locked goal gets called out
+
+// Results tally (Sonic-style): [max seconds, bonus] rows, first match wins.
+const TIME_BONUS = [[30, 50000], [45, 10000], [60, 5000], [90, 4000], [120, 3000], [180, 2000], [240, 1000], [300, 500]];
+const RING_BONUS = 100; // per ring held at the goal
+const TASK_BONUS = Object.freeze({ mandatory: 1000, optional: 2000 });
+const NO_SHIELD_BONUS = 5000;
+const RESULTS_INTRO = 0.8; // seconds before the bonuses start counting
+const TALLY_RATE = 10000; // points per second moved from each bonus into the score
+const TALLY_TICK = 1 / 15; // seconds between tick sounds while counting
+
+// Sounds for gameplay events (see core/events). Ring losses and lost lives stay silent; the spin dash
+// rev is pitched by its charge in _subscribeEffects.
+const EVENT_SOUNDS = Object.freeze({
+  coinCollected: "coin",
+  powerUpCollected: "power",
+  magnetExpired: "magnetDeactivate",
+  enemyHit: "enemyHit",
+  enemyKilled: "enemyHit",
+  bossHit: "bossHit",
+  bossDefeated: "bossExplode",
+  shotFired: "shoot",
+  springLaunched: "spring",
+  spinDashReleased: "spinDash",
+  wallBroken: "wallBreak",
+  crumbleFell: "crumble",
+  waterSplash: "splash",
+  airWarning: "airWarn",
+  airRefilled: "airBubble",
+  checkpointReached: "checkpoint",
+  taskCompleted: "power",
+  goalLocked: "menuLocked",
+});
+const DAMAGE_SOUNDS = Object.freeze({ shield: "enemyHit", shieldBreak: "enemyHit", shrink: "enemyHit" });
+
+function getTimeBonus(seconds) {
+  const row = TIME_BONUS.find(([max]) => seconds < max);
+  return row ? row[1] : 0;
+}
+
 export class GameEngine {
-  constructor({ canvas, ctx, input, level, player, camera, hud }) {
+  constructor({ canvas, ctx, input, level, player, camera, hud, titleLogo = null, pauseMenuEl = null, settingsMenuEl = null, editor = null, endlessSeed = null, save = null, simSeed = null }) {
     this.canvas = canvas;
     this.ctx = ctx;
     this.input = input;
-    this.level = level;
     this.player = player;
+    // Gameplay events from the level and the hero; sounds and screen kicks below, anything else may subscribe too.
+    this.events = new EventBus();
+    this.player.events = this.events;
+    this.level = level; // the setter hooks every level up to the bus
     this.camera = camera;
     this.hud = hud;
-
+    this.titleLogo = titleLogo;
+    this.pauseMenuEl = pauseMenuEl;
+    this.settingsMenuEl = settingsMenuEl;
+    this.editor = editor;
+    this.save = save; // SaveStore, or null to play without persistence
+    this._playTesting = false;
+    this.endlessSeed = endlessSeed; // preset from the page URL (?seed=), otherwise rolled per run
+    this.endless = null; // { seed, stage } while an endless run is active
+    this.settingsOpen = false;
+    this.openedFromPause = false;
+    this._titleScreenShownAt = undefined;
+    this._screenShake = 0;
+    this._screenZoom = 0;
+    this._wasShieldActive = false;
+    this._wasMagnetActive = false;
+    this._sirenFlash = 0;
     this.state = GameState.title;
     this._running = false;
-
     this._accumulator = 0;
     this._last = 0;
+    // Two clocks: _timeSeconds only moves with fixed simulation steps (gameplay reads nothing else),
+    // _renderTime follows the wall clock and drives animation, menus and screen effects.
     this._timeSeconds = 0;
+    this._renderTime = 0;
+    this._inputOnSimClock = false;
+    this.fixedSimSeed = simSeed; // preset from the page URL (?sim=) to reproduce a run, otherwise rolled per run
+    this.simSeed = simSeed ?? randomSeedString();
+    this.rng = createRng(this.simSeed); // every gameplay random draw comes from here
+    this.levelIndex = 0;
+    this.levelSelectCursor = 0;
+    this.objectivesOpen = true; // HUD task checklist expanded
+    this.results = null; // end-of-level tally while state === results
+    this._runSource = null; // { level } | { endless, stage } of the attempt in progress; null for play-tests
+    this.recorder = null; // ReplayRecorder of the current (or last finished) attempt
+    this.replay = null; // playback state while state === replay
+    this.gameOver = false;
+    this._bossHpDisplay = 0;
+    this._subscribeEffects();
+    this.applySaveSettings();
+  }
+
+  _subscribeEffects() {
+    for (const [type, sound] of Object.entries(EVENT_SOUNDS)) this.events.on(type, () => playSound(sound));
+    this.events.on("playerDamaged", ({ outcome }) => {
+      if (DAMAGE_SOUNDS[outcome]) playSound(DAMAGE_SOUNDS[outcome]);
+    });
+    this.events.on("spinDashRevved", ({ charge }) => playSound("spinRev", 1 + charge * 0.6));
+    this.events.on("shotFired", () => this._kickScreen(0.12, 0.2, 0.08));
+    this.events.on("springLaunched", () => this._kickScreen(0.15, 0.22, 0.1));
+  }
+
+  // Levels are swapped in all over (level select, endless stages, replays, the editor): each one
+  // announces its events on the engine's bus.
+  get level() {
+    return this._level;
+  }
+
+  set level(level) {
+    this._level = level;
+    level.events = this.events;
+  }
+
+  // Brief shake, zoom punch and siren flash; each fades out in tick().
+  _kickScreen(shake, zoom, flash) {
+    this._screenShake = shake;
+    this._screenZoom = zoom;
+    this._sirenFlash = flash;
   }
 
   start() {
@@ -35,80 +152,654 @@ export class GameEngine {
     if (!this._running) return;
     const dt = Math.min(GAME.maxDt, (nowMs - this._last) / 1000);
     this._last = nowMs;
+    this.tick(dt);
+    requestAnimationFrame((t) => this._frame(t));
+  }
+
+  // One display frame: input, menus, fixed simulation steps, drawing. Headless runs call it directly.
+  tick(dt) {
+    this._renderTime += dt;
 
-    this._timeSeconds += dt;
-    this.input.beginFrame(this._timeSeconds);
+    // The jump buffer is timed on the clock of whatever reads it: the simulation while playing, menus otherwise.
+    const onSimClock = this.state === GameState.playing && !this.settingsOpen;
+    if (onSimClock !== this._inputOnSimClock) this.input.consumeJumpBuffer();
+    this._inputOnSimClock = onSimClock;
+    this.input.beginFrame(onSimClock ? this._timeSeconds : this._renderTime);
+
+    if (this.settingsOpen) {
+      this._render();
+      this.input.endFrame();
+      return;
+    }
 
     if (this.state === GameState.title) {
-      // Any jump/move starts.
-      if (
-        this.input.left() ||
-        this.input.right() ||
-        this.input.up() ||
-        this.input.down() ||
-        this.input.jumpBuffered(this._timeSeconds)
-      ) {
-        this.state = GameState.playing;
+      // Number keys (1–10) open the level select on that zone.
+      const sel = this.input.consumeLevelSelect();
+      const startPressed =
+        this.input.up() || this.input.down() || this.input.jumpBuffered(this._renderTime);
+      if (this.editor && this.input.editorPressed()) {
+        this.openEditor();
+      } else if (this.input.endlessPressed()) {
+        this.startEndless(this.endlessSeed ?? randomSeedString());
+      } else if (sel != null || startPressed) {
+        this.openLevelSelect(sel ?? this.levelIndex);
         this.input.consumeJumpBuffer();
       }
+    } else if (this.state === GameState.levelSelect) {
+      this._updateLevelSelect();
+    } else if (this.state === GameState.results) {
+      this._updateResults(dt);
+    } else if (this.state === GameState.replay) {
+      this._updateReplay(dt);
+    } else if (this.state === GameState.editor) {
+      if (this.input.editorPressed()) this.closeEditor();
+      else this.editor.update(dt, this.input);
+    } else if (this._playTesting && this.input.editorPressed()) {
+      this.returnToEditor();
     }
 
-    if (this.input.resetPressed()) {
-      this._reset();
+    if (this.input.resetPressed() && this.state !== GameState.editor) this._reset();
+    if (this.input.objectivesPressed() && (this.state === GameState.playing || this.state === GameState.paused || this.state === GameState.replay)) {
+      this.objectivesOpen = !this.objectivesOpen;
     }
-
-    if (this.input.pausePressed() && this.state !== GameState.title) {
+    const inMenu =
+      this.state === GameState.title ||
+      this.state === GameState.levelSelect ||
+      this.state === GameState.editor ||
+      this.state === GameState.results ||
+      this.state === GameState.replay;
+    if (this.input.pausePressed() && !inMenu && !this.settingsOpen) {
       this.state = this.state === GameState.paused ? GameState.playing : GameState.paused;
     }
+    // Music mute/unmute (1 = mute, 2 = unmute) — instant, affects only background music
+    if (this.input.musicMutePressed()) setMusicMuted(true);
+    if (this.input.musicUnmutePressed()) setMusicMuted(false);
+    if (this.input.musicMutePressed() || this.input.musicUnmutePressed()) this.saveSettings();
+
+    if (this.state === GameState.title) {
+      if (this._titleScreenShownAt === undefined) this._titleScreenShownAt = this._renderTime;
+    } else {
+      this._titleScreenShownAt = undefined;
+    }
 
     if (this.state === GameState.playing) {
-      // Fixed-step simulation for consistent feel.
       this._accumulator += dt;
       while (this._accumulator >= GAME.fixedDt) {
+        if (this.recorder && !this.gameOver && !this.results) this.recorder.capture(this.input);
+        this._timeSeconds += GAME.fixedDt;
         this._step(GAME.fixedDt);
+        this.input.takeJumpBufferEvent(); // buffer consumed by the step itself; playback repeats that on its own
         this._accumulator -= GAME.fixedDt;
       }
     }
+    if (this.state === GameState.playing || this.state === GameState.replay) {
+      this._screenShake = Math.max(0, this._screenShake - dt * 12);
+      this._screenZoom = Math.max(0, this._screenZoom - dt * 6);
+      this._sirenFlash = Math.max(0, this._sirenFlash - dt * 18);
+    }
 
     this._render();
     this.input.endFrame();
-
-    requestAnimationFrame((t) => this._frame(t));
   }
 
   _reset() {
-    this.player.respawn({ x: 80, y: 220 });
-    this.level.reset();
+    this.levelIndex = 0;
+    this.gameOver = false;
+    this.player.lives = 5;
+    this.player.rings = 0;
+    this.player.score = 0;
+    this.level = createLevel(this.levelIndex);
+    this.player.setSpawn(this.level.spawn);
+    this.player.respawn(this.level.spawn);
+    this._bossHpDisplay = 0;
     this.state = GameState.title;
+    this._titleScreenShownAt = undefined;
     this._accumulator = 0;
     this._timeSeconds = 0;
+    this._playTesting = false;
+    this.endless = null;
+    this.results = null;
+    if (this.replay) {
+      this.player.movement = this.replay.savedMovement;
+      this.replay = null;
+    }
+  }
+
+  resume() {
+    if (this.state === GameState.paused) this.state = GameState.playing;
+  }
+
+  // Without a save every zone is open; otherwise zones up to the furthest one reached.
+  isLevelUnlocked(levelIndex) {
+    return !this.save || levelIndex <= this.save.data.highestLevel;
+  }
+
+  openLevelSelect(cursor = this.levelIndex) {
+    this.levelSelectCursor = clamp(cursor, 0, LEVEL_DEFS.length - 1);
+    this.state = GameState.levelSelect;
+  }
+
+  // Grid navigation: left/right step through zones, up/down jump a row.
+  _updateLevelSelect() {
+    const count = LEVEL_DEFS.length;
+    const cols = LEVEL_SELECT.cols;
+    let cursor = this.levelSelectCursor;
+    const sel = this.input.consumeLevelSelect();
+    if (sel != null) cursor = sel;
+    if (this.input.leftPressed()) cursor = (cursor - 1 + count) % count;
+    if (this.input.rightPressed()) cursor = (cursor + 1) % count;
+    if (this.input.upPressed()) cursor = (cursor - cols + count) % count;
+    if (this.input.downPressed()) cursor = (cursor + cols) % count;
+    if (cursor !== this.levelSelectCursor) playSound("menuMove");
+    this.levelSelectCursor = cursor;
+
+    if (this.input.backPressed()) {
+      this.state = GameState.title;
+    } else if (this.input.jumpBuffered(this._renderTime) || this.input.pausePressed()) {
+      this.input.consumeJumpBuffer();
+      this.pickLevel(cursor);
+    }
+  }
+
+  // Starts the zone if it is unlocked (touch taps and the confirm button both end up here).
+  pickLevel(levelIndex) {
+    this.levelSelectCursor = levelIndex;
+    if (!this.isLevelUnlocked(levelIndex)) {
+      playSound("menuLocked");
+      return;
+    }
+    this.levelIndex = levelIndex;
+    this.level = createLevel(levelIndex);
+    this._beginRun({ level: levelIndex });
+    this._bossHpDisplay = 0;
+    this.player.setSpawn(this.level.spawn);
+    this.player.respawn(this.level.spawn);
+    this.state = GameState.playing;
+  }
+
+  // Plays a ready-made Level from its spawn (the headless test fixture). It is neither a built-in level
+  // nor an endless stage, so the attempt is not recorded for replays and a clear is not saved.
+  playLevel(level) {
+    this.endless = null;
+    this.level = level;
+    this._beginRun();
+    this._bossHpDisplay = 0;
+    this.player.setSpawn(level.spawn);
+    this.player.respawn(level.spawn);
+    this.gameOver = false;
+    this.state = GameState.playing;
+  }
+
+  _levelSelectView() {
+    return {
+      cursor: this.levelSelectCursor,
+      entries: LEVEL_DEFS.map((def, i) => {
+        const record = this.save ? this.save.getLevelRecord(i) : null;
+        return {
+          def,
+          unlocked: this.isLevelUnlocked(i),
+          record,
+          tasks: getLevelTasks(i).map((t) => ({
+            description: t.description,
+            mandatory: !!t.mandatory,
+            done: !!record && record.tasks.includes(t.id),
+          })),
+        };
+      }),
+    };
+  }
+
+  replayLevel() {
+    if (this.state !== GameState.paused && !this.gameOver) return;
+    this.level.reset();
+    this._beginRun(this._runSource);
+    this.player.setSpawn(this.level.spawn);
+    this.player.respawn(this.level.spawn);
+    this._bossHpDisplay = 0;
+    this.state = GameState.playing;
+    this.gameOver = false;
+  }
+
+  exitToMenu() {
+    if (this.state === GameState.paused || this.gameOver) this._reset();
+  }
+
+  openSettings(fromPause) {
+    this.settingsOpen = true;
+    this.openedFromPause = !!fromPause;
+    if (this.state === GameState.playing) this.state = GameState.paused;
+  }
+
+  closeSettings() {
+    this.settingsOpen = false;
+  }
+
+  getMovementModel() {
+    return this.player.movement;
+  }
+
+  setMovementModel(model) {
+    if (!MOVEMENT_MODELS.includes(model)) return;
+    this.player.movement = model;
+    this.saveSettings();
+  }
+
+  // Audio, movement model and key bindings from the active save slot.
+  applySaveSettings() {
+    if (!this.save) return;
+    const { settings } = this.save.data;
+    setMusicMuted(settings.musicMuted);
+    setSfxMuted(settings.sfxMuted);
+    this.player.movement = settings.movement;
+    this.input.bindings = this.save.getBindings();
+  }
+
+  saveSettings() {
+    if (!this.save) return;
+    this.save.updateSettings({ musicMuted: getMusicMuted(), sfxMuted: getSfxMuted(), movement: this.player.movement });
+  }
+
+  selectSaveSlot(slot) {
+    if (!this.save) return;
+    this.save.selectSlot(slot);
+    this.applySaveSettings();
+  }
+
+  // Best score / time and completed tasks for the built-in level just cleared; elapsed is the clear
+  // time the results screen showed.
+  _recordLevelClear(elapsed) {
+    if (!this.save) return;
+    const progress = this.level.getProgress();
+    const taskIds = new Set(getLevelTasks(this.levelIndex).map((t) => t.id));
+    this.save.recordLevelClear(this.levelIndex, {
+      score: this.player.score - (progress.startScore || 0),
+      time: elapsed,
+      tasks: [...this.level.getCompletedTasks()].filter((id) => taskIds.has(id)),
+      stars: this.level.getStarRating(),
+    });
+  }
+
+  openEditor() {
+    if (!this.editor) return;
+    this.editor.open(this.level.data);
+    this.state = GameState.editor;
+    this._playTesting = false;
+  }
+
+  // Leaves the editor for the title screen; the edited level becomes the current one if it is valid.
+  closeEditor() {
+    try {
+      this.level = createLevelFromData(cloneLevelData(this.editor.data));
+    } catch {
+      // keep the last valid level; the editor panel already lists the errors
+    }
+    this.player.setSpawn(this.level.spawn);
+    this.player.respawn(this.level.spawn);
+    this._bossHpDisplay = 0;
+    this.input.consumeLevelSelect();
+    this.state = GameState.title;
+  }
+
+  // Throws when the edited level has validation errors.
+  startPlayTest(spawn) {
+    this.level = createLevelFromData(cloneLevelData(this.editor.data));
+    this._beginRun();
+    this.player.lives = 5;
+    this.player.rings = 0;
+    this.player.setSpawn(spawn);
+    this.player.respawn(spawn);
+    this.camera.x = clamp(spawn.x - this.canvas.width / 2, 0, Math.max(0, this.level.width - this.canvas.width));
+    this.camera.y = clamp(spawn.y - this.canvas.height / 2, 0, Math.max(0, this.level.height - this.canvas.height));
+    this._bossHpDisplay = 0;
+    this._accumulator = 0;
+    this.gameOver = false;
+    this._playTesting = true;
+    this.state = GameState.playing;
+  }
+
+  // Endless run: stage N plays the level generated from "<seed>/N", one difficulty step per stage.
+  startEndless(seed) {
+    this.endless = { seed: String(seed), stage: 0 };
+    this.player.lives = 5;
+    this.player.rings = 0;
+    this.player.score = 0;
+    this._loadEndlessStage();
+    this._accumulator = 0;
+    this.gameOver = false;
+    this.state = GameState.playing;
+  }
+
+  _loadEndlessStage() {
+    const { seed, stage } = this.endless;
+    this.level = createLevelFromData(generateLevelData({ seed: `${seed}/${stage + 1}`, difficulty: stage }));
+    this._beginRun({ endless: seed, stage });
+    this._bossHpDisplay = 0;
+    this.player.setSpawn(this.level.spawn);
+    this.player.respawn(this.level.spawn);
+  }
+
+  returnToEditor() {
+    this._playTesting = false;
+    this.gameOver = false;
+    this.state = GameState.editor;
+    this.editor.applyCamera();
   }
 
   _step(dt) {
-    this.player.update(dt, this.input, this.level, this._timeSeconds);
-    this.level.update(dt, this.player);
-    this.camera.update(dt, this.level);
+    if (this.gameOver || this.results) return;
+    const input = this.replay ? this.replay.input : this.input;
+
+    // Handle shooting when gun power is active (permanently unlocked after green coin).
+    if (this.player.hasGunPower && input.shootPressed()) {
+      if (this.player.gunCooldown <= 0) {
+        const dir = input.left() && !input.right() ? -1 : 1;
+        const bulletX = this.player.x + dir * 24;
+        const bulletY = this.player.y - 24;
+        this.level.spawnBullet(bulletX, bulletY, dir);
+        this.player.gunCooldown = 0.25;
+        this.player.shootFlash = 0.15;
+        this.events.emit("shotFired", { x: bulletX, y: bulletY, dir });
+      }
+    }
+
+    const wasMagnetActive = this.player.magnetTimer > 0;
+    this.player.update(dt, input, this.level, this._timeSeconds);
+
+    if (this.player.shieldActive && !this._wasShieldActive) this._kickScreen(0.08, 0.14, 0.06);
+    this._wasShieldActive = this.player.shieldActive;
+    this.level.update(dt, this.player, this._timeSeconds, this.rng);
+    if (this.player._lostLife) {
+      this.player._lostLife = false;
+      this.level.restoreCheckpoint(this.player, this._timeSeconds);
+    }
+    if (wasMagnetActive && this.player.magnetTimer === 0) this.events.emit("magnetExpired");
+    const boss = this.level.getBoss ? this.level.getBoss() : null;
+    const targetHp = boss && boss.alive ? boss.hp : 0;
+    this._bossHpDisplay += (targetHp - this._bossHpDisplay) * Math.min(1, 10 * dt);
+    if (boss && !boss.alive) this._bossHpDisplay = Math.max(0, this._bossHpDisplay);
+    this.camera.setBounds({
+      left: 0,
+      right: this.level.width - this.canvas.width,
+      top: 0,
+      bottom: this.level.height - this.canvas.height,
+    });
+    this.camera.update(dt);
+
+    if (this.player.lives <= 0) {
+      this.gameOver = true;
+      return;
+    }
+
+    // Goal: pass the signpost AFTER defeating the boss.
+    if (
+      this.player.x >= this.level.goalX &&
+      this.player.grounded &&
+      this.level.isGoalOpen()
+    ) {
+      if (this.replay) {
+        this.replay.ended = true;
+        return;
+      }
+      if (this._playTesting) {
+        this.returnToEditor();
+        return;
+      }
+      this._beginResults();
+    }
+  }
+
+  // Freezes play on the cleared level and lines up the bonuses for the tally. Called on the step the
+  // level is cleared, so the clock reads the clear time.
+  _beginResults() {
+    const progress = this.level.getProgress();
+    const elapsed = this._timeSeconds - (progress.startTime ?? this._timeSeconds);
+    const completed = this.level.getCompletedTasks();
+    const tasks = this.level.getTasks().filter((t) => completed.has(t.id));
+    const bonuses = [
+      { label: "TIME BONUS", value: getTimeBonus(elapsed) },
+      { label: "RING BONUS", value: this.player.rings * RING_BONUS },
+      { label: "TASK BONUS", value: tasks.reduce((sum, t) => sum + (t.mandatory ? TASK_BONUS.mandatory : TASK_BONUS.optional), 0) },
+    ];
+    if (progress.bossDefeatedNoShield) bonuses.push({ label: "NO SHIELD BONUS", value: NO_SHIELD_BONUS });
+    this.results = {
+      levelName: this.endless ? `ENDLESS STAGE ${this.endless.stage + 1}` : this.level.def.name,
+      elapsed,
+      stars: this.level.getStarRating(),
+      bonuses: bonuses.map((b) => ({ ...b, left: b.value })),
+      timer: 0,
+      tickTimer: 0,
+      done: false,
+    };
+    this.state = GameState.results;
+    this.input.consumeJumpBuffer();
+    this.events.emit("levelCompleted", { levelName: this.results.levelName, elapsed, stars: this.results.stars });
+  }
+
+  // Counts every bonus into the score at TALLY_RATE; JUMP skips the count, then continues once it is done.
+  _updateResults(dt) {
+    const r = this.results;
+    r.timer += dt;
+    const confirm = this.input.jumpBuffered(this._renderTime) || this.input.pausePressed();
+    if (confirm) this.input.consumeJumpBuffer();
+    if (r.done) {
+      if (confirm) this._finishResults();
+      return;
+    }
+    if (r.timer < RESULTS_INTRO && !confirm) return;
+    const step = confirm ? Infinity : Math.ceil(TALLY_RATE * dt);
+    for (const b of r.bonuses) {
+      const moved = Math.min(b.left, step);
+      b.left -= moved;
+      this.player.score += moved;
+    }
+    if (r.bonuses.every((b) => b.left === 0)) {
+      r.done = true;
+      playSound("tallyDone");
+      return;
+    }
+    r.tickTimer -= dt;
+    if (r.tickTimer <= 0) {
+      r.tickTimer = TALLY_TICK;
+      playSound("tally");
+    }
+  }
+
+  _finishResults() {
+    const { elapsed } = this.results;
+    this.results = null;
+    this.state = GameState.playing;
+    this._accumulator = 0;
+    if (this.endless) {
+      this.endless.stage += 1;
+      this._loadEndlessStage();
+      return;
+    }
+    if (this._runSource) this._recordLevelClear(elapsed);
+    this.levelIndex += 1;
+    if (this.levelIndex >= LEVEL_DEFS.length) {
+      // Finished all 10 levels: loop back to title.
+      this._reset();
+      return;
+    }
+    this.level = createLevel(this.levelIndex);
+    this._beginRun({ level: this.levelIndex });
+    this._bossHpDisplay = 0;
+    this.player.setSpawn(this.level.spawn);
+    this.player.respawn(this.level.spawn);
+  }
+
+  // Every level attempt starts the simulation afresh: clock at zero and a newly seeded rng,
+  // so the seed plus the inputs fed to _step reproduce the attempt exactly. Attempts with a source
+  // (not play-tests) are recorded for replays.
+  _beginRun(source = null) {
+    this.simSeed = this.fixedSimSeed ?? randomSeedString();
+    this.rng = createRng(this.simSeed);
+    this._timeSeconds = 0;
+    this._accumulator = 0;
+    this.input.consumeJumpBuffer(); // a press timed on the previous clock must not leak into the new one
+    this._runSource = source;
+    const { lives, rings, score, facing } = this.player;
+    this.recorder = source
+      ? new ReplayRecorder({ source, simSeed: this.simSeed, movement: this.player.movement, player: { lives, rings, score, facing } })
+      : null;
+  }
+
+  // JSON for the current (or last finished) attempt, or null when nothing has been recorded.
+  exportReplay() {
+    return this.recorder && this.recorder.input.length > 0 ? this.recorder.toJson() : null;
+  }
+
+  // Plays a parsed replay (see parseReplay) from its start; nothing is recorded or saved meanwhile.
+  playReplay(replay) {
+    const savedMovement = this.replay ? this.replay.savedMovement : this.player.movement;
+    const { source } = replay;
+    this.level = createReplayLevel(source);
+    this.endless = source.endless != null ? { seed: source.endless, stage: source.stage } : null;
+    if (source.level != null) this.levelIndex = source.level;
+    this.simSeed = replay.simSeed;
+    this.rng = createRng(replay.simSeed);
+    this._timeSeconds = 0;
+    this._accumulator = 0;
+    Object.assign(this.player, replay.player);
+    this.player.movement = replay.movement;
+    this.player.setSpawn(this.level.spawn);
+    this.player.respawn(this.level.spawn);
+    this._bossHpDisplay = 0;
+    this.gameOver = false;
+    this.results = null;
+    this._playTesting = false;
+    this.replay = {
+      data: replay,
+      input: new ReplayInput(),
+      step: 0,
+      paused: false,
+      speedIndex: REPLAY_SPEEDS.indexOf(1),
+      ended: replay.input.length === 0,
+      savedMovement,
+    };
+    this.state = GameState.replay;
+  }
+
+  // Playback transport: pause toggles, up / down change speed, right steps one frame while paused, back exits.
+  _updateReplay(dt) {
+    const r = this.replay;
+    if (this.input.backPressed()) {
+      this._reset();
+      return;
+    }
+    if (this.input.pausePressed()) r.paused = !r.paused;
+    if (this.input.upPressed()) r.speedIndex = Math.min(REPLAY_SPEEDS.length - 1, r.speedIndex + 1);
+    if (this.input.downPressed()) r.speedIndex = Math.max(0, r.speedIndex - 1);
+    if (r.paused) {
+      if (this.input.rightPressed()) this._replayStep();
+      return;
+    }
+    this._accumulator += dt * REPLAY_SPEEDS[r.speedIndex];
+    while (this._accumulator >= GAME.fixedDt && !r.ended) {
+      this._replayStep();
+      this._accumulator -= GAME.fixedDt;
+    }
+  }
+
+  // One fixed step driven by the next recorded mask, timed exactly like the live loop.
+  _replayStep() {
+    const r = this.replay;
+    if (r.ended) return;
+    r.input.load(r.data.input[r.step], this._timeSeconds);
+    r.step += 1;
+    this._timeSeconds += GAME.fixedDt;
+    this._step(GAME.fixedDt);
+    if (r.step >= r.data.input.length || this.gameOver) r.ended = true;
   }
 
   _render() {
     const ctx = this.ctx;
     const { width, height } = this.canvas;
-
+    // Reset state every frame so overlays never leave globalAlpha/transform dirty
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.globalAlpha = 1;
+    ctx.globalCompositeOperation = "source-over";
     ctx.clearRect(0, 0, width, height);
+    const inEditor = this.state === GameState.editor;
+    const level = inEditor ? this.editor.level : this.level;
+    ctx.fillStyle = level.def.sky;
+    ctx.fillRect(0, 0, width, height);
+
+    // Screen shake and zoom for gameplay only (deterministic = no flicker)
+    ctx.save();
+    const t = this._renderTime * 60;
+    const shakeMag = Math.min(1, this._screenShake * 12);
+    const shakeX = shakeMag > 0 ? Math.sin(t * 7.3) * this._screenShake * 4 : 0;
+    const shakeY = shakeMag > 0 ? Math.sin(t * 5.7 + 1) * this._screenShake * 3 : 0;
+    const zoom = 1 + Math.min(0.06, this._screenZoom);
+    ctx.translate(shakeX, shakeY);
+    ctx.translate(width / 2, height / 2);
+    ctx.scale(zoom, zoom);
+    ctx.translate(-width / 2, -height / 2);
 
-    // Background (simple parallax placeholders)
-    this.level.renderBackground(ctx, this.camera);
+    level.renderBackground(ctx, this.camera, this._renderTime);
+    level.render(ctx, this.camera, this._renderTime);
+    if (!inEditor) this.player.render(ctx, this.camera, this._renderTime);
+    level.renderWater(ctx, this.camera, this._renderTime);
+    ctx.restore();
 
-    // World
-    this.level.render(ctx, this.camera);
-    this.player.render(ctx, this.camera);
+    // Pause menu: show when paused and settings not open
+    if (this.pauseMenuEl) {
+      const showPause = this.state === GameState.paused && !this.settingsOpen;
+      this.pauseMenuEl.classList.toggle("visible", showPause);
+      this.pauseMenuEl.setAttribute("aria-hidden", showPause ? "false" : "true");
+    }
+    // Settings menu: show when open; "from-pause" shows Game options section
+    if (this.settingsMenuEl) {
+      this.settingsMenuEl.classList.toggle("visible", this.settingsOpen);
+      this.settingsMenuEl.classList.toggle("from-pause", this.openedFromPause);
+      this.settingsMenuEl.setAttribute("aria-hidden", this.settingsOpen ? "false" : "true");
+    }
+    if (this.editor) this.editor.setPanelVisible(inEditor);
+    if (inEditor) {
+      this.editor.renderOverlay(ctx);
+      return;
+    }
 
-    // HUD & overlays
+    // HUD always drawn outside shake/zoom = stable, no flickering UI
+    const boss = this.level.getBoss ? this.level.getBoss() : null;
     this.hud.render(ctx, {
       state: this.state,
       timeSeconds: this._timeSeconds,
+      renderTime: this._renderTime,
       player: this.player,
+      levelIndex: this.levelIndex,
+      levelName: this.level.def.name,
+      endless: this.endless,
+      endlessSeed: this.endlessSeed,
+      lives: this.player.lives,
+      gameOver: this.gameOver,
+      bossHp: boss && boss.alive ? boss.hp : 0,
+      bossHpDisplay: this._bossHpDisplay,
+      bossMaxHp: boss ? boss.maxHp : 0,
+      tasks: this.level.getTasks ? this.level.getTasks() : [],
+      progress: this.level.getProgress ? this.level.getProgress() : {},
+      completedTasks: this.level.getCompletedTasks ? this.level.getCompletedTasks() : new Set(),
+      justCompleted: this.level.getJustCompleted ? this.level.getJustCompleted() : null,
+      mandatoryComplete: this.level.areMandatoryTasksComplete ? this.level.areMandatoryTasksComplete() : true,
+      hasAliveBoss: this.level.hasAliveBoss ? this.level.hasAliveBoss() : false,
+      titleLogo: this.titleLogo,
+      titleScreenShownAt: this._titleScreenShownAt,
+      levelSelect: this.state === GameState.levelSelect ? this._levelSelectView() : null,
+      objectivesOpen: this.objectivesOpen,
+      results: this.results,
+      replay: this.replay
+        ? { step: this.replay.step, steps: this.replay.data.input.length, paused: this.replay.paused, speed: REPLAY_SPEEDS[this.replay.speedIndex], ended: this.replay.ended }
+        : null,
+      nearGoal: this.player.x >= this.level.goalX - GOAL_NOTICE_DISTANCE,
+      goalLockReason: this.level.getGoalLockReason(),
     });
+
+    // Subtle siren-like blue flash (fullscreen overlay, no transform)
+    if (this._sirenFlash > 0) {
+      const alpha = Math.min(0.12, this._sirenFlash * 1.5);
+      ctx.fillStyle = `rgba(40,80,180,${alpha})`;
+      ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    }
   }
 }
-
@@ -0,0 +1,86 @@
+// Gameplay event bus. Game logic announces what happened; audio, screen effects, HUD popups,
+// achievements and analytics subscribe instead of being called from inside the simulation.
+
+// Every event and the payload fields it always carries (emit() rejects a payload missing one):
+//   coinCollected      x, y, points          ring picked up (touched or pulled in by the magnet)
+//   powerUpCollected   kind                  kind: magnet | gun | shield | growth
+//   magnetExpired                            the coin magnet ran out
+//   enemyHit           enemy                 bullet hit an enemy that survived it
+//   enemyKilled        enemy, by, points     by: stomp | spin | bullet
+//   bossHit            boss, points          boss.hp is already reduced; boss.alive false on the last hit
+//   bossDefeated       boss, points          once per defeat, as the reward coins drop
+//   shotFired          x, y, dir             hero's gun; dir: -1 | 1
+//   springLaunched     spring                spring.dir: up | diag-left | diag-right
+//   spinDashRevved     charge                0..1 of the full rev
+//   spinDashReleased   charge
+//   wallBroken         wall, points          breakable wall smashed by a roll
+//   crumbleFell        crumble               crumbling ledge gave way
+//   waterSplash        x, y                  hero crossed a water surface at y
+//   airWarning         air                   seconds of air left, once per second while low
+//   airRefilled                              big bubble breathed
+//   checkpointReached  x, y                  starpost touched for the first time
+//   taskCompleted      task                  a level task ({ id, type, mandatory, ... }) just got done
+//   goalLocked         reason                hero ran into the signpost while it is shut (getGoalLockReason)
+//   playerDamaged      outcome, knockDir     outcome: shield | shieldBreak | rings | shrink | life
+//   lifeLost           cause, lives          cause: hit | crushed | drowned; lives is what is left
+//   levelCompleted     levelName, elapsed, stars
+// Handlers run synchronously in the middle of a simulation step: they may read game state but must not
+// change it, so replays and headless runs play out the same with or without subscribers.
+export const GAME_EVENTS = Object.freeze({
+  coinCollected: ["x", "y", "points"],
+  powerUpCollected: ["kind"],
+  magnetExpired: [],
+  enemyHit: ["enemy"],
+  enemyKilled: ["enemy", "by", "points"],
+  bossHit: ["boss", "points"],
+  bossDefeated: ["boss", "points"],
+  shotFired: ["x", "y", "dir"],
+  springLaunched: ["spring"],
+  spinDashRevved: ["charge"],
+  spinDashReleased: ["charge"],
+  wallBroken: ["wall", "points"],
+  crumbleFell: ["crumble"],
+  waterSplash: ["x", "y"],
+  airWarning: ["air"],
+  airRefilled: [],
+  checkpointReached: ["x", "y"],
+  taskCompleted: ["task"],
+  goalLocked: ["reason"],
+  playerDamaged: ["outcome", "knockDir"],
+  lifeLost: ["cause", "lives"],
+  levelCompleted: ["levelName", "elapsed", "stars"],
+});
+
+function checkType(type) {
+  if (!Object.hasOwn(GAME_EVENTS, type)) throw new Error(`Unknown game event "${type}"`);
+}
+
+export class EventBus {
+  constructor() {
+    this._handlers = new Map(); // type -> handlers in subscription order
+  }
+
+  // Returns a function that removes the handler again.
+  on(type, handler) {
+    checkType(type);
+    if (!this._handlers.has(type)) this._handlers.set(type, []);
+    this._handlers.get(type).push(handler);
+    return () => this.off(type, handler);
+  }
+
+  off(type, handler) {
+    const list = this._handlers.get(type);
+    if (!list) return;
+    const i = list.indexOf(handler);
+    if (i >= 0) list.splice(i, 1);
+  }
+
+  emit(type, payload = {}) {
+    checkType(type);
+    const missing = GAME_EVENTS[type].find((field) => !(field in payload));
+    if (missing) throw new Error(`Game event "${type}" is missing "${missing}"`);
+    const list = this._handlers.get(type);
+    if (!list) return;
+    for (const handler of [...list]) handler(payload);
+  }
+}
@@ -0,0 +1,150 @@
+// Node runner with a null renderer, null audio and scripted input.
+
+import { Player } from "../game/player.js";
+import { createLevel } from "../levels/level.js";
+import { createTestLevel } from "../levels/testLevel.js";
+import { Hud } from "../ui/hud.js";
+import { Camera } from "./camera.js";
+import { GAME, GAME_HEIGHT, GAME_WIDTH } from "./constants.js";
+import { GameEngine } from "./engine.js";
+import { InputHandler } from "./input.js";
+import { REPLAY_MAX_STEPS, parseReplay } from "./replay.js";
+
+// Imports nothing that touches the DOM, and audio is already silent under Node because AUDIO_ENABLED is
+// false. Typical gameplay test (`npm test` runs the ones in test/):
+//   import { HeadlessGame } from "./src/core/headless.js";
+//   const game = new HeadlessGame({ level: 2, seed: "test" });
+//   game.hold("right").step(240).tap("jump").step(60);
+//   const { rings, progress, bossHp } = game.snapshot();
+const NULL_EVENT_TARGET = Object.freeze({ addEventListener() {} });
+
+// Stands in for a CanvasRenderingContext2D: every method is a no-op, gradients and measureText come back
+// as inert objects and property writes are kept, so the normal render path runs without a canvas.
+export function createNullContext(canvas) {
+  const inert = { width: 0, addColorStop() {} };
+  const noop = () => inert;
+  return new Proxy(
+    { canvas },
+    {
+      get: (target, key) => (key in target ? target[key] : noop),
+      set: (target, key, value) => {
+        target[key] = value;
+        return true;
+      },
+    }
+  );
+}
+
+// A GameEngine advanced one fixed step per tick. level is a built-in level index, or "test" for the
+// fixture in levels/testLevel. Actions are DEFAULT_BINDINGS names; hold() keeps an action down until
+// release(), tap() presses it for the next tick only.
+export class HeadlessGame {
+  constructor({ level = 0, endless = null, seed = "headless", movement = "instant" } = {}) {
+    const canvas = { width: GAME_WIDTH, height: GAME_HEIGHT };
+    const start = createLevel(0);
+    this.input = new InputHandler(NULL_EVENT_TARGET);
+    this.player = new Player(start.spawn);
+    this.player.movement = movement;
+    this.engine = new GameEngine({
+      canvas,
+      ctx: createNullContext(canvas),
+      input: this.input,
+      level: start,
+      player: this.player,
+      camera: new Camera({ width: canvas.width, height: canvas.height }),
+      hud: new Hud(),
+      simSeed: seed,
+    });
+    this.engine.camera.follow(this.player);
+    this.frame = 0;
+    this._held = new Set();
+    this._tapped = new Set();
+    if (endless != null) this.engine.startEndless(endless);
+    else if (level === "test") this.engine.playLevel(createTestLevel());
+    else this.engine.pickLevel(level);
+  }
+
+  get level() {
+    return this.engine.level;
+  }
+
+  hold(...actions) {
+    for (const action of actions) {
+      if (this._held.has(action)) continue;
+      this._held.add(action);
+      this.input.setVirtualKey(this._code(action), true);
+    }
+    return this;
+  }
+
+  release(...actions) {
+    for (const action of actions) {
+      if (!this._held.delete(action)) continue;
+      this.input.setVirtualKey(this._code(action), false);
+    }
+    return this;
+  }
+
+  tap(action) {
+    this.hold(action);
+    this._tapped.add(action);
+    return this;
+  }
+
+  step(frames = 1) {
+    for (let i = 0; i < frames; i++) {
+      this.engine.tick(GAME.fixedDt);
+      this.frame += 1;
+      if (this._tapped.size > 0) {
+        this.release(...this._tapped);
+        this._tapped.clear();
+      }
+    }
+    return this;
+  }
+
+  // Steps until predicate(game) holds; false if it still does not after maxFrames.
+  stepUntil(predicate, maxFrames = 60 * 60) {
+    for (let i = 0; i < maxFrames; i++) {
+      if (predicate(this)) return true;
+      this.step();
+    }
+    return predicate(this);
+  }
+
+  // Plays a replay file (see core/replay) to its end.
+  playReplay(text) {
+    this.engine.playReplay(parseReplay(text));
+    this.stepUntil(() => this.engine.replay.ended, REPLAY_MAX_STEPS);
+    return this;
+  }
+
+  snapshot() {
+    const { engine, player, level } = this;
+    const boss = level.getBoss();
+    return {
+      frame: this.frame,
+      time: engine._timeSeconds,
+      state: engine.state,
+      gameOver: engine.gameOver,
+      x: player.x,
+      y: player.y,
+      vx: player.vx,
+      vy: player.vy,
+      grounded: player.grounded,
+      rings: player.rings,
+      score: player.score,
+      lives: player.lives,
+      progress: { ...level.getProgress() },
+      completedTasks: [...level.getCompletedTasks()],
+      bossHp: boss && boss.alive ? boss.hp : 0,
+      goalOpen: level.isGoalOpen(),
+    };
+  }
+
+  _code(action) {
+    const codes = this.input.bindings[action];
+    if (!codes || codes.length === 0) throw new Error(`Unknown action "${action}"`);
+    return codes[0];
+  }
+}
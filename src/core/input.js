@@ -1,31 +1,59 @@
-import { INPUT } from "./constants.js";
+import { INPUT_CONST } from "./constants.js";
 
-const DEFAULT_BINDINGS = Object.freeze({
-  left: ["ArrowLeft", "KeyA"],
-  right: ["ArrowRight", "KeyD"],
-  down: ["ArrowDown", "KeyS"],
-  up: ["ArrowUp", "KeyW"],
-  jump: ["Space", "KeyZ", "KeyX"],
-  pause: ["Enter", "KeyP"],
+// Touch* codes come from the on-screen buttons, Pad* codes from the first gamepad (see pollGamepad).
+export const DEFAULT_BINDINGS = Object.freeze({
+  left: ["ArrowLeft", "KeyA", "TouchLeft", "PadLeft"],
+  right: ["ArrowRight", "KeyD", "TouchRight", "PadRight"],
+  down: ["ArrowDown", "KeyS", "PadDown"],
+  up: ["ArrowUp", "KeyW", "PadUp"],
+  jump: ["Space", "KeyZ", "KeyX", "KeyC", "ShiftLeft", "ShiftRight", "TouchJump", "PadA"],
+  shoot: ["KeyF", "ControlLeft", "ControlRight", "TouchShoot", "PadX"],
+  shield: ["KeyE", "TouchShield", "PadY"],
+  pause: ["Enter", "KeyP", "TouchPause", "PadStart"],
+  back: ["Escape", "Backspace", "PadB"],
+  objectives: ["KeyO", "PadSelect"],
   reset: ["KeyR"],
+  musicMute: ["Digit1"],
+  musicUnmute: ["Digit2"],
+  editor: ["KeyL"],
+  endless: ["KeyN"],
 });
 
+// Standard-mapping gamepad buttons; the left stick doubles as the d-pad.
+const GAMEPAD_BUTTONS = Object.freeze({ 0: "PadA", 1: "PadB", 2: "PadX", 3: "PadY", 8: "PadSelect", 9: "PadStart", 12: "PadUp", 13: "PadDown", 14: "PadLeft", 15: "PadRight" });
+const GAMEPAD_DEADZONE = 0.5;
+
+export function isTextEntryTarget(target) {
+  return !!target && (target.tagName === "INPUT" || target.tagName === "TEXTAREA" || target.tagName === "SELECT");
+}
+
 export class InputHandler {
   constructor(target = window, bindings = DEFAULT_BINDINGS) {
     this.bindings = bindings;
-
     this._down = new Set();
     this._pressedThisFrame = new Set();
     this._releasedThisFrame = new Set();
-
-    // Derived / buffered controls
     this._jumpBufferedUntil = 0;
+    this._jumpBufferEvent = null; // "arm" | "clear": last change to the jump buffer, taken by replay recording
     this._jumpReleasedThisFrame = false;
+    this._levelSelectIndex = null;
+    this._padDown = new Set(); // Pad* codes held at the last poll
 
     target.addEventListener("keydown", (e) => {
       if (e.repeat) return;
+      // Typing into editor/settings fields must not drive the game.
+      if (isTextEntryTarget(e.target)) return;
       this._down.add(e.code);
       this._pressedThisFrame.add(e.code);
+
+      // Capture level select keys (1–9, 0) for title screen.
+      if (e.code.startsWith("Digit")) {
+        const n = e.code === "Digit0" ? 10 : Number(e.key);
+        if (!Number.isNaN(n)) {
+          const idx = (n - 1 + 10) % 10;
+          this._levelSelectIndex = idx;
+        }
+      }
     });
     target.addEventListener("keyup", (e) => {
       this._down.delete(e.code);
@@ -34,51 +62,126 @@ export class InputHandler {
   }
 
   beginFrame(nowSeconds) {
-    // Update edge-triggered fields.
+    this.pollGamepad();
     this._jumpReleasedThisFrame = this._anyJustReleased("jump");
-
     if (this._anyJustPressed("jump")) {
-      this._jumpBufferedUntil = nowSeconds + INPUT.jumpBufferSeconds;
+      this._jumpBufferedUntil = nowSeconds + INPUT_CONST.jumpBufferSeconds;
+      this._jumpBufferEvent = "arm";
     }
   }
 
   endFrame() {
     this._pressedThisFrame.clear();
     this._releasedThisFrame.clear();
+    // Leave _levelSelectIndex so title screen can still read last choice.
   }
 
-  // --- High-level queries used by gameplay ---
   left() {
     return this._anyDown("left");
   }
   right() {
     return this._anyDown("right");
   }
+  leftPressed() {
+    return this._anyJustPressed("left");
+  }
+  rightPressed() {
+    return this._anyJustPressed("right");
+  }
   down() {
     return this._anyDown("down");
   }
   up() {
     return this._anyDown("up");
   }
-
+  downPressed() {
+    return this._anyJustPressed("down");
+  }
+  upPressed() {
+    return this._anyJustPressed("up");
+  }
+  backPressed() {
+    return this._anyJustPressed("back");
+  }
+  objectivesPressed() {
+    return this._anyJustPressed("objectives");
+  }
+  shootPressed() {
+    return this._anyJustPressed("shoot");
+  }
+  shieldPressed() {
+    return this._anyJustPressed("shield");
+  }
   pausePressed() {
     return this._anyJustPressed("pause");
   }
   resetPressed() {
     return this._anyJustPressed("reset");
   }
-
+  musicMutePressed() {
+    return this._anyJustPressed("musicMute");
+  }
+  musicUnmutePressed() {
+    return this._anyJustPressed("musicUnmute");
+  }
+  editorPressed() {
+    return this._anyJustPressed("editor");
+  }
+  endlessPressed() {
+    return this._anyJustPressed("endless");
+  }
   jumpBuffered(nowSeconds) {
     return nowSeconds <= this._jumpBufferedUntil;
   }
   consumeJumpBuffer() {
     this._jumpBufferedUntil = 0;
+    this._jumpBufferEvent = "clear";
   }
   jumpReleasedThisFrame() {
     return this._jumpReleasedThisFrame;
   }
+  takeJumpBufferEvent() {
+    const event = this._jumpBufferEvent;
+    this._jumpBufferEvent = null;
+    return event;
+  }
+
+  consumeLevelSelect() {
+    const v = this._levelSelectIndex;
+    this._levelSelectIndex = null;
+    return v;
+  }
+
+  // Gamepads have no events for buttons, so their state is diffed once per frame into virtual keys.
+  pollGamepad() {
+    const pads = typeof navigator !== "undefined" && navigator.getGamepads ? navigator.getGamepads() : [];
+    const pad = Array.from(pads || []).find((p) => p && p.connected);
+    const held = new Set();
+    if (pad) {
+      for (const [index, code] of Object.entries(GAMEPAD_BUTTONS)) {
+        if (pad.buttons[index] && pad.buttons[index].pressed) held.add(code);
+      }
+      const [ax = 0, ay = 0] = pad.axes;
+      if (ax < -GAMEPAD_DEADZONE) held.add("PadLeft");
+      if (ax > GAMEPAD_DEADZONE) held.add("PadRight");
+      if (ay < -GAMEPAD_DEADZONE) held.add("PadUp");
+      if (ay > GAMEPAD_DEADZONE) held.add("PadDown");
+    }
+    for (const code of held) if (!this._padDown.has(code)) this.setVirtualKey(code, true);
+    for (const code of this._padDown) if (!held.has(code)) this.setVirtualKey(code, false);
+    this._padDown = held;
+  }
+
+  setVirtualKey(code, pressed) {
+    if (pressed) {
+      this._down.add(code);
+      this._pressedThisFrame.add(code);
+    } else {
+      this._down.delete(code);
+      this._releasedThisFrame.add(code);
+    }
+  }
 
-  // --- Internals ---
   _anyDown(action) {
     for (const code of this.bindings[action] || []) {
       if (this._down.has(code)) return true;
@@ -98,4 +201,3 @@ export class InputHandler {
     return false;
   }
 }
-
@@ -1,25 +1,67 @@
 export function clamp(v, min, max) {
   return Math.max(min, Math.min(max, v));
 }
-
 export function lerp(a, b, t) {
   return a + (b - a) * t;
 }
-
 export function sign(v) {
   return v < 0 ? -1 : v > 0 ? 1 : 0;
 }
-
-export function aabbIntersects(a, b) {
-  return (
-    a.x < b.x + b.w &&
-    a.x + a.w > b.x &&
-    a.y < b.y + b.h &&
-    a.y + a.h > b.y
-  );
-}
-
 export function rectFromCenterBottom(centerX, bottomY, w, h) {
   return { x: centerX - w / 2, y: bottomY - h, w, h };
 }
+export function aabbIntersects(a, b) {
+  return a.x < b.x + b.w && a.x + a.w > b.x && a.y < b.y + b.h && a.y + a.h > b.y;
+}
+// Swept AABB: box `a` moving by (dx, dy) against a static box `b`. Returns the first contact
+// { t, nx, ny } (t in 0..1, n = normal of the face of `b` that was hit) or null.
+// Boxes that already overlap report t = 0 with a zero normal.
+export function sweptAabb(a, dx, dy, b) {
+  if (aabbIntersects(a, b)) return { t: 0, nx: 0, ny: 0 };
+  const axis = (pos, size, bPos, bSize, d) => {
+    if (d === 0) return pos + size > bPos && pos < bPos + bSize ? [-Infinity, Infinity] : null;
+    const t0 = (bPos - (pos + size)) / d;
+    const t1 = (bPos + bSize - pos) / d;
+    return d > 0 ? [t0, t1] : [t1, t0];
+  };
+  const ax = axis(a.x, a.w, b.x, b.w, dx);
+  const ay = axis(a.y, a.h, b.y, b.h, dy);
+  if (!ax || !ay) return null;
+  const tEnter = Math.max(ax[0], ay[0]);
+  const tExit = Math.min(ax[1], ay[1]);
+  if (tEnter > tExit || tEnter < 0 || tEnter > 1) return null;
+  if (ay[0] >= ax[0]) return { t: tEnter, nx: 0, ny: dy > 0 ? -1 : 1 };
+  return { t: tEnter, nx: dx > 0 ? -1 : 1, ny: 0 };
+}
 
+// Seeded PRNG (FNV-1a string hash + mulberry32): the same seed always yields the same sequence.
+function hashSeed(seed) {
+  const str = String(seed);
+  let h = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+export function createRng(seed) {
+  let a = hashSeed(seed);
+  const next = () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    next,
+    range: (min, max) => min + next() * (max - min),
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    pick: (list) => list[Math.floor(next() * list.length)],
+    chance: (p) => next() < p,
+  };
+}
+// Parsed JSON (saves, replay files) that is an object and not null or an array.
+export function isPlainObject(v) {
+  return !!v && typeof v === "object" && !Array.isArray(v);
+}
@@ -0,0 +1,184 @@
+// Per-step input recording and playback.
+
+import { MOVEMENT_MODELS } from "../game/player.js";
+import { LEVEL_DEFS } from "../levels/environments.js";
+import { generateLevelData } from "../levels/generator.js";
+import { createLevel, createLevelFromData } from "../levels/level.js";
+import { INPUT_CONST } from "./constants.js";
+import { isPlainObject } from "./math.js";
+
+// A replay is what one level attempt started from plus the input every fixed step saw; with the seeded rng
+// that is enough to play the attempt back exactly. File format (JSON):
+//   format    REPLAY_FORMAT        version  REPLAY_VERSION
+//   source    { level } for a built-in level, { endless, stage } for an endless stage
+//   simSeed   seed of the run's rng          movement  movement model the run was played with
+//   player    { lives, rings, score, facing } carried into the attempt from earlier levels
+//   steps     number of recorded steps
+//   input     run-length masks: comma-separated base-36 "mask" or "mask*count" (see REPLAY_BITS)
+const REPLAY_FORMAT = "infiverse-replay";
+const REPLAY_VERSION = 1;
+export const REPLAY_MAX_STEPS = 60 * 60 * 60; // an hour of play at GAME.fixedDt
+export const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4, 8];
+// Everything _step reads from the input, one bit each. jumpArm / jumpClear record the jump buffer being set
+// (at the sim time the step starts from) or emptied since the previous step.
+const REPLAY_BITS = Object.freeze({
+  left: 1,
+  right: 2,
+  down: 4,
+  shoot: 8,
+  shield: 16,
+  jumpReleased: 32,
+  jumpArm: 64,
+  jumpClear: 128,
+});
+
+function encodeReplayInput(masks) {
+  const runs = [];
+  for (let i = 0; i < masks.length; ) {
+    let n = 1;
+    while (i + n < masks.length && masks[i + n] === masks[i]) n++;
+    runs.push(n > 1 ? `${masks[i].toString(36)}*${n.toString(36)}` : masks[i].toString(36));
+    i += n;
+  }
+  return runs.join(",");
+}
+
+function decodeReplayInput(text, expected) {
+  const masks = [];
+  if (text === "") return masks;
+  for (const run of text.split(",")) {
+    const [maskText, countText = "1"] = run.split("*");
+    const mask = parseInt(maskText, 36);
+    const count = parseInt(countText, 36);
+    if (!/^[0-9a-z]+$/.test(maskText) || !/^[0-9a-z]+$/.test(countText) || mask > 255 || count < 1) {
+      throw new Error(`Bad input run "${run}"`);
+    }
+    if (masks.length + count > expected) throw new Error("Input is longer than the step count");
+    for (let i = 0; i < count; i++) masks.push(mask);
+  }
+  return masks;
+}
+
+export function createReplayLevel(source) {
+  if (source.endless != null) {
+    return createLevelFromData(generateLevelData({ seed: `${source.endless}/${source.stage + 1}`, difficulty: source.stage }));
+  }
+  return createLevel(source.level);
+}
+
+// Throws an Error describing the first problem found.
+export function parseReplay(text) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch {
+    throw new Error("Not a replay file");
+  }
+  if (!isPlainObject(raw) || raw.format !== REPLAY_FORMAT) throw new Error("Not a replay file");
+  if (raw.version !== REPLAY_VERSION) throw new Error(`Unsupported replay version ${raw.version}`);
+  const src = isPlainObject(raw.source) ? raw.source : {};
+  let source;
+  if (typeof src.endless === "string") {
+    if (!Number.isInteger(src.stage) || src.stage < 0) throw new Error("Bad endless stage");
+    source = { endless: src.endless, stage: src.stage };
+  } else if (Number.isInteger(src.level) && src.level >= 0 && src.level < LEVEL_DEFS.length) {
+    source = { level: src.level };
+  } else {
+    throw new Error("Unknown level");
+  }
+  if (typeof raw.simSeed !== "string") throw new Error("Missing sim seed");
+  if (!MOVEMENT_MODELS.includes(raw.movement)) throw new Error(`Unknown movement model "${raw.movement}"`);
+  const p = isPlainObject(raw.player) ? raw.player : {};
+  const count = (v) => Number.isInteger(v) && v >= 0;
+  if (!count(p.lives) || p.lives < 1 || !count(p.rings) || !count(p.score) || (p.facing !== 1 && p.facing !== -1)) {
+    throw new Error("Bad player start");
+  }
+  if (!count(raw.steps) || raw.steps > REPLAY_MAX_STEPS) throw new Error("Bad step count");
+  if (typeof raw.input !== "string") throw new Error("Missing input");
+  const input = decodeReplayInput(raw.input, raw.steps);
+  if (input.length !== raw.steps) throw new Error("Input is shorter than the step count");
+  return {
+    source,
+    simSeed: raw.simSeed,
+    movement: raw.movement,
+    player: { lives: p.lives, rings: p.rings, score: p.score, facing: p.facing },
+    input,
+  };
+}
+
+// Collects the step masks of the attempt in progress; start is the replay header minus the input.
+export class ReplayRecorder {
+  constructor(start) {
+    this.start = start;
+    this.input = [];
+  }
+
+  // Call once per fixed step, before it runs; also takes the input's pending jump buffer change.
+  capture(input) {
+    const event = input.takeJumpBufferEvent();
+    if (this.input.length >= REPLAY_MAX_STEPS) return; // past the cap the attempt just stops being recorded
+    this.input.push(
+      (input.left() ? REPLAY_BITS.left : 0) |
+        (input.right() ? REPLAY_BITS.right : 0) |
+        (input.down() ? REPLAY_BITS.down : 0) |
+        (input.shootPressed() ? REPLAY_BITS.shoot : 0) |
+        (input.shieldPressed() ? REPLAY_BITS.shield : 0) |
+        (input.jumpReleasedThisFrame() ? REPLAY_BITS.jumpReleased : 0) |
+        (event === "arm" ? REPLAY_BITS.jumpArm : 0) |
+        (event === "clear" ? REPLAY_BITS.jumpClear : 0)
+    );
+  }
+
+  toJson() {
+    const { source, simSeed, movement, player } = this.start;
+    return JSON.stringify({
+      format: REPLAY_FORMAT,
+      version: REPLAY_VERSION,
+      source,
+      simSeed,
+      movement,
+      player,
+      steps: this.input.length,
+      input: encodeReplayInput(this.input),
+    });
+  }
+}
+
+// Stands in for InputHandler inside _step during playback, answering from one recorded mask per step.
+export class ReplayInput {
+  constructor() {
+    this._mask = 0;
+    this._jumpBufferedUntil = 0;
+  }
+
+  load(mask, nowSeconds) {
+    this._mask = mask;
+    if (mask & REPLAY_BITS.jumpArm) this._jumpBufferedUntil = nowSeconds + INPUT_CONST.jumpBufferSeconds;
+    if (mask & REPLAY_BITS.jumpClear) this._jumpBufferedUntil = 0;
+  }
+
+  left() {
+    return (this._mask & REPLAY_BITS.left) !== 0;
+  }
+  right() {
+    return (this._mask & REPLAY_BITS.right) !== 0;
+  }
+  down() {
+    return (this._mask & REPLAY_BITS.down) !== 0;
+  }
+  shootPressed() {
+    return (this._mask & REPLAY_BITS.shoot) !== 0;
+  }
+  shieldPressed() {
+    return (this._mask & REPLAY_BITS.shield) !== 0;
+  }
+  jumpReleasedThisFrame() {
+    return (this._mask & REPLAY_BITS.jumpReleased) !== 0;
+  }
+  jumpBuffered(nowSeconds) {
+    return nowSeconds <= this._jumpBufferedUntil;
+  }
+  consumeJumpBuffer() {
+    this._jumpBufferedUntil = 0;
+  }
+}
@@ -0,0 +1,210 @@
+// Versioned localStorage save slots.
+
+import { MOVEMENT_MODELS } from "../game/player.js";
+import { LEVEL_DEFS } from "../levels/environments.js";
+import { DEFAULT_BINDINGS } from "./input.js";
+import { clamp, isPlainObject } from "./math.js";
+
+// One JSON blob per slot:
+//   version       SAVE_VERSION; older blobs are brought forward through SAVE_MIGRATIONS
+//   highestLevel  index of the furthest level reached
+//   levels        { [levelIndex]: { bestScore, bestTime, stars, tasks: [task id] } }
+//   settings      { musicMuted, sfxMuted, movement }
+//   bindings      { [action]: [key code] } overrides on top of DEFAULT_BINDINGS
+const SAVE_VERSION = 2;
+export const SAVE_SLOTS = 3;
+const SAVE_PREFIX = "infiverse.save";
+// SAVE_MIGRATIONS[v] turns a version v blob into version v + 1; add one whenever SAVE_VERSION goes up.
+const SAVE_MIGRATIONS = {
+  // v2 added star ratings; levels cleared before that keep the one star every clear is worth.
+  1: (raw) => ({
+    ...raw,
+    version: 2,
+    levels: Object.fromEntries(
+      Object.entries(isPlainObject(raw.levels) ? raw.levels : {}).map(([i, rec]) => [i, { ...rec, stars: rec && rec.bestTime != null ? 1 : 0 }])
+    ),
+  }),
+};
+
+function defaultSave() {
+  return {
+    version: SAVE_VERSION,
+    highestLevel: 0,
+    levels: {},
+    settings: { musicMuted: false, sfxMuted: false, movement: "instant" },
+    bindings: {},
+  };
+}
+
+// Rebuilds a save from whatever was stored, keeping only well-formed fields; anything else gets its default.
+function normalizeSave(raw) {
+  const save = defaultSave();
+  if (!isPlainObject(raw)) return save;
+  if (Number.isInteger(raw.highestLevel)) save.highestLevel = clamp(raw.highestLevel, 0, LEVEL_DEFS.length - 1);
+  if (isPlainObject(raw.levels)) {
+    for (const [key, rec] of Object.entries(raw.levels)) {
+      const index = Number(key);
+      if (!Number.isInteger(index) || index < 0 || index >= LEVEL_DEFS.length || !isPlainObject(rec)) continue;
+      save.levels[index] = {
+        bestScore: Number.isFinite(rec.bestScore) && rec.bestScore >= 0 ? rec.bestScore : 0,
+        bestTime: Number.isFinite(rec.bestTime) && rec.bestTime > 0 ? rec.bestTime : null,
+        stars: Number.isInteger(rec.stars) ? clamp(rec.stars, 0, 3) : 0,
+        tasks: Array.isArray(rec.tasks) ? rec.tasks.filter((id) => typeof id === "string") : [],
+      };
+    }
+  }
+  if (isPlainObject(raw.settings)) {
+    const { musicMuted, sfxMuted, movement } = raw.settings;
+    if (typeof musicMuted === "boolean") save.settings.musicMuted = musicMuted;
+    if (typeof sfxMuted === "boolean") save.settings.sfxMuted = sfxMuted;
+    if (MOVEMENT_MODELS.includes(movement)) save.settings.movement = movement;
+  }
+  if (isPlainObject(raw.bindings)) {
+    for (const [action, codes] of Object.entries(raw.bindings)) {
+      if (!(action in DEFAULT_BINDINGS) || !Array.isArray(codes)) continue;
+      const valid = codes.filter((c) => typeof c === "string" && c);
+      if (valid.length) save.bindings[action] = valid;
+    }
+  }
+  return save;
+}
+
+// Version a stored slot was written with; 0 when it has none or cannot be read.
+function storedVersion(text) {
+  try {
+    const raw = JSON.parse(text);
+    return isPlainObject(raw) && Number.isInteger(raw.version) ? raw.version : 0;
+  } catch {
+    return 0;
+  }
+}
+
+// Parses a stored slot; unreadable or future-version data falls back to a fresh save.
+function parseSave(text) {
+  if (text == null) return defaultSave();
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch {
+    return defaultSave();
+  }
+  if (!isPlainObject(raw)) return defaultSave();
+  let version = Number.isInteger(raw.version) ? raw.version : 0;
+  if (version > SAVE_VERSION) return defaultSave();
+  while (version < SAVE_VERSION) {
+    const migrate = SAVE_MIGRATIONS[version];
+    if (!migrate) return defaultSave();
+    raw = migrate(raw);
+    version += 1;
+  }
+  return normalizeSave(raw);
+}
+
+// localStorage can be missing or throw (private browsing, disabled storage); the game then runs unsaved.
+export function getBrowserStorage() {
+  try {
+    return typeof window !== "undefined" && window.localStorage ? window.localStorage : null;
+  } catch {
+    return null;
+  }
+}
+
+export class SaveStore {
+  constructor(storage = null) {
+    this.storage = storage;
+    const slot = Number(this._read(`${SAVE_PREFIX}.slot`));
+    this.slot = Number.isInteger(slot) && slot >= 0 && slot < SAVE_SLOTS ? slot : 0;
+    this.data = this.peek(this.slot);
+    this.readOnly = this._isNewerSlot(this.slot);
+  }
+
+  // A slot written by a newer SAVE_VERSION plays as a fresh save but is never written over, so going
+  // back to an older build cannot wipe the progress made in the newer one.
+  _isNewerSlot(slot) {
+    return storedVersion(this._read(`${SAVE_PREFIX}.${slot}`)) > SAVE_VERSION;
+  }
+
+  // Reads a slot without switching to it (for slot pickers).
+  peek(slot) {
+    return parseSave(this._read(`${SAVE_PREFIX}.${slot}`));
+  }
+
+  selectSlot(slot) {
+    if (!(slot >= 0 && slot < SAVE_SLOTS)) return;
+    this.slot = slot;
+    this.data = this.peek(slot);
+    this.readOnly = this._isNewerSlot(slot);
+    this._write(`${SAVE_PREFIX}.slot`, String(slot));
+  }
+
+  clearSlot(slot = this.slot) {
+    this._remove(`${SAVE_PREFIX}.${slot}`);
+    if (slot === this.slot) {
+      this.data = defaultSave();
+      this.readOnly = false;
+    }
+  }
+
+  updateSettings(patch) {
+    this.data.settings = { ...this.data.settings, ...patch };
+    this.flush();
+  }
+
+  setBindings(bindings) {
+    this.data.bindings = { ...bindings };
+    this.flush();
+  }
+
+  // Saved keys replace the default keys of an action; touch buttons and the gamepad always stay bound.
+  getBindings() {
+    const bindings = { ...DEFAULT_BINDINGS };
+    for (const [action, codes] of Object.entries(this.data.bindings)) {
+      bindings[action] = [...codes, ...DEFAULT_BINDINGS[action].filter((c) => c.startsWith("Touch") || c.startsWith("Pad"))];
+    }
+    return bindings;
+  }
+
+  getLevelRecord(levelIndex) {
+    return this.data.levels[levelIndex] || null;
+  }
+
+  // Keeps the best score, fastest time and most stars, and adds newly completed task ids.
+  recordLevelClear(levelIndex, { score, time, stars = 0, tasks }) {
+    const prev = this.data.levels[levelIndex] || { bestScore: 0, bestTime: null, stars: 0, tasks: [] };
+    this.data.levels[levelIndex] = {
+      bestScore: Math.max(prev.bestScore, score),
+      bestTime: prev.bestTime == null || time < prev.bestTime ? time : prev.bestTime,
+      stars: Math.max(prev.stars, stars),
+      tasks: [...new Set([...prev.tasks, ...tasks])],
+    };
+    this.data.highestLevel = Math.max(this.data.highestLevel, Math.min(levelIndex + 1, LEVEL_DEFS.length - 1));
+    this.flush();
+  }
+
+  flush() {
+    if (this.readOnly) return;
+    this._write(`${SAVE_PREFIX}.${this.slot}`, JSON.stringify(this.data));
+  }
+
+  _read(key) {
+    try {
+      return this.storage ? this.storage.getItem(key) : null;
+    } catch {
+      return null;
+    }
+  }
+  _write(key, value) {
+    try {
+      if (this.storage) this.storage.setItem(key, value);
+    } catch {
+      // quota exceeded / storage disabled: keep playing with the in-memory copy
+    }
+  }
+  _remove(key) {
+    try {
+      if (this.storage) this.storage.removeItem(key);
+    } catch {
+      // same as _write
+    }
+  }
+}
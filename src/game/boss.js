@@ -0,0 +1,166 @@
+export class Boss {
+  constructor({ x, y, levelIndex = 0, maxHp = 10, range, attackInterval }) {
+    this.x = x;
+    this.y = y;
+    this.baseX = x;
+    this.range = range ?? 200 + levelIndex * 10;
+    this.w = 96;
+    this.h = 96;
+    this.maxHp = maxHp;
+    this.hp = maxHp;
+    this.alive = true;
+    this.hurtTimer = 0;
+    this.deathTimer = 0;
+    this._hitParticles = [];
+    this.dir = -1;
+    this.attackCooldown = 0;
+    this.attackInterval = attackInterval ?? 2.5 - levelIndex * 0.1;
+  }
+
+  getAabb() {
+    return { x: this.x - this.w / 2, y: this.y - this.h, w: this.w, h: this.h };
+  }
+
+  takeHit(amount = 1, rng = null) {
+    if (!this.alive) return;
+    this.hp = Math.max(0, this.hp - amount);
+    this.hurtTimer = 0.3;
+    const px = this.x;
+    const py = this.y - this.h / 2;
+    const rand = () => (rng ? rng.next() : 0.5);
+    for (let i = 0; i < 8; i++) {
+      const a = (i / 8) * Math.PI * 2 + rand() * 0.5;
+      const sp = 2 + rand() * 4;
+      this._hitParticles.push({
+        x: px,
+        y: py,
+        vx: Math.cos(a) * sp,
+        vy: -Math.abs(Math.sin(a)) * sp - 2,
+        life: 0.4,
+      });
+    }
+    if (this.hp <= 0) {
+      this.alive = false;
+      this.deathTimer = 0.6;
+    }
+  }
+
+  update(dt, player, level) {
+    const frameScale = dt * 60;
+    if (this.hurtTimer > 0) this.hurtTimer = Math.max(0, this.hurtTimer - dt);
+    for (let i = this._hitParticles.length - 1; i >= 0; i--) {
+      const p = this._hitParticles[i];
+      p.x += p.vx * frameScale * dt;
+      p.y += p.vy * frameScale * dt;
+      p.vy += 0.15 * frameScale * dt;
+      p.life -= dt;
+      if (p.life <= 0) this._hitParticles.splice(i, 1);
+    }
+    if (!this.alive) {
+      this.deathTimer = Math.max(0, this.deathTimer - dt);
+      return;
+    }
+    this.x += this.dir * 0.7 * frameScale;
+    if (this.x > this.baseX + this.range) this.dir = -1;
+    if (this.x < this.baseX - this.range) this.dir = 1;
+    if (this.attackCooldown > 0) {
+      this.attackCooldown = Math.max(0, this.attackCooldown - dt);
+    } else {
+      const dx = player.x - this.x;
+      const distX = Math.abs(dx);
+      if (distX < 800 && distX > 30) {
+        const speed = 5;
+        const vx = dx > 0 ? speed : -speed;
+        const vy = 0;
+        level.spawnBossAttack(this.x, this.y - 40, vx, vy);
+        this.attackCooldown = this.attackInterval;
+      }
+    }
+  }
+
+  render(ctx, camera, time = 0) {
+    if (!this.alive && this.deathTimer <= 0) return;
+    const sx = this.x - camera.x;
+    const sy = this.y - camera.y;
+    const bossT = time * 2;
+
+    // Hit effect particles (blood / damage sparks)
+    for (const p of this._hitParticles) {
+      const px = p.x - camera.x;
+      const py = p.y - camera.y;
+      if (px < -20 || px > camera.width + 20 || py < -20 || py > camera.height + 20) continue;
+      const alpha = p.life / 0.4;
+      ctx.save();
+      ctx.translate(px, py);
+      ctx.globalAlpha = alpha;
+      ctx.fillStyle = "#ff4040";
+      ctx.beginPath();
+      ctx.arc(0, 0, 3, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillStyle = "#ff8888";
+      ctx.beginPath();
+      ctx.arc(0, 0, 1.5, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.globalAlpha = 1;
+      ctx.restore();
+    }
+
+    // Death animation: explosion / dissolve
+    if (!this.alive && this.deathTimer > 0) {
+      const t = 1 - this.deathTimer / 0.6;
+      ctx.save();
+      ctx.translate(sx, sy);
+      for (let i = 0; i < 16; i++) {
+        const ang = (i / 16) * Math.PI * 2 + t * 4;
+        const dist = 20 + t * 80;
+        const alpha = 1 - t;
+        ctx.globalAlpha = alpha;
+        ctx.fillStyle = i % 2 === 0 ? "rgba(255,60,60,0.95)" : "rgba(200,40,40,0.9)";
+        ctx.beginPath();
+        ctx.arc(Math.cos(ang) * dist, Math.sin(ang) * dist, 6, 0, Math.PI * 2);
+        ctx.fill();
+      }
+      ctx.globalAlpha = 1;
+      ctx.restore();
+      return;
+    }
+
+    ctx.save();
+    ctx.translate(sx, sy);
+    if (this.hurtTimer > 0) {
+      ctx.globalAlpha = 0.85;
+      ctx.fillStyle = "rgba(255,80,80,0.8)";
+    } else {
+      ctx.fillStyle = "#1a0a3e";
+    }
+    ctx.strokeStyle = "rgba(160,80,255,0.6)";
+    ctx.lineWidth = 4;
+    ctx.beginPath();
+    ctx.roundRect(-this.w / 2, -this.h, this.w, this.h, 18);
+    ctx.fill();
+    ctx.stroke();
+    ctx.fillStyle = "rgba(60,20,100,0.8)";
+    ctx.beginPath();
+    ctx.roundRect(-this.w / 2 + 6, -this.h + 8, this.w - 12, this.h - 16, 12);
+    ctx.fill();
+    const eyeGlow = 0.8 + Math.sin(bossT * 3) * 0.2;
+    ctx.fillStyle = `rgba(0,255,200,${eyeGlow})`;
+    ctx.beginPath();
+    ctx.ellipse(-22, -this.h + 28, 12, 14, 0, 0, Math.PI * 2);
+    ctx.ellipse(22, -this.h + 28, 12, 14, 0, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = "#fff";
+    ctx.beginPath();
+    ctx.arc(-22, -this.h + 28, 5, 0, Math.PI * 2);
+    ctx.arc(22, -this.h + 28, 5, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = "rgba(255,220,0,0.9)";
+    ctx.fillRect(-8, -this.h + 48, 16, 6);
+    ctx.strokeStyle = "rgba(160,80,255,0.8)";
+    ctx.lineWidth = 2;
+    ctx.strokeRect(-this.w / 2 + 4, -this.h + 4, this.w - 8, 20);
+    ctx.strokeRect(-this.w / 2 + 4, 4, this.w - 8, 16);
+    ctx.globalAlpha = 1;
+    ctx.restore();
+  }
+}
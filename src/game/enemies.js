@@ -0,0 +1,246 @@
+export class Enemy {
+  constructor({ x, y, range = 120, speed = 0.6, hp = 2 }) {
+    this.x = x;
+    this.y = y;
+    this.w = 32;
+    this.h = 28;
+    this.baseX = x;
+    this.range = range;
+    this.speed = speed;
+    this.dir = 1;
+    this.alive = true;
+    this.hp = hp;
+    this.maxHp = hp;
+    this.hitTimer = 0;
+    this.deathTimer = 0;
+    this.isFlying = false;
+  }
+
+  getAabb() {
+    return { x: this.x - this.w / 2, y: this.y - this.h, w: this.w, h: this.h };
+  }
+
+  takeHit(amount = 1) {
+    if (!this.alive) return;
+    this.hp = Math.max(0, this.hp - amount);
+    this.hitTimer = 0.2;
+    if (this.hp <= 0) {
+      this.alive = false;
+      this.deathTimer = 0.5;
+    }
+  }
+
+  update(dt) {
+    if (!this.alive) {
+      if (this.deathTimer > 0) this.deathTimer = Math.max(0, this.deathTimer - dt);
+      return;
+    }
+    if (this.hitTimer > 0) this.hitTimer = Math.max(0, this.hitTimer - dt);
+    const frameScale = dt * 60;
+    this.x += this.dir * this.speed * frameScale;
+    if (this.x > this.baseX + this.range) this.dir = -1;
+    if (this.x < this.baseX - this.range) this.dir = 1;
+  }
+
+  render(ctx, camera, time = 0) {
+    const sx = this.x - camera.x;
+    const sy = this.y - camera.y;
+    ctx.save();
+    ctx.translate(sx, sy);
+
+    // Death dissolve – energy particles
+    if (!this.alive && this.deathTimer > 0) {
+      const t = 1 - this.deathTimer / 0.5;
+      for (let i = 0; i < 12; i++) {
+        const ang = (i / 12) * Math.PI * 2 + t * 4;
+        const dist = 8 + t * 28;
+        const alpha = 1 - t;
+        ctx.globalAlpha = alpha;
+        ctx.fillStyle = i % 3 === 0 ? "rgba(0,255,200,0.9)" : "rgba(160,80,255,0.9)";
+        ctx.beginPath();
+        ctx.arc(Math.cos(ang) * dist, Math.sin(ang) * dist - 14, 3, 0, Math.PI * 2);
+        ctx.fill();
+      }
+      ctx.globalAlpha = 1;
+      ctx.restore();
+      return;
+    }
+    if (!this.alive) {
+      ctx.restore();
+      return;
+    }
+
+    const alienT = time * 3;
+    // Alien ground creature – organic blob, glowing eyes, claws
+    ctx.save();
+    if (this.hitTimer > 0) {
+      ctx.globalAlpha = 0.7;
+      ctx.fillStyle = "rgba(0,255,220,0.8)";
+    } else {
+      const pulse = 1 + Math.sin(alienT * 4) * 0.04;
+      ctx.scale(pulse, 1);
+      ctx.fillStyle = "#3d1a6e";
+    }
+    ctx.beginPath();
+    ctx.ellipse(0, -14, 14, 12, 0, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.strokeStyle = "rgba(0,255,200,0.5)";
+    ctx.lineWidth = 2;
+    ctx.stroke();
+    ctx.restore();
+
+    ctx.fillStyle = "#1a0a2e";
+    ctx.beginPath();
+    ctx.moveTo(-8, 2);
+    ctx.lineTo(-14, 8);
+    ctx.lineTo(-6, 6);
+    ctx.closePath();
+    ctx.fill();
+    ctx.beginPath();
+    ctx.moveTo(8, 2);
+    ctx.lineTo(14, 8);
+    ctx.lineTo(6, 6);
+    ctx.closePath();
+    ctx.fill();
+
+    const eyeGlow = 0.7 + Math.sin(alienT * 6) * 0.3;
+    ctx.fillStyle = `rgba(0,255,220,${eyeGlow})`;
+    ctx.beginPath();
+    ctx.ellipse(-5, -16, 3, 4, 0, 0, Math.PI * 2);
+    ctx.ellipse(5, -16, 3, 4, 0, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = "#fff";
+    ctx.beginPath();
+    ctx.arc(-5, -16, 1.5, 0, Math.PI * 2);
+    ctx.arc(5, -16, 1.5, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.globalAlpha = 1;
+    ctx.restore();
+  }
+}
+
+export class BirdEnemy {
+  constructor({ x, y, range = 160, speed = 0.9, amp = 24, hp = 1 }) {
+    this.x = x;
+    this.y = y;
+    this.baseX = x;
+    this.baseY = y;
+    this.range = range;
+    this.speed = speed;
+    this.amp = amp;
+    this.w = 32;
+    this.h = 24;
+    this.dir = 1;
+    this.t = 0;
+    this.alive = true;
+    this.hp = hp;
+    this.maxHp = hp;
+    this.hitTimer = 0;
+    this.deathTimer = 0;
+    this.isFlying = true;
+  }
+
+  getAabb() {
+    return { x: this.x - this.w / 2, y: this.y - this.h / 2, w: this.w, h: this.h };
+  }
+
+  takeHit(amount = 1) {
+    if (!this.alive) return;
+    this.hp = Math.max(0, this.hp - amount);
+    this.hitTimer = 0.2;
+    if (this.hp <= 0) {
+      this.alive = false;
+      this.deathTimer = 0.5;
+    }
+  }
+
+  update(dt) {
+    if (!this.alive) {
+      if (this.deathTimer > 0) this.deathTimer = Math.max(0, this.deathTimer - dt);
+      return;
+    }
+    if (this.hitTimer > 0) this.hitTimer = Math.max(0, this.hitTimer - dt);
+    const frameScale = dt * 60;
+    this.x += this.dir * this.speed * frameScale;
+    if (this.x > this.baseX + this.range) this.dir = -1;
+    if (this.x < this.baseX - this.range) this.dir = 1;
+    this.t += dt;
+    this.y = this.baseY + Math.sin(this.t * 3) * this.amp;
+  }
+
+  render(ctx, camera, time = 0) {
+    const sx = this.x - camera.x;
+    const sy = this.y - camera.y;
+    ctx.save();
+    ctx.translate(sx, sy);
+
+    // Death dissolve – energy particles
+    if (!this.alive && this.deathTimer > 0) {
+      const t = 1 - this.deathTimer / 0.5;
+      for (let i = 0; i < 10; i++) {
+        const ang = (i / 10) * Math.PI * 2 + t * 3;
+        const dist = 6 + t * 22;
+        const alpha = 1 - t;
+        ctx.globalAlpha = alpha;
+        ctx.fillStyle = i % 2 === 0 ? "rgba(0,255,255,0.9)" : "rgba(200,100,255,0.9)";
+        ctx.beginPath();
+        ctx.arc(Math.cos(ang) * dist, Math.sin(ang) * dist, 2.5, 0, Math.PI * 2);
+        ctx.fill();
+      }
+      ctx.globalAlpha = 1;
+      ctx.restore();
+      return;
+    }
+    if (!this.alive) {
+      ctx.restore();
+      return;
+    }
+
+    const droneT = time * 4 + this.t * 2;
+    // Flying alien drone – oval body, glowing eyes, energy fins
+    if (this.hitTimer > 0) {
+      ctx.globalAlpha = 0.7;
+      ctx.fillStyle = "rgba(0,255,255,0.8)";
+    } else {
+      ctx.fillStyle = "#1a2e4a";
+    }
+    ctx.strokeStyle = "rgba(0,255,255,0.5)";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.ellipse(0, -2, 12, 8, 0, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+    ctx.fillStyle = "rgba(0,180,220,0.4)";
+    ctx.beginPath();
+    ctx.ellipse(0, -2, 10, 6, 0, 0, Math.PI * 2);
+    ctx.fill();
+    const finPulse = 0.6 + Math.sin(droneT) * 0.2;
+    ctx.globalAlpha = finPulse;
+    ctx.fillStyle = "rgba(0,255,255,0.7)";
+    ctx.beginPath();
+    ctx.moveTo(-10, -4);
+    ctx.lineTo(-20, -2);
+    ctx.lineTo(-10, 0);
+    ctx.closePath();
+    ctx.fill();
+    ctx.beginPath();
+    ctx.moveTo(10, -4);
+    ctx.lineTo(20, -2);
+    ctx.lineTo(10, 0);
+    ctx.closePath();
+    ctx.fill();
+    ctx.globalAlpha = 1;
+    const eyeGlow = 0.8 + Math.sin(droneT * 2) * 0.2;
+    ctx.fillStyle = `rgba(0,255,255,${eyeGlow})`;
+    ctx.beginPath();
+    ctx.ellipse(-4, -4, 2.5, 3, 0, 0, Math.PI * 2);
+    ctx.ellipse(4, -4, 2.5, 3, 0, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = "#fff";
+    ctx.beginPath();
+    ctx.arc(-4, -4, 1, 0, Math.PI * 2);
+    ctx.arc(4, -4, 1, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+  }
+}
@@ -0,0 +1,280 @@
+// Spikes, lava, electrified floors, crushers.
+
+// Every hazard is a solid box (x, y, w, h) the hero stands on or runs into; touching a harmful
+// one calls Player.takeHit (see Level._updateHazards). Timers run on the level clock, so each
+// hazard's cycle restarts with the level.
+export const SPIKE_SIZE = Object.freeze({ w: 32, h: 16 }); // floor/ceiling spikes; wall spikes swap w and h
+const SPIKE_WARN = 0.3; // retracting spikes rattle this long before popping out
+const ELECTRIC_WARN = 0.5; // a dead floor crackles this long before it goes live
+export const CRUSHER_PHASES = Object.freeze({ drop: 0.25, hold: 0.5, rise: 1 }); // seconds; the rest of the period it waits up top
+
+class Hazard {
+  constructor(kind, { x, y, w, h, offset = 0 }) {
+    this.kind = kind;
+    this.x = x;
+    this.y = y;
+    this.w = w;
+    this.h = h;
+    this.oneWay = false;
+    this.dy = 0; // per-step movement, read by the hero's crush check
+    this.time = offset;
+    this.ignoresInvuln = false;
+  }
+
+  update(dt) {
+    this.time += dt;
+  }
+
+  isSolid() {
+    return true;
+  }
+
+  isHarmful() {
+    return true;
+  }
+
+  // Reaches 1px past the solid so standing on it or pushing against it counts as touching.
+  getHurtBox() {
+    return { x: this.x - 1, y: this.y - 1, w: this.w + 2, h: this.h + 2 };
+  }
+
+  // Sideways away from the middle of the hazard, thrown upwards.
+  getKnock(player) {
+    return { dir: player.x < this.x + this.w / 2 ? -1 : 1, fromAbove: false };
+  }
+}
+
+// dir is the way the points face: up (floor), down (ceiling), left / right (walls).
+class SpikeHazard extends Hazard {
+  constructor({ x, y, dir = "up", w, h, retract = 0, offset }) {
+    const wall = dir === "left" || dir === "right";
+    super("spikes", { x, y, w: w ?? (wall ? SPIKE_SIZE.h : SPIKE_SIZE.w), h: h ?? (wall ? SPIKE_SIZE.w : SPIKE_SIZE.h), offset });
+    this.dir = dir;
+    this.retract = retract; // seconds out, then the same in; 0 = always out
+    this.ignoresInvuln = true;
+  }
+
+  _cyclePhase() {
+    return this.time % (this.retract * 2);
+  }
+
+  isOut() {
+    return !this.retract || this._cyclePhase() < this.retract;
+  }
+
+  isSolid() {
+    return this.isOut();
+  }
+
+  isHarmful() {
+    return this.isOut();
+  }
+
+  getKnock(player) {
+    if (this.dir === "left") return { dir: -1, fromAbove: false };
+    if (this.dir === "right") return { dir: 1, fromAbove: false };
+    return { dir: super.getKnock(player).dir, fromAbove: this.dir === "down" };
+  }
+
+  render(ctx, camera, def) {
+    const theme = def.hazard;
+    const wall = this.dir === "left" || this.dir === "right";
+    const along = wall ? this.h : this.w;
+    const depth = wall ? this.w : this.h;
+    const phase = this.retract ? this._cyclePhase() : 0;
+    const rattle = this.retract && phase > this.retract * 2 - SPIKE_WARN ? Math.sin(this.time * 90) * 1.5 : 0;
+    ctx.save();
+    ctx.translate(this.x + this.w / 2 - camera.x + (wall ? 0 : rattle), this.y + this.h / 2 - camera.y + (wall ? rattle : 0));
+    ctx.rotate({ up: 0, right: Math.PI / 2, down: Math.PI, left: -Math.PI / 2 }[this.dir]);
+    // Local frame: points face -y, base plate along +y.
+    ctx.fillStyle = "rgba(0,0,0,0.35)";
+    ctx.fillRect(-along / 2, depth / 2 - 3, along, 3);
+    if (this.isOut()) {
+      const count = Math.max(1, Math.round(along / 16));
+      const tw = along / count;
+      for (let i = 0; i < count; i++) {
+        const x0 = -along / 2 + i * tw;
+        ctx.fillStyle = theme.metal;
+        ctx.beginPath();
+        ctx.moveTo(x0, depth / 2 - 3);
+        ctx.lineTo(x0 + tw / 2, -depth / 2);
+        ctx.lineTo(x0 + tw, depth / 2 - 3);
+        ctx.closePath();
+        ctx.fill();
+        // Shaded right face gives the points some volume.
+        ctx.fillStyle = "rgba(0,0,0,0.25)";
+        ctx.beginPath();
+        ctx.moveTo(x0 + tw / 2, -depth / 2);
+        ctx.lineTo(x0 + tw, depth / 2 - 3);
+        ctx.lineTo(x0 + tw / 2, depth / 2 - 3);
+        ctx.closePath();
+        ctx.fill();
+      }
+    }
+    ctx.restore();
+  }
+}
+
+class LavaHazard extends Hazard {
+  constructor({ x, y, w, h, offset }) {
+    super("lava", { x, y, w, h, offset });
+  }
+
+  render(ctx, camera, def) {
+    const theme = def.hazard;
+    const x = this.x - camera.x;
+    const y = this.y - camera.y;
+    ctx.fillStyle = theme.lava;
+    ctx.fillRect(x, y, this.w, this.h);
+    ctx.fillStyle = "rgba(0,0,0,0.25)";
+    ctx.fillRect(x, y + this.h * 0.5, this.w, this.h * 0.5);
+    // Rolling bright crust along the surface
+    ctx.strokeStyle = "rgba(255,240,160,0.85)";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (let i = 0; i <= this.w; i += 8) {
+      const wave = Math.sin(i * 0.15 + this.time * 3) * 1.5;
+      if (i === 0) ctx.moveTo(x, y + 1 + wave);
+      else ctx.lineTo(x + i, y + 1 + wave);
+    }
+    ctx.stroke();
+    // Bubbles rise and pop at fixed spots along the pool
+    ctx.fillStyle = "rgba(255,220,120,0.7)";
+    for (let i = 24; i < this.w; i += 56) {
+      const t = (this.time * 0.8 + i * 0.013) % 1;
+      ctx.beginPath();
+      ctx.arc(x + i, y + this.h * (1 - t) * 0.6 + 2, 2 + t * 3, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+}
+
+// Live for `on` seconds, then dead for `off` seconds.
+class ElectricHazard extends Hazard {
+  constructor({ x, y, w, h = 8, on = 1.5, off = 1.5, offset }) {
+    super("electric", { x, y, w, h, offset });
+    this.on = on;
+    this.off = off;
+  }
+
+  _cyclePhase() {
+    return this.time % (this.on + this.off);
+  }
+
+  isHarmful() {
+    return this._cyclePhase() < this.on;
+  }
+
+  render(ctx, camera, def) {
+    const theme = def.hazard;
+    const x = this.x - camera.x;
+    const y = this.y - camera.y;
+    ctx.fillStyle = def.dirt;
+    ctx.fillRect(x, y, this.w, this.h);
+    ctx.fillStyle = theme.metal;
+    ctx.fillRect(x, y, this.w, 2);
+    ctx.fillStyle = "rgba(0,0,0,0.3)";
+    for (let i = 12; i < this.w; i += 24) ctx.fillRect(x + i, y + 3, 2, this.h - 4);
+
+    const live = this.isHarmful();
+    const warming = !live && this._cyclePhase() > this.on + this.off - ELECTRIC_WARN;
+    if (!live && !warming) return;
+    ctx.strokeStyle = theme.spark;
+    ctx.globalAlpha = live ? 0.9 : Math.floor(this.time * 20) % 2 ? 0.5 : 0;
+    ctx.lineWidth = live ? 2 : 1;
+    ctx.shadowColor = theme.spark;
+    ctx.shadowBlur = live ? 10 : 0;
+    ctx.beginPath();
+    // Zigzag arcs, re-rolled a few times a second from the clock (no Math.random)
+    const seed = Math.floor(this.time * 15);
+    ctx.moveTo(x, y - 2);
+    for (let i = 6; i <= this.w; i += 6) {
+      const jag = ((i * 7 + seed * 13) % 5) - 2;
+      ctx.lineTo(x + i, y - 3 + jag * 1.5);
+    }
+    ctx.stroke();
+    ctx.shadowBlur = 0;
+    ctx.globalAlpha = 1;
+  }
+}
+
+// (x, y) is the raised position; every `period` seconds it slams `travel` px down, holds and winds back up.
+class CrusherHazard extends Hazard {
+  constructor({ x, y, w = 64, h = 48, travel = 96, period = 3, offset }) {
+    super("crusher", { x, y, w, h, offset });
+    this.topY = y;
+    this.travel = travel;
+    this.period = period;
+  }
+
+  update(dt) {
+    super.update(dt);
+    const { drop, hold, rise } = CRUSHER_PHASES;
+    const wait = this.period - drop - hold - rise;
+    const p = this.time % this.period;
+    let down = 0;
+    if (p < wait) down = 0;
+    else if (p < wait + drop) down = ((p - wait) / drop) ** 2;
+    else if (p < wait + drop + hold) down = 1;
+    else down = 1 - (p - wait - drop - hold) / rise;
+    const y = this.topY + this.travel * down;
+    this.dy = y - this.y;
+    this.y = y;
+  }
+
+  // Only the underside hurts, and only on the way down.
+  isHarmful() {
+    return this.dy > 0;
+  }
+
+  getHurtBox() {
+    return { x: this.x, y: this.y + this.h - 8, w: this.w, h: 9 };
+  }
+
+  getKnock(player) {
+    return { dir: super.getKnock(player).dir, fromAbove: true };
+  }
+
+  render(ctx, camera, def) {
+    const theme = def.hazard;
+    const x = this.x - camera.x;
+    const y = this.y - camera.y;
+    // Piston rod up to the housing above the raised position
+    ctx.fillStyle = "rgba(0,0,0,0.35)";
+    ctx.fillRect(x + this.w / 2 - 5, this.topY - 40 - camera.y, 10, this.y - this.topY + 40);
+    ctx.fillStyle = def.dirt;
+    ctx.fillRect(x + this.w / 2 - 14, this.topY - 48 - camera.y, 28, 10);
+    ctx.fillStyle = theme.metal;
+    ctx.fillRect(x, y, this.w, this.h - 8);
+    ctx.strokeStyle = "rgba(0,0,0,0.45)";
+    ctx.lineWidth = 2;
+    ctx.strokeRect(x + 1, y + 1, this.w - 2, this.h - 10);
+    ctx.fillStyle = "rgba(0,0,0,0.4)";
+    for (const bx of [6, this.w - 10]) {
+      ctx.fillRect(x + bx, y + 5, 4, 4);
+      ctx.fillRect(x + bx, y + this.h - 17, 4, 4);
+    }
+    // Teeth along the underside
+    const count = Math.max(1, Math.round(this.w / 16));
+    const tw = this.w / count;
+    ctx.fillStyle = theme.metal;
+    ctx.beginPath();
+    for (let i = 0; i < count; i++) {
+      ctx.moveTo(x + i * tw, y + this.h - 8);
+      ctx.lineTo(x + i * tw + tw / 2, y + this.h);
+      ctx.lineTo(x + (i + 1) * tw, y + this.h - 8);
+    }
+    ctx.fill();
+    if (this.dy > 0) {
+      ctx.fillStyle = "rgba(255,255,255,0.2)";
+      ctx.fillRect(x, y - 12, this.w, 10);
+    }
+  }
+}
+
+export function createHazard(data) {
+  if (data.kind === "spikes") return new SpikeHazard(data);
+  if (data.kind === "lava") return new LavaHazard(data);
+  if (data.kind === "electric") return new ElectricHazard(data);
+  return new CrusherHazard(data);
+}
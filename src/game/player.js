@@ -1,23 +1,72 @@
-import { INPUT, PHYS } from "../core/constants.js";
-import { clamp, rectFromCenterBottom, sign } from "../core/math.js";
+import { INPUT_CONST, PHYS, WATER_DEFAULTS } from "../core/constants.js";
+import { aabbIntersects, clamp, rectFromCenterBottom, sweptAabb } from "../core/math.js";
+
+// Collision mode while riding a curve, from the position angle on it
+// (0 = floor at the bottom, π/2 = right wall, π = ceiling, -π/2 = left wall).
+function groundModeForAngle(theta) {
+  const a = Math.atan2(Math.sin(theta), Math.cos(theta));
+  if (Math.abs(a) <= Math.PI / 4) return "floor";
+  if (Math.abs(a) >= (Math.PI * 3) / 4) return "ceiling";
+  return a > 0 ? "rightWall" : "leftWall";
+}
+
+// "instant": arcade movement, full speed while a direction is held and a dead stop on release.
+// "classic": momentum built from the PHYS accel/decel/friction constants.
+export const MOVEMENT_MODELS = ["instant", "classic"];
 
 export class Player {
   constructor({ x, y }) {
     this.x = x;
     this.y = y;
-
+    this.spawnX = x;
+    this.spawnY = y;
     this.vx = 0;
     this.vy = 0;
-
     this.grounded = false;
+    this.groundAngle = 0; // radians, > 0 when the ground descends to the right
+    this.groundMode = "floor"; // floor | rightWall | ceiling | leftWall
+    this._onTerrain = false;
+    this._curve = null; // loop / quarter pipe being ridden; vx is then speed along it
+    this._curveTheta = 0;
+    this._exitedCurve = null; // loop just left through its exit, not re-entered until the hero is clear
     this._coyoteUntil = 0;
-
+    this._standingOn = null; // solid landed on this step (moving platforms carry the hero)
     this.rolling = false;
-
-    // Stats placeholders for HUD (rings/score later).
+    this.crouching = false;
+    this.spinDashing = false; // crouched and revving
+    this.spinRev = 0; // 0..PHYS.spinDashRevMax, decays while held
+    this.spinRevFlash = 0; // brief flash on each rev
     this.rings = 0;
     this.score = 0;
-    this.lives = 3;
+    this.lives = 5;
+    this.invuln = 0;
+    this.jumpsRemaining = 2;
+    this.hasGunPower = false; // permanently unlocked after green coin, until death
+    this.gunCooldown = 0; // time until next shot
+    this.powerFlash = 0; // brief flash when gaining power
+    this.shootFlash = 0; // brief flash when shooting
+    this.comboCount = 0;
+    this.comboTimer = 0;
+    // Blue shield system
+    this.hasShieldPower = false; // unlocked after blue coin
+    this.shieldActive = false; // manually activated with E key
+    this.shieldHits = 0; // current hits absorbed
+    this.shieldMaxHits = 5; // shield breaks after this many hits
+    this.shieldShatter = 0; // timer for shatter effect
+    this.springLaunchTimer = 0; // trail effect after spring launch
+    this.facing = 1; // 1 = right, -1 = left (for drawing)
+    this.movement = "instant"; // see MOVEMENT_MODELS; kept across respawns
+    // Mario-style growth: start small, become big via fruit from power boxes
+    this.isBig = false;
+    this.growthTransformTimer = 0; // flash/scale-up animation when growing
+    this.magnetTimer = 0; // coin magnet: lasts exactly 8s, reset on re-collect (no stacking)
+    this.underwater = false;
+    this._water = null; // level water tuning while submerged (scales gravity, jump and top speed)
+    this._waterVolume = null;
+    this.airMax = WATER_DEFAULTS.air;
+    this.airWarn = WATER_DEFAULTS.warn;
+    this.air = this.airMax; // seconds left underwater before drowning
+    this.events = null; // EventBus the engine hooks up (core/events); hits, lost lives and moves are announced on it
   }
 
   respawn({ x, y }) {
@@ -26,221 +75,1019 @@ export class Player {
     this.vx = 0;
     this.vy = 0;
     this.grounded = false;
+    this.groundAngle = 0;
+    this.groundMode = "floor";
+    this._onTerrain = false;
+    this._curve = null;
+    this._curveTheta = 0;
+    this._exitedCurve = null;
     this._coyoteUntil = 0;
+    this._standingOn = null;
     this.rolling = false;
+    this.crouching = false;
+    this.spinDashing = false;
+    this.spinRev = 0;
+    this.spinRevFlash = 0;
+    this.knockedBack = false;
+    this.underwater = false;
+    this._water = null;
+    this._waterVolume = null;
+    this.air = this.airMax;
+    this.invuln = 0;
+    this.jumpsRemaining = 2;
+    this.hasGunPower = false; // reset on respawn/death
+    this.gunCooldown = 0;
+    this.powerFlash = 0;
+    this.shootFlash = 0;
+    this.comboCount = 0;
+    this.comboTimer = 0;
+    // Reset shield
+    this.hasShieldPower = false;
+    this.shieldActive = false;
+    this.shieldHits = 0;
+    this.shieldShatter = 0;
+    this.springLaunchTimer = 0;
+    this.isBig = false;
+    this.growthTransformTimer = 0;
+    this.magnetTimer = 0;
+  }
+
+  setSpawn({ x, y }) {
+    this.spawnX = x;
+    this.spawnY = y;
+  }
+
+  // knockDir: side the hero is thrown to, away from whatever hurt them. Spikes hit through
+  // invulnerability (ignoreInvuln); fromAbove knocks down instead of up (ceiling spikes, crushers).
+  takeHit(knockDir = 1, { ignoreInvuln = false, fromAbove = false } = {}) {
+    if (this.invuln > 0 && !ignoreInvuln) return;
+
+    // Shield absorbs damage first
+    if (this.shieldActive && this.hasShieldPower) {
+      this.shieldHits += 1;
+      const broken = this.shieldHits >= this.shieldMaxHits;
+      if (broken) {
+        this.shieldActive = false;
+        this.shieldShatter = 0.5;
+      }
+      this.events?.emit("playerDamaged", { outcome: broken ? "shieldBreak" : "shield", knockDir });
+      // Without i-frames the hazard would drain the whole shield in a few frames: throw the hero clear.
+      if (ignoreInvuln) this._knockBack(knockDir, fromAbove, 2.5, 4);
+      return;
+    }
+
+    if (this.rings > 0) {
+      this.rings = 0;
+      this.invuln = 1.0;
+      this._knockBack(knockDir, fromAbove, 2.5, 4.5);
+      this.events?.emit("playerDamaged", { outcome: "rings", knockDir });
+      return;
+    }
+
+    // Big hero: revert to small (classic Mario rule); small hero: lose life
+    if (this.isBig) {
+      this.isBig = false;
+      this.invuln = 1.2;
+      this._knockBack(knockDir, fromAbove, 3, 5);
+      this.events?.emit("playerDamaged", { outcome: "shrink", knockDir });
+      return;
+    }
+
+    this.events?.emit("playerDamaged", { outcome: "life", knockDir });
+    this.loseLife("hit");
+  }
+
+  // Thrown clear of whatever hurt the hero; steering is off until they land again.
+  _knockBack(dir, fromAbove, speed, lift) {
+    this.vx = dir * speed;
+    this.vy = fromAbove ? 2 : -lift;
+    this.grounded = false;
+    this.rolling = false;
+    this.knockedBack = true;
+  }
+
+  // Straight to a lost life (crushed, drowned): rings, shield and size do not help.
+  // cause: hit | crushed | drowned (see the lifeLost event).
+  loseLife(cause) {
+    this.lives -= 1;
+    this.invuln = 1.0;
+    this._lostLife = true; // the engine rolls the level back to the last checkpoint
+    this.respawn({ x: this.spawnX, y: this.spawnY });
+    this.events?.emit("lifeLost", { cause, lives: this.lives });
+  }
+
+  // Simple combo: each quick successive kill within 1.5s increases multiplier. Returns the points awarded.
+  addComboScore(base) {
+    const nowCombo = this.comboTimer > 0 ? this.comboCount + 1 : 1;
+    this.comboCount = nowCombo;
+    this.comboTimer = 1.5;
+    const mult = 1 + (nowCombo - 1) * 0.5;
+    const points = Math.floor(base * mult);
+    this.score += points;
+    return points;
   }
 
   getHitbox() {
-    // Standing hitbox is center-bottom anchored.
-    if (this.rolling) {
-      // Rolling/jumping hitbox: smaller height; keep bottom aligned.
-      return rectFromCenterBottom(this.x, this.y, 30, 30);
+    // Small hero: reduced height/collider; big hero: full size
+    const w = this.isBig ? 20 : 16;
+    const h = this.isBig ? 40 : 28;
+    if (this.rolling || this.crouching) {
+      const rw = this.isBig ? 30 : 24;
+      const rh = this.isBig ? 30 : 24;
+      return rectFromCenterBottom(this.x, this.y, rw, rh);
     }
-    return rectFromCenterBottom(this.x, this.y, 20, 40);
+    return rectFromCenterBottom(this.x, this.y, w, h);
   }
 
   update(dt, input, level, nowSeconds) {
     const frameScale = dt * 60;
+    if (this.invuln > 0) this.invuln = Math.max(0, this.invuln - dt);
 
-    // --- Jump buffering + coyote time ---
-    const canJump = this.grounded || nowSeconds <= this._coyoteUntil;
-    if (input.jumpBuffered(nowSeconds) && canJump) {
-      this._doJump(input);
-      input.consumeJumpBuffer();
+    if (this.gunCooldown > 0) {
+      this.gunCooldown = Math.max(0, this.gunCooldown - dt);
+    }
+    if (this.powerFlash > 0) {
+      this.powerFlash = Math.max(0, this.powerFlash - dt);
+    }
+    if (this.shootFlash > 0) {
+      this.shootFlash = Math.max(0, this.shootFlash - dt);
+    }
+    if (this.comboTimer > 0) {
+      this.comboTimer = Math.max(0, this.comboTimer - dt);
+      if (this.comboTimer === 0) this.comboCount = 0;
+    }
+    if (this.shieldShatter > 0) {
+      this.shieldShatter = Math.max(0, this.shieldShatter - dt);
+    }
+    if (this.springLaunchTimer > 0) {
+      this.springLaunchTimer = Math.max(0, this.springLaunchTimer - dt);
+    }
+    if (this.growthTransformTimer > 0) {
+      this.growthTransformTimer = Math.max(0, this.growthTransformTimer - dt);
     }
+    if (this.magnetTimer > 0) {
+      this.magnetTimer = Math.max(0, this.magnetTimer - dt);
+    }
+    if (this.spinRevFlash > 0) {
+      this.spinRevFlash = Math.max(0, this.spinRevFlash - dt);
+    }
+    if (this._updateWater(dt, level)) return;
 
-    // Variable jump height (cut)
-    if (input.jumpReleasedThisFrame() && this.vy < 0) {
-      this.vy *= PHYS.jumpCutMultiplier;
+    // Shield toggle with E key (only if shield power unlocked)
+    if (this.hasShieldPower && input.shieldPressed()) {
+      if (this.shieldActive) {
+        // Deactivate shield
+        this.shieldActive = false;
+        this.shieldShatter = 0.3; // brief shatter effect
+      } else {
+        // Activate shield (reset hits if broken)
+        this.shieldActive = true;
+        if (this.shieldHits >= this.shieldMaxHits) {
+          this.shieldHits = 0; // reset if it was broken
+        }
+      }
     }
 
-    // --- Horizontal control ---
     const left = input.left();
     const right = input.right();
     const down = input.down();
 
-    // Enter roll
-    if (this.grounded && !this.rolling && down && Math.abs(this.vx) > 0.5) {
-      this.rolling = true;
+    // Spin dash: crouch while standing, tap jump to rev, let go of down to launch.
+    if (this.crouching && (!down || !this.grounded || this._curve)) {
+      if (this.spinDashing && this.grounded && !this._curve) this._releaseSpinDash();
+      this.crouching = false;
+      this.spinDashing = false;
+      this.spinRev = 0;
+    } else if (!this.crouching && down && this.grounded && !this._curve && !this.rolling && Math.abs(this.vx) < 0.5) {
+      this.crouching = true;
+    }
+    if (this.crouching) {
+      if (input.jumpBuffered(nowSeconds)) {
+        input.consumeJumpBuffer();
+        this.spinDashing = true;
+        this.spinRev = Math.min(this.spinRev + PHYS.spinDashRevStep, PHYS.spinDashRevMax);
+        this.spinRevFlash = 0.12;
+        this.events?.emit("spinDashRevved", { charge: this.spinRev / PHYS.spinDashRevMax });
+      }
+      this.spinRev -= (this.spinRev / 32) * frameScale;
     }
 
-    if (this.rolling) {
-      // No active acceleration while rolling; only friction/roll decel.
-      const vxSign = sign(this.vx);
-      const absVx = Math.abs(this.vx);
-      const decel = PHYS.rollDecelFlat * frameScale;
-      const nextAbs = Math.max(0, absVx - decel);
-      this.vx = nextAbs * vxSign;
+    if (input.jumpBuffered(nowSeconds)) {
+      const canGroundJump = this.grounded || nowSeconds <= this._coyoteUntil;
+      if (canGroundJump) {
+        this._doJump();
+        this.jumpsRemaining = 1; // allow one extra jump in air
+        input.consumeJumpBuffer();
+      } else if (!this.grounded && this.jumpsRemaining > 0) {
+        this._doDoubleJump();
+        this.jumpsRemaining = 0;
+        input.consumeJumpBuffer();
+      }
+    }
 
-      // Apply roll friction (slightly multiplicative).
-      this.vx *= 1 - PHYS.rollFriction;
+    if (input.jumpReleasedThisFrame() && this.vy < 0) {
+      this.vy *= PHYS.jumpCutMultiplier;
+    }
 
-      if (!this.grounded) {
-        // In air, keep rolling hitbox, but allow slight air control.
-        this._applyAirControl(frameScale, left, right);
-      }
+    if (this.grounded && !this.rolling && down && Math.abs(this.vx) > 0.5) {
+      this.rolling = true;
+    }
 
-      // Exit roll if slowed enough on ground.
-      if (this.grounded && Math.abs(this.vx) < 0.5) {
-        this.rolling = false;
-      }
+    if (this._curve) {
+      this._rideCurve(frameScale, left, right, nowSeconds);
+      return;
+    }
+
+    if (this.knockedBack && this.grounded) this.knockedBack = false;
+    if (this.crouching) {
+      // Crouched: no walking, left/right only turn around.
+      if (left !== right) this.facing = left ? -1 : 1;
+      this.vx = 0;
+    } else if (this.knockedBack) {
+      // Thrown by a hit: the knock carries the hero until they land.
+    } else if (this.movement === "classic") {
+      this._applyClassicMovement(frameScale, left, right);
+    } else if (this.rolling && this.grounded) {
+      this._applyRollPhysics(frameScale, left !== right ? (left ? -1 : 1) : 0);
+    } else if (this.rolling) {
+      // An airborne roll keeps its momentum; input only steers.
+      this._applyAirControl(frameScale, left, right);
     } else if (this.grounded) {
-      // Ground movement per spec: accel if pressing, friction when not.
+      // Instant horizontal movement: move only while key held, stop immediately on release.
       if (left !== right) {
         const dir = left ? -1 : 1;
-        const sameDir = sign(this.vx) === dir || this.vx === 0;
-        if (sameDir) {
-          this.vx += dir * PHYS.groundAccel * frameScale;
-        } else {
-          // Skid / quick direction change
-          this.vx += dir * PHYS.groundDecel * frameScale;
-        }
-        this.vx = clamp(this.vx, -PHYS.topSpeed, PHYS.topSpeed);
+        this.vx = this._runSpeed(dir);
       } else {
-        // Friction
-        this.vx *= 1 - PHYS.groundFriction;
-        if (Math.abs(this.vx) < 0.05) this.vx = 0;
+        this.vx = 0;
       }
     } else {
-      this._applyAirControl(frameScale, left, right);
+      // In air: same instant response
+      if (left !== right) {
+        const dir = left ? -1 : 1;
+        this.vx = dir * this._topSpeed();
+      } else {
+        this.vx = 0;
+      }
     }
 
-    // --- Gravity ---
     if (!this.grounded) {
-      this.vy += PHYS.gravity * frameScale;
+      this.vy += this._gravity() * frameScale;
       if (this.vy > PHYS.terminalVel) this.vy = PHYS.terminalVel;
     }
 
-    // --- Integrate ---
-    this.x += this.vx * frameScale;
+    // On the ground vx is speed along the surface, so slopes cover less horizontal distance.
+    const prevX = this.x;
+    const prevY = this.y;
+    this.x += this.vx * (this.grounded ? Math.cos(this.groundAngle) : 1) * frameScale;
     this.y += this.vy * frameScale;
+    if (this.vx !== 0) this.facing = this.vx > 0 ? 1 : -1;
+
+    this._collideWithLevel(level, nowSeconds, prevX, prevY);
+  }
+
+  // Submerged while the middle of the body is in a water volume. Crossing the surface splashes;
+  // diving in brakes the hero, jumping out gets a boost. Returns true when the hero drowned.
+  _updateWater(dt, level) {
+    const tune = level.waterTuning || WATER_DEFAULTS;
+    const volume = level.getWaterAt ? level.getWaterAt(this.x, this.y - this.getHitbox().h / 2) : null;
+    this.airMax = tune.air;
+    this.airWarn = tune.warn;
+    if (!!volume !== this.underwater) {
+      this.underwater = !!volume;
+      if (volume) {
+        this.air = this.airMax;
+        this.vx *= tune.speed;
+        this.vy *= 0.25;
+      } else if (this.vy < 0) {
+        this.vy = Math.max(this.vy * 2, -PHYS.jumpVel);
+      }
+      const surface = volume || this._waterVolume;
+      if (level.splash) level.splash(this.x, surface.y);
+    }
+    this._waterVolume = volume;
+    this._water = volume ? tune : null;
+    if (!volume) {
+      this.air = this.airMax;
+      return false;
+    }
+    const before = this.air;
+    this.air = Math.max(0, this.air - dt);
+    if (this.air <= tune.warn && Math.ceil(this.air) !== Math.ceil(before)) this.events?.emit("airWarning", { air: this.air });
+    if (this.air > 0) return false;
+    this.loseLife("drowned");
+    return true;
+  }
+
+  // A big air bubble: full breath again.
+  breathe() {
+    this.air = this.airMax;
+    this.events?.emit("airRefilled");
+  }
+
+  // Movement numbers with the water scale applied while submerged.
+  _gravity() {
+    return PHYS.gravity * (this._water ? this._water.gravity : 1);
+  }
+
+  _jumpVel() {
+    return PHYS.jumpVel * (this._water ? this._water.jump : 1);
+  }
+
+  _topSpeed() {
+    return PHYS.topSpeed * (this._water ? this._water.speed : 1);
+  }
 
-    // --- Collide with level (simple rectangles for phase 1) ---
-    this._collideWithLevel(level, nowSeconds);
+  // Instant-model ground speed: uphill slows the hero down, downhill speeds them up.
+  _runSpeed(dir) {
+    const slope = this.grounded ? Math.sin(this.groundAngle) : 0;
+    return dir * this._topSpeed() * (1 + slope * dir * PHYS.slopeSpeedScale);
   }
 
   _applyAirControl(frameScale, left, right) {
     if (left === right) return;
     const dir = left ? -1 : 1;
-    this.vx += dir * PHYS.airAccel * frameScale;
+    // Input accelerates up to top speed but never eats speed gained from slopes or springs.
+    const top = this._topSpeed();
+    if (this.vx * dir < top) {
+      this.vx = dir * Math.min(this.vx * dir + PHYS.airAccel * frameScale, top);
+    }
+  }
+
+  _applyClassicMovement(frameScale, left, right) {
+    const dir = left !== right ? (left ? -1 : 1) : 0;
+    if (!this.grounded) {
+      this._applyAirControl(frameScale, left, right);
+      if (this.vy < 0 && this.vy > -4) this.vx -= this.vx * PHYS.airDrag * frameScale;
+      return;
+    }
 
-    // "Cannot exceed TOP_SPEED in normal air movement" (but can keep higher if already high).
-    if (Math.abs(this.vx) < PHYS.topSpeed) {
-      this.vx = clamp(this.vx, -PHYS.topSpeed, PHYS.topSpeed);
+    if (this.rolling) {
+      this._applyRollPhysics(frameScale, dir);
+      return;
     }
+
+    const slope = Math.sin(this.groundAngle);
+    this._applyClassicGroundInput(frameScale, dir);
+    // Standing still only slides on steep ground.
+    if (slope !== 0 && (this.vx !== 0 || Math.abs(slope) > 0.35)) this.vx += slope * PHYS.slopeFactor * frameScale;
+  }
+
+  // Grounded roll, both models: no acceleration, only braking, friction and the slope.
+  _applyRollPhysics(frameScale, dir) {
+    const moving = Math.sign(this.vx);
+    if (dir !== 0 && dir !== moving) this.vx += dir * PHYS.rollDecelFlat * frameScale;
+    this.vx -= moving * Math.min(Math.abs(this.vx), PHYS.rollFriction * frameScale);
+    const slope = Math.sin(this.groundAngle);
+    if (slope !== 0) {
+      const downhill = Math.sign(slope) === moving;
+      this.vx += slope * (downhill ? PHYS.slopeRollDown : PHYS.slopeRollUp) * frameScale;
+    }
+    this.vx = clamp(this.vx, -PHYS.maxSpeedRolling, PHYS.maxSpeedRolling);
+    if (Math.abs(this.vx) < 0.5) this.rolling = false;
+  }
+
+  _releaseSpinDash() {
+    const charge = this.spinRev / PHYS.spinDashRevMax;
+    this.vx = this.facing * (PHYS.spinDashBase + charge * (PHYS.maxSpeedRolling - PHYS.spinDashBase));
+    this.rolling = true;
+    this.events?.emit("spinDashReleased", { charge });
   }
 
-  _doJump(input) {
+  // Rolling (or revving) hero smashes enemies and breakable walls instead of getting hurt.
+  isSpinAttacking() {
+    return this.rolling || this.spinDashing;
+  }
+
+  _applyClassicGroundInput(frameScale, dir) {
+    const moving = Math.sign(this.vx);
+    if (dir !== 0 && moving !== 0 && dir !== moving) {
+      // Skid: braking is much stronger than accelerating; turn around slowly once stopped.
+      this.vx += dir * PHYS.groundDecel * frameScale;
+      if (Math.sign(this.vx) === dir) this.vx = dir * PHYS.groundDecel;
+    } else if (dir !== 0) {
+      const top = this._topSpeed();
+      if (Math.abs(this.vx) < top) {
+        this.vx = dir * Math.min(Math.abs(this.vx) + PHYS.groundAccel * frameScale, top);
+      }
+    } else {
+      this.vx -= moving * Math.min(Math.abs(this.vx), PHYS.groundFriction * frameScale);
+    }
+  }
+
+  _doJump() {
+    if (this._curve) {
+      this._leaveCurve(this._jumpVel()); // jump away from the surface, whatever its angle
+      return;
+    }
     this.grounded = false;
-    this.vy = -PHYS.jumpVel;
-    // If rolling, maintain horizontal velocity (already does).
-    // Optional: small "jump buffer consume" handled by caller.
+    this.vy = -this._jumpVel();
+  }
+
+  _enterCurve(curve, theta, nowSeconds, fromAir) {
+    // Landing keeps only the velocity along the surface.
+    if (fromAir) this.vx = this.vx * Math.cos(theta) - this.vy * Math.sin(theta);
+    this._curve = curve;
+    this._curveTheta = theta;
+    this._standingOn = null;
+    this.vy = 0;
+    this.grounded = true;
+    this._onTerrain = false;
+    this._placeOnCurve(nowSeconds);
   }
 
-  _collideWithLevel(level, nowSeconds) {
-    // Clamp within level bounds horizontally.
-    this.x = clamp(this.x, 0 + 20, level.width - 20);
+  _placeOnCurve(nowSeconds) {
+    const c = this._curve;
+    const theta = this._curveTheta;
+    this.x = c.cx + c.r * Math.sin(theta);
+    this.y = c.cy + c.r * Math.cos(theta);
+    this.groundAngle = -Math.atan2(Math.sin(theta), Math.cos(theta));
+    this.groundMode = groundModeForAngle(theta);
+    this._coyoteUntil = nowSeconds + INPUT_CONST.coyoteSeconds;
+    this.jumpsRemaining = 2;
+  }
 
-    // Resolve collisions against platforms and ground (treated as solids from above).
-    // For Phase 1 we only do "ground from above" + "walls" against platform edges.
-    const hb = this.getHitbox();
+  // Speed along the curve: holding forward keeps at least top speed (instant model) or
+  // accelerates (classic), pushing back brakes, and gravity pulls along the surface.
+  _rideCurve(frameScale, left, right, nowSeconds) {
+    const c = this._curve;
+    const dir = left !== right ? (left ? -1 : 1) : 0;
+    if (this.movement === "classic") this._applyClassicGroundInput(frameScale, dir);
+    else if (dir !== 0 && dir === Math.sign(this.vx)) this.vx = dir * Math.max(Math.abs(this.vx), this._topSpeed());
+    else if (dir !== 0) this.vx += dir * PHYS.groundDecel * frameScale;
+    this.vx -= Math.sin(this._curveTheta) * PHYS.slopeFactor * frameScale;
+    this._curveTheta += (this.vx * frameScale) / c.r;
+    if (this.vx !== 0) this.facing = this.vx > 0 ? 1 : -1;
 
-    // 1) Ground collision
+    const along = this._curveTheta * c.dir; // 0 at the entry, c.span at the far end
+    if (along <= 0) {
+      this._curveTheta = 0;
+      this._leaveCurveToFloor(nowSeconds, false);
+    } else if (along >= c.span) {
+      this._curveTheta = c.span * c.dir;
+      if (c.kind === "loop") this._leaveCurveToFloor(nowSeconds, true);
+      else this._leaveCurve(0, this.getHitbox().w / 2 + 1); // quarter pipe lip: launch clear of the wall
+    } else if (Math.abs(this.vx) < PHYS.curveDetachSpeed && groundModeForAngle(this._curveTheta) !== "floor") {
+      this._leaveCurve(0);
+    } else {
+      this._placeOnCurve(nowSeconds);
+    }
+  }
+
+  _leaveCurveToFloor(nowSeconds, completed) {
+    const c = this._curve;
+    this._placeOnCurve(nowSeconds);
+    this._curve = null;
+    this._exitedCurve = completed ? c : null;
+    this.groundAngle = 0;
+    this.groundMode = "floor";
+  }
+
+  // Fly off the surface along its tangent, plus `push` away from it (jumps). The hero is moved
+  // `inset` px toward the center so falling back lands on the arc again.
+  _leaveCurve(push, inset = 1) {
+    const c = this._curve;
+    const theta = this._curveTheta;
+    const sin = Math.sin(theta);
+    const cos = Math.cos(theta);
+    this.x = c.cx + (c.r - inset) * sin;
+    this.y = c.cy + (c.r - inset) * cos;
+    const speed = this.vx;
+    this.vx = speed * cos - push * sin;
+    this.vy = -speed * sin - push * cos;
+    this._curve = null;
+    this.grounded = false;
+    this.groundAngle = 0;
+    this.groundMode = "floor";
+  }
+
+  _doDoubleJump() {
     this.grounded = false;
+    // Slightly reduced power for the second jump so it feels controlled.
+    this.vy = -this._jumpVel() * 0.85;
+  }
+
+  _collideWithLevel(level, nowSeconds, prevX = this.x, prevY = this.y) {
+    this.x = clamp(this.x, 20, level.width - 20);
 
-    // Build a list of candidate solids: ground + platforms.
+    const hb = this.getHitbox();
+    this.grounded = false;
+    this._standingOn = null;
     const solids = level.getSolidsNear(hb);
 
-    // First resolve vertical (landing).
-    for (const s of solids) {
-      // Only consider landing on top when falling.
-      if (this.vy >= 0) {
-        const prevBottom = hb.y + hb.h - this.vy; // approximate previous bottom
-        const nextBottom = hb.y + hb.h;
-        const onTopCross =
-          prevBottom <= s.y && nextBottom >= s.y && hb.x + hb.w > s.x && hb.x < s.x + s.w;
-        if (onTopCross) {
-          // Land
-          this.y = s.y; // since y is bottom anchor
-          this.vy = 0;
-          this.grounded = true;
-          this._coyoteUntil = nowSeconds + INPUT.coyoteSeconds;
+    // Swept from last step's hitbox, so fast falls and spring launches cannot skip thin platforms.
+    const stepX = this.x - prevX;
+    const stepY = this.y - prevY;
+    const from = { x: hb.x - stepX, y: hb.y - stepY, w: hb.w, h: hb.h };
+
+    if (this.vy >= 0) {
+      let floor = null;
+      let floorT = Infinity;
+      for (const s of solids) {
+        // Standing still on a top is a contact the sweep cannot see (no movement into it).
+        const resting = stepY === 0 && Math.abs(hb.y + hb.h - s.y) < 0.01 && hb.x + hb.w > s.x && hb.x < s.x + s.w;
+        const hit = resting ? { t: 0, ny: -1 } : sweptAabb(from, stepX, stepY, s);
+        if (hit && hit.ny < 0 && hit.t < floorT) {
+          floor = s;
+          floorT = hit.t;
         }
       }
+      if (floor) {
+        this._standingOn = floor;
+        this.y = floor.y;
+        this.vy = 0;
+        this.grounded = true;
+        this._coyoteUntil = nowSeconds + INPUT_CONST.coyoteSeconds;
+        this.jumpsRemaining = 2;
+      }
     }
 
-    // If grounded, ensure we aren't stuck inside ground (simple snap).
-    // Recompute hb after possible y change.
-    const hb2 = this.getHitbox();
+    if (level.getGroundAt) this._collideWithTerrain(level, nowSeconds, prevX, prevY);
+    if (level.getCurvesNear) this._collideWithCurves(level, nowSeconds, prevX, prevY);
+    if (this._collideWithUndersides(solids, from, stepX, stepY)) {
+      this.loseLife("crushed");
+      return;
+    }
 
-    // 2) Simple wall push-out (only if intersecting).
+    const hb2 = this.getHitbox();
     for (const s of solids) {
-      if (
+      if (s.oneWay) continue;
+      const intersects =
         hb2.x < s.x + s.w &&
         hb2.x + hb2.w > s.x &&
         hb2.y < s.y + s.h &&
-        hb2.y + hb2.h > s.y
-      ) {
-        // Resolve minimally in X (since Y resolved already).
-        const overlapLeft = hb2.x + hb2.w - s.x;
-        const overlapRight = s.x + s.w - hb2.x;
-        if (overlapLeft < overlapRight) {
-          this.x -= overlapLeft;
-        } else {
-          this.x += overlapRight;
-        }
-        this.vx = 0;
+        hb2.y + hb2.h > s.y;
+      if (!intersects) continue;
+      if (s.breakable && this.isSpinAttacking() && Math.abs(this.vx) >= PHYS.breakSpeed) {
+        level.breakWall(s, this);
+        continue;
       }
+
+      const overlapLeft = hb2.x + hb2.w - s.x;
+      const overlapRight = s.x + s.w - hb2.x;
+      if (overlapLeft < overlapRight) this.x -= overlapLeft;
+      else this.x += overlapRight;
+      this.vx = 0;
     }
 
-    // Pit / bottom clamp (respawn for now).
     if (this.y > level.height + 200) {
-      this.respawn({ x: 80, y: 220 });
+      this.takeHit(1);
+    }
+  }
+
+  // Rising into the underside of a solid bonks the head. A solid coming down onto the hero
+  // (moving solids report their per-frame `dy`) pushes them along, or crushes them against
+  // the ground they stand on; returns true when crushed. One-way platforms are skipped.
+  _collideWithUndersides(solids, from, stepX, stepY) {
+    const hb = this.getHitbox();
+    for (const s of solids) {
+      if (s.oneWay) continue;
+      const underside = s.y + s.h;
+      if (this.vy < 0) {
+        const hit = sweptAabb(from, stepX, stepY, s);
+        if (!hit || hit.ny <= 0) continue;
+        this.y = underside + hb.h;
+        this.vy = 0;
+      } else {
+        const dy = s.dy || 0;
+        if (dy <= 0 || !aabbIntersects(hb, s) || hb.y + hb.h <= underside) continue;
+        if (from.y < underside - dy - 0.01) continue; // was already level with it, not pushed from above
+        if (this.grounded) return true;
+        this.y = underside + hb.h;
+        this.vy = Math.max(this.vy, dy);
+      }
+      hb.y = this.y - hb.h;
+    }
+    return false;
+  }
+
+  // Curves are ridden on their inside: entered by running through the bottom point in their
+  // direction, or by falling onto the lower half of the arc.
+  _collideWithCurves(level, nowSeconds, prevX, prevY) {
+    for (const c of level.getCurvesNear(this.x)) {
+      if (this._exitedCurve === c) {
+        if (Math.abs(this.x - c.cx) <= c.r + 8) continue;
+        this._exitedCurve = null;
+      }
+      const bottom = c.cy + c.r;
+      if (this.grounded) {
+        const crossed = c.dir > 0 ? prevX < c.cx && this.x >= c.cx : prevX > c.cx && this.x <= c.cx;
+        if (crossed && Math.abs(this.y - bottom) <= 2 && Math.sign(this.vx) === c.dir) {
+          this._enterCurve(c, (this.x - c.cx) / c.r, nowSeconds, false);
+          return;
+        }
+      } else if (this.vy > 0) {
+        const dx = this.x - c.cx;
+        if (Math.abs(dx) >= c.r) continue;
+        let theta = Math.asin(dx / c.r);
+        if (theta * c.dir < 0) {
+          if (c.kind !== "loop") continue; // a quarter pipe only spans one side
+          theta += c.dir * Math.PI * 2; // lower half behind the entry is the end of the loop
+        }
+        const arcY = c.cy + Math.sqrt(c.r * c.r - dx * dx);
+        if (prevY <= arcY && this.y >= arcY) {
+          this._enterCurve(c, theta, nowSeconds, true);
+          return;
+        }
+      }
     }
   }
 
-  render(ctx, camera) {
+  // Slope terrain is height-mapped (filled down to the level bottom), so only the feet matter:
+  // follow the surface while grounded, land on it when falling, and treat anything deeper as a wall.
+  _collideWithTerrain(level, nowSeconds, prevX, prevY) {
+    const wasOnTerrain = this._onTerrain;
+    const onRect = this.grounded;
+    this._onTerrain = false;
+    if (onRect) this.groundAngle = 0;
+
+    const dx = Math.abs(this.x - prevX);
+    const stepUp = dx * 1.5 + 4; // steepest climb followed while running (~56°)
+    let ground = null;
+    if (this.vy >= 0) {
+      const top = (wasOnTerrain || onRect ? this.y : Math.min(prevY, this.y)) - stepUp;
+      const bottom = wasOnTerrain ? this.y + stepUp + 4 : this.y; // stick to the ground running downhill
+      ground = level.getGroundAt(this.x, top, bottom);
+      if (ground && onRect && ground.y > this.y) ground = null;
+      if (ground && ground.y < this.y && Math.abs(Math.tan(ground.angle)) > PHYS.slopeMaxClimb) ground = null;
+    }
+
+    if (ground) {
+      this.y = ground.y;
+      this.vy = 0;
+      this.grounded = true;
+      this.groundAngle = ground.angle;
+      this._onTerrain = true;
+      this._standingOn = null;
+      this._coyoteUntil = nowSeconds + INPUT_CONST.coyoteSeconds;
+      this.jumpsRemaining = 2;
+      return;
+    }
+
+    if (wasOnTerrain && !onRect) {
+      // Ran off the end of a slope: keep the velocity along the surface (ramps launch the hero).
+      if (this.vy >= 0) this.vy = this.vx * Math.sin(this.groundAngle);
+      this.groundAngle = 0;
+    }
+    if (level.getGroundAt(this.x, -Infinity, this.y - 1)) {
+      // Feet inside the terrain: too steep to climb, push back out.
+      this.x = prevX;
+      this.vx = 0;
+    }
+  }
+
+  render(ctx, camera, time = 0) {
     const p = camera.worldToScreen(this.x, this.y);
+    const t = time;
+    const speed = Math.abs(this.vx);
+    const isFast = speed > 4;
+    const isAir = !this.grounded;
+    const isRolling = this.rolling || this.spinDashing;
+    const dir = this.facing;
 
-    // Simple placeholder "Sonic-like" shape.
-    // Body
     ctx.save();
     ctx.translate(p.x, p.y);
+    if (this.grounded && this.groundAngle !== 0) ctx.rotate(this.groundAngle);
+    ctx.scale(dir, 1);
+
+    // Mario-style size: small hero 0.7x, big hero 1x; scale-up animation when growing
+    const growthT = this.growthTransformTimer;
+    const sizeFrom = 0.7;
+    const sizeTo = 1;
+    const sizeScale = growthT > 0
+      ? sizeFrom + (sizeTo - sizeFrom) * (1 - growthT / 0.6)
+      : (this.isBig ? sizeTo : sizeFrom);
+    ctx.scale(sizeScale, sizeScale);
 
-    // Shadow
-    ctx.globalAlpha = 0.18;
+    // Blink while invulnerable
+    if (this.invuln > 0) {
+      const blink = Math.floor(time * 1000 / 60) % 2;
+      if (blink === 0) ctx.globalAlpha = 0.4;
+    }
+
+    // Shadow (slightly stretch when moving fast)
+    ctx.globalAlpha = 0.2;
     ctx.fillStyle = "#000";
     ctx.beginPath();
-    ctx.ellipse(0, 6, 18, 6, 0, 0, Math.PI * 2);
+    const shW = 18 + (isFast ? 4 : 0);
+    const shH = 6;
+    ctx.ellipse(0, 6, shW, shH, 0, 0, Math.PI * 2);
     ctx.fill();
     ctx.globalAlpha = 1;
 
-    if (this.rolling || !this.grounded) {
-      ctx.fillStyle = "#1b4dff";
+    // Speed trail – blue police energy lines
+    if (isFast && this.grounded && !isRolling) {
+      const trailW = 8 + Math.min(18, speed * 2);
+      const back = -dir * trailW;
+      const grad = ctx.createLinearGradient(back, 0, 0, 0);
+      grad.addColorStop(0, "rgba(30,80,180,0.4)");
+      grad.addColorStop(0.4, "rgba(25,65,150,0.2)");
+      grad.addColorStop(1, "rgba(15,40,100,0)");
+      ctx.fillStyle = grad;
+      ctx.fillRect(back, -28, trailW, 36);
+      for (let i = 0; i < 4; i++) {
+        ctx.globalAlpha = 0.25 - i * 0.05;
+        ctx.fillStyle = "rgba(60,120,220,0.6)";
+        ctx.fillRect(back - i * 5, -24 + i * 2, 4, 20 - i * 3);
+      }
+      ctx.globalAlpha = 1;
+    }
+
+    // Spring launch trail – heroic blue energy
+    if (this.springLaunchTimer > 0) {
+      const st = 1 - this.springLaunchTimer / 0.45;
+      for (let i = 0; i < 4; i++) {
+        const off = (i + 1) * 8;
+        const alpha = (1 - st - i * 0.15) * 0.55;
+        if (alpha <= 0) continue;
+        ctx.globalAlpha = alpha;
+        const grad = ctx.createRadialGradient(0, off, 0, 0, off, 16);
+        grad.addColorStop(0, "rgba(40,100,200,0.95)");
+        grad.addColorStop(1, "rgba(20,60,140,0)");
+        ctx.fillStyle = grad;
+        ctx.beginPath();
+        ctx.arc(0, off, 16, 0, Math.PI * 2);
+        ctx.fill();
+      }
+      ctx.globalAlpha = 1;
+    }
+
+    // —— POLICE HERO: dark blue uniform, silver/black accents ——
+    const uniformBlue = "#0d1b3a";
+    const uniformBlueMid = "#1a237e";
+    const silver = "#b0bec5";
+    const silverBright = "#eceff1";
+    const black = "#0a0a0f";
+
+    // Spin dash rev: dust kicked up behind the ball and streaks that grow with the charge.
+    if (this.spinDashing) {
+      const charge = this.spinRev / PHYS.spinDashRevMax;
+      for (let i = 0; i < 3; i++) {
+        ctx.globalAlpha = 0.35 - i * 0.08;
+        ctx.fillStyle = "#d8d2c0";
+        ctx.beginPath();
+        ctx.arc(-14 - i * 7 - charge * 6, -3 - i * 2, 4 + i * 2 + charge * 3, 0, Math.PI * 2);
+        ctx.fill();
+      }
+      ctx.globalAlpha = 0.4 + charge * 0.5;
+      ctx.strokeStyle = "rgba(90,160,255,0.9)";
+      ctx.lineWidth = 2;
+      const spin = t * 30;
+      for (let i = 0; i < 3; i++) {
+        ctx.beginPath();
+        ctx.arc(0, -14, 17 + charge * 4, spin + i * 2.1, spin + i * 2.1 + 0.9);
+        ctx.stroke();
+      }
+      if (this.spinRevFlash > 0) {
+        ctx.globalAlpha = this.spinRevFlash / 0.12;
+        ctx.fillStyle = "rgba(200,230,255,0.8)";
+        ctx.beginPath();
+        ctx.arc(0, -14, 15, 0, Math.PI * 2);
+        ctx.fill();
+      }
+      ctx.globalAlpha = 1;
+    }
+
+    // Crouching: the standing pose squashed down toward the feet.
+    if (this.crouching && !this.spinDashing) ctx.scale(1.1, 0.7);
+
+    if (isRolling || (isAir && !this.springLaunchTimer)) {
+      // Roll pose – dark blue ball, reinforced boot peek
+      ctx.fillStyle = uniformBlueMid;
+      ctx.beginPath();
+      ctx.arc(0, -14, 14, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.strokeStyle = "rgba(176,190,197,0.4)";
+      ctx.lineWidth = 2;
+      ctx.stroke();
+      ctx.fillStyle = black;
+      ctx.fillRect(-6, 0, 12, 4);
+      const glow = isFast ? 0.5 + Math.sin(t * 8) * 0.2 : 0.2;
+      ctx.fillStyle = `rgba(60,120,200,${glow})`;
+      ctx.fillRect(-5, 1, 4, 2);
+      ctx.fillRect(1, 1, 4, 2);
+    } else {
+      // Torso – dark blue police uniform (futuristic sleek)
+      ctx.fillStyle = uniformBlue;
+      ctx.beginPath();
+      ctx.roundRect(-9, -38, 18, 36, 8);
+      ctx.fill();
+      ctx.fillStyle = uniformBlueMid;
+      ctx.fillRect(-8, -36, 16, 8);
+      ctx.strokeStyle = "rgba(176,190,197,0.35)";
+      ctx.lineWidth = 1;
+      ctx.stroke();
+
+      // Police badge on chest
+      ctx.fillStyle = silver;
+      ctx.strokeStyle = black;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(0, -32);
+      ctx.lineTo(4, -28);
+      ctx.lineTo(4, -24);
+      ctx.lineTo(0, -22);
+      ctx.lineTo(-4, -24);
+      ctx.lineTo(-4, -28);
+      ctx.closePath();
+      ctx.fill();
+      ctx.stroke();
+      ctx.fillStyle = black;
+      ctx.fillRect(-1.5, -29, 3, 3);
+
+      // Utility belt (tech details)
+      ctx.fillStyle = black;
+      ctx.fillRect(-9, -4, 18, 5);
+      ctx.fillStyle = silver;
+      ctx.fillRect(-7, -3, 3, 2);
+      ctx.fillRect(0, -3, 3, 2);
+      ctx.fillRect(5, -3, 3, 2);
+
+      // Tactical gloves – arms
+      ctx.fillStyle = black;
+      ctx.strokeStyle = silver;
+      ctx.lineWidth = 1;
+      const armY = -28;
+      const runPhase = (t * 12 + (dir > 0 ? 0 : Math.PI)) % (Math.PI * 2);
+      const armSwing = this.grounded ? Math.sin(runPhase) * 6 : (this.vy < 0 ? -8 : 4);
+      if (this.shootFlash > 0 && this.hasGunPower) {
+        ctx.fillRect(dir * 6, armY - 4, dir * 14, 10);
+        ctx.fillRect(dir * 18, armY - 2, 6, 6);
+        ctx.fillStyle = "rgba(80,200,120,0.8)";
+        ctx.fillRect(dir * 17, armY - 1, 4, 4);
+      } else {
+        ctx.fillRect(dir * (4 + armSwing), armY, 10, 8);
+        ctx.fillRect(-dir * (4 + armSwing * 0.5), armY + 2, 8, 7);
+      }
+      ctx.fillStyle = silver;
+      ctx.fillRect(dir * (5 + armSwing), armY + 2, 2, 4);
+      ctx.fillRect(-dir * (3 + armSwing * 0.5), armY + 4, 2, 3);
+
+      // Legs & reinforced boots
+      ctx.fillStyle = uniformBlueMid;
+      ctx.fillRect(-7, 0, 6, 14);
+      ctx.fillRect(1, 0, 6, 14);
+      ctx.fillStyle = black;
+      ctx.fillRect(-7, 10, 6, 6);
+      ctx.fillRect(1, 10, 6, 6);
+      ctx.strokeStyle = silver;
+      ctx.lineWidth = 1;
+      ctx.strokeRect(-7, 10, 6, 6);
+      ctx.strokeRect(1, 10, 6, 6);
+      const bootGlow = isFast ? 0.4 + Math.sin(t * 10) * 0.25 : 0.1;
+      ctx.fillStyle = `rgba(60,130,220,${bootGlow})`;
+      ctx.fillRect(-6, 12, 3, 2);
+      ctx.fillRect(2, 12, 3, 2);
+
+      // Face – visor/sunglasses, disciplined protector look
+      const faceY = -34;
+      ctx.fillStyle = "#1a1a22";
       ctx.beginPath();
-      ctx.arc(0, -15, 15, 0, Math.PI * 2);
+      ctx.ellipse(0, faceY, 8, 9, 0, 0, Math.PI * 2);
       ctx.fill();
+      ctx.strokeStyle = silver;
+      ctx.lineWidth = 1;
+      ctx.stroke();
+      // Visor / tactical glasses (dark with silver frame)
+      ctx.fillStyle = "rgba(20,40,80,0.9)";
+      ctx.fillRect(-6, faceY - 4, 12, 5);
+      ctx.strokeStyle = silver;
+      ctx.lineWidth = 1.5;
+      ctx.strokeRect(-6, faceY - 4, 12, 5);
+      ctx.fillStyle = "rgba(40,80,160,0.5)";
+      ctx.fillRect(-5, faceY - 3, 4, 3);
+      ctx.fillRect(1, faceY - 3, 4, 3);
+      // Firm mouth – disciplined expression
+      ctx.strokeStyle = "rgba(176,190,197,0.6)";
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(-2, faceY + 4);
+      ctx.lineTo(2, faceY + 4);
+      ctx.stroke();
+    }
+
+    // Green glow when shooting power unlocked (tactical)
+    if (this.hasGunPower) {
+      const pulse = 1 + Math.sin(t * 8) * 0.06;
+      ctx.save();
+      ctx.translate(0, -22);
+      ctx.scale(pulse, pulse);
+      const grad = ctx.createRadialGradient(0, 0, 2, 0, 0, 28);
+      grad.addColorStop(0, "rgba(80,220,120,0.75)");
+      grad.addColorStop(0.6, "rgba(40,160,80,0.35)");
+      grad.addColorStop(1, "rgba(20,100,50,0)");
+      ctx.fillStyle = grad;
+      ctx.beginPath();
+      ctx.arc(0, 0, 28, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.restore();
+      ctx.fillStyle = "rgba(100,255,140,0.7)";
+      for (let i = 0; i < 6; i++) {
+        const a = (i / 6) * Math.PI * 2 + t * 0.15;
+        const r = 16 + (i % 2) * 4;
+        ctx.beginPath();
+        ctx.arc(Math.cos(a) * r, -22 + Math.sin(a) * r, 2, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    }
 
-      ctx.strokeStyle = "rgba(255,255,255,0.25)";
+    // Power-up flash (green tactical)
+    if (this.powerFlash > 0) {
+      const alpha = this.powerFlash / 0.5;
+      ctx.globalAlpha = Math.max(0, Math.min(1, alpha));
+      ctx.strokeStyle = "rgba(100,255,140,0.9)";
+      ctx.lineWidth = 3;
+      ctx.beginPath();
+      ctx.roundRect(-12, -44, 24, 46, 10);
+      ctx.stroke();
+      ctx.globalAlpha = 1;
+    }
+
+    // Magnet power-up effect (glow/particles around hero)
+    if (this.magnetTimer > 0) {
+      const t = time * 3;
+      const alpha = Math.min(1, this.magnetTimer / 2);
+      ctx.globalAlpha = alpha * 0.4;
+      const r = 40 + Math.sin(t * 3) * 6;
+      const grad = ctx.createRadialGradient(0, -20, 0, 0, -20, r);
+      grad.addColorStop(0, "rgba(100,100,255,0.7)");
+      grad.addColorStop(0.6, "rgba(40,40,180,0.4)");
+      grad.addColorStop(1, "rgba(20,20,80,0)");
+      ctx.fillStyle = grad;
+      ctx.beginPath();
+      ctx.arc(0, -20, r, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.globalAlpha = alpha * 0.8;
+      ctx.strokeStyle = "rgba(150,150,255,0.8)";
       ctx.lineWidth = 2;
       ctx.beginPath();
-      ctx.arc(0, -15, 11, 0, Math.PI * 2);
+      ctx.arc(0, -20, r - 6, 0, Math.PI * 2);
       ctx.stroke();
-    } else {
-      // Standing capsule
-      ctx.fillStyle = "#1b4dff";
+      ctx.globalAlpha = 1;
+    }
+
+    // Growth transformation: glow/flash when small -> big
+    if (growthT > 0) {
+      const alpha = Math.min(1, growthT / 0.15) * (1 - (0.6 - growthT) / 0.6);
+      ctx.globalAlpha = Math.max(0, Math.min(1, alpha * 0.9));
+      const grad = ctx.createRadialGradient(0, -20, 2, 0, -20, 45);
+      grad.addColorStop(0, "rgba(255,240,180,0.95)");
+      grad.addColorStop(0.4, "rgba(255,200,80,0.6)");
+      grad.addColorStop(0.8, "rgba(200,150,50,0.2)");
+      grad.addColorStop(1, "rgba(255,220,100,0)");
+      ctx.fillStyle = grad;
       ctx.beginPath();
-      ctx.roundRect(-10, -40, 20, 40, 10);
+      ctx.arc(0, -20, 45, 0, Math.PI * 2);
       ctx.fill();
+      ctx.globalAlpha = 1;
+    }
 
-      // Face
-      ctx.fillStyle = "#ffd1a6";
+    // Police energy barrier – blue shield
+    if (this.shieldActive && this.hasShieldPower) {
+      const pulse = 1 + Math.sin(t * 10) * 0.05;
+      ctx.save();
+      ctx.translate(0, -20);
+      ctx.scale(pulse, pulse);
+      const grad = ctx.createRadialGradient(0, 0, 6, 0, 0, 34);
+      grad.addColorStop(0, "rgba(40,100,200,0.85)");
+      grad.addColorStop(0.4, "rgba(30,70,160,0.5)");
+      grad.addColorStop(1, "rgba(15,40,120,0)");
+      ctx.fillStyle = grad;
       ctx.beginPath();
-      ctx.roundRect(-7, -28, 14, 14, 6);
+      ctx.arc(0, 0, 34, 0, Math.PI * 2);
       ctx.fill();
+      ctx.strokeStyle = "rgba(100,150,255,0.9)";
+      ctx.lineWidth = 2.5;
+      ctx.beginPath();
+      ctx.arc(0, 0, 30, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.strokeStyle = "rgba(176,190,197,0.5)";
+      ctx.lineWidth = 1;
+      ctx.setLineDash([4, 4]);
+      ctx.beginPath();
+      ctx.arc(0, 0, 28, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.setLineDash([]);
+      ctx.restore();
+    }
+
+    // Shield shatter – police barrier break
+    if (this.shieldShatter > 0) {
+      const alpha = this.shieldShatter / 0.5;
+      ctx.save();
+      ctx.translate(0, -20);
+      ctx.globalAlpha = alpha;
+      for (let i = 0; i < 12; i++) {
+        const ang = (i * Math.PI * 2) / 12;
+        const dist = 22 + (1 - alpha) * 12;
+        ctx.fillStyle = "rgba(60,120,200,0.9)";
+        ctx.beginPath();
+        ctx.arc(Math.cos(ang) * dist, Math.sin(ang) * dist, 3, 0, Math.PI * 2);
+        ctx.fill();
+      }
+      ctx.globalAlpha = 1;
+      ctx.restore();
     }
 
     ctx.restore();
   }
 }
-
@@ -0,0 +1,30 @@
+// The 10 environments: theme colors plus the task lists levels fall back on.
+
+// Task types: coins, flyingEnemies, groundEnemies, springsUsed, bothCoins, bossNoShield, timeLimit
+export const TASK_POP_TIME = 0.7; // seconds a freshly completed task stays in Level.getJustCompleted()
+export function getTasksForLevel(levelIndex) {
+  const pool = [];
+  const coinTargets = [8, 10, 12, 14, 16, 18, 20, 22, 24, 26];
+  pool.push({ id: `L${levelIndex}_coins`, type: "coins", target: coinTargets[Math.min(levelIndex, 9)], mandatory: true, description: "Collect gold coins" });
+  pool.push({ id: `L${levelIndex}_fly`, type: "flyingEnemies", target: -1, mandatory: levelIndex < 5, description: "Defeat all flying enemies" });
+  pool.push({ id: `L${levelIndex}_spring`, type: "springsUsed", target: levelIndex < 4 ? 2 : 3, mandatory: false, description: "Use spring jumps" });
+  if (levelIndex >= 2) pool.push({ id: `L${levelIndex}_both`, type: "bothCoins", target: 1, mandatory: false, description: "Collect green & blue coins" });
+  if (levelIndex >= 4) pool.push({ id: `L${levelIndex}_boss`, type: "bossNoShield", target: 1, mandatory: false, description: "Defeat boss with shield intact" });
+  if (levelIndex >= 3) pool.push({ id: `L${levelIndex}_ground`, type: "groundEnemies", target: -1, mandatory: false, description: "Defeat all ground enemies" });
+  if (levelIndex >= 5) pool.push({ id: `L${levelIndex}_time`, type: "timeLimit", target: [120, 150, 140, 180, 160, 200][levelIndex % 6], mandatory: false, description: "Reach goal in time" });
+  const count = Math.min(pool.length, Math.max(2, 2 + (levelIndex % 3)));
+  return pool.slice(0, count);
+}
+
+export const LEVEL_DEFS = [
+  { name: "Green Plains (Day)", sky: "#8cb4ff", hill: "rgba(47,160,110,0.45)", groundTop: "#2fdc74", dirt: "#a86a2a", hazard: { metal: "#c9d1d9", lava: "#ff6a2a", spark: "#fff27a" } },
+  { name: "Haunted Hills (Night)", sky: "#070814", hill: "rgba(140,140,255,0.14)", groundTop: "#4fe68a", dirt: "#3b2430", hazard: { metal: "#9aa0b8", lava: "#b05cff", spark: "#c8b4ff" } },
+  { name: "Forest Grove", sky: "#5dc7ff", hill: "rgba(25,110,65,0.55)", groundTop: "#2fdc74", dirt: "#5c3b22", hazard: { metal: "#a8b0a0", lava: "#ff7a2a", spark: "#d8ff6a" } },
+  { name: "Underwater Ruins", sky: "#154064", hill: "rgba(80,160,220,0.45)", groundTop: "#6ad7ff", dirt: "#24405d", hazard: { metal: "#8fb8d0", lava: "#ff8a5a", spark: "#6ae8ff" } },
+  { name: "Desert Dunes", sky: "#ffd08a", hill: "rgba(220,160,80,0.35)", groundTop: "#c7ff6a", dirt: "#c08a2a", hazard: { metal: "#e0c89a", lava: "#ff5a1a", spark: "#fff0a0" } },
+  { name: "Sky Islands", sky: "#bfe6ff", hill: "rgba(255,255,255,0.45)", groundTop: "#e8fff7", dirt: "#6a7a8a", hazard: { metal: "#f4f8ff", lava: "#ff7a4a", spark: "#a0e0ff" } },
+  { name: "Lava Caverns", sky: "#2a0b0b", hill: "rgba(255,120,60,0.25)", groundTop: "#ffcc6a", dirt: "#5a1a10", hazard: { metal: "#6a5a5a", lava: "#ff3a0a", spark: "#ffb04a" } },
+  { name: "City Rooftops", sky: "#0a0f2a", hill: "rgba(255,255,255,0.10)", groundTop: "#5dffb0", dirt: "#3a3a44", hazard: { metal: "#b0b8c8", lava: "#ff5a2a", spark: "#5dffb0" } },
+  { name: "Ocean Night", sky: "#062238", hill: "rgba(40,170,220,0.35)", groundTop: "#2fdc74", dirt: "#20485f", hazard: { metal: "#8ab0c8", lava: "#ff6a3a", spark: "#4ad0ff" } },
+  { name: "Starship Zone", sky: "#05060d", hill: "rgba(120,255,240,0.12)", groundTop: "#66fff0", dirt: "#2a2a38", hazard: { metal: "#9aa8ff", lava: "#ff4a8a", spark: "#66fff0" } },
+];
@@ -0,0 +1,51 @@
+// Declarative level data.
+
+import { LEVEL_DATA } from "../../levels/zones.js";
+
+// A level is plain JSON (built-in zones live in levels/zones.js):
+//   format       schema version (LEVEL_FORMAT)
+//   name, theme  display name and LEVEL_DEFS index used for colors/background
+//   width, height, spawn {x, y}, goalX
+//   goalRule     what unlocks the signpost: both (default; boss beaten and mandatory tasks done) | boss | tasks
+//                | either (whichever comes first; without a boss only the tasks count)
+//   groundY      floor that coins released from boxes bounce on
+//   coinsPerBox  coins released by each "coin" box
+//   solids       [{ x, y, w, h, oneWay }]  oneWay: only solid from above, the hero jumps up through it
+//   terrain      [{ points: [{ x, y }, ...] }]  slope surface, x ascending, filled down to the level bottom
+//   curves       [{ kind, x, y, r, dir }]  kind: loop | quarter-pipe; (x, y) = bottom point, dir: right | left
+//   breakables   [{ x, y, w, h }]  walls that a fast roll or a spin dash smashes through
+//   platforms    [{ x, y, w, h, path, trigger, oneWay, ... }]  moving platforms; (x, y) is where they start
+//                  path linear:    back and forth to (x + dx, y + dy) every `period` seconds
+//                  path circle:    orbit of radius r (center r px left of the start) every `period` seconds
+//                  path waypoints: visit `points` [{ x, y }] in order and loop back, `speed` px/frame
+//                  trigger: always | touch (waits until the hero stands on it)
+//   crumbles     [{ x, y, w, h, delay, respawn, oneWay }]  shake `delay` s after the hero lands, fall apart,
+//                  come back `respawn` s later
+//   hazards      [{ kind, x, y, w, h, offset, ... }]  solid, hurt the hero on touch; `offset` shifts timed cycles
+//                  spikes:   dir up | down | left | right (floor, ceiling, wall facing); hit through
+//                            invulnerability; optional `retract` s out / `retract` s in
+//                  lava:     pool surface
+//                  electric: floor strip, live for `on` s then dead for `off` s
+//                  crusher:  block at its raised position, slams `travel` px down every `period` s
+//   water        [{ x, y, w, h }]  water volumes, y = surface; slower, floatier movement and an air supply
+//   waterTuning  { gravity, jump, speed, air, warn }  overrides WATER_DEFAULTS for this level
+//   bubbles      [{ x, y, period }]  sea floor vents (y = floor) sending up a breathable bubble every `period` s
+//   checkpoints  [{ x, y }]        starposts, x = center, y = bottom; touching one saves the spot, level
+//                  time and level state that the next lost life goes back to
+//   springs      [{ x, y, dir }]   x = center, y = bottom; dir: up | diag-left | diag-right
+//   boxes        [{ x, y, type }]  type: coin | power_green | power_blue | growth
+//   coins        [{ x, y }]        static floor coins
+//   magnets      [{ x, y }]        coin magnet pickups
+//   enemies      [{ kind, x, y, range, speed, hp }]  kind: ground | bird (birds also take amp)
+//   boss         { x, y, maxHp, range, attackInterval } or null
+//   tasks        [{ id, type, target, mandatory, description }]  target -1 = all of that enemy type
+//   seed, difficulty  set on generated levels (informational)
+// Optional entity fields fall back to the same defaults the engine uses.
+export const LEVEL_FORMAT = 1;
+export const SPRING_SIZE = Object.freeze({ w: 24, h: 16 });
+export const BOX_SIZE = Object.freeze({ w: 32, h: 32 });
+export const CRUMBLE_SIZE = Object.freeze({ w: 64, h: 16 });
+export const CHECKPOINT_SIZE = Object.freeze({ w: 16, h: 64 });
+export const CRUMBLE_FADE = 0.4; // seconds a respawned crumbling platform takes to fade back in
+export const COIN_GRAVITY = 0.4; // released coins, wall debris and crumbling platform pieces
+export const BUILTIN_LEVELS = LEVEL_DATA;
@@ -0,0 +1,345 @@
+// Seeded procedural levels for endless runs.
+
+import { PHYS } from "../core/constants.js";
+import { clamp, createRng, sign } from "../core/math.js";
+import { LEVEL_DEFS, getTasksForLevel } from "./environments.js";
+import { BOX_SIZE, LEVEL_FORMAT } from "./format.js";
+import { formatLevelIssue, validateLevelData } from "./validate.js";
+
+const GEN = Object.freeze({
+  groundY: 300,
+  minFloorY: 180,
+  maxFloorY: 360,
+  bottom: 900, // floors reach down to the bottom of the level
+  jumpMargin: 0.8, // gaps are planned against 80% of the hero's real reach
+  springVel: PHYS.jumpVel * 1.35, // spring launch speed, see Level.update
+  boxLift: 48, // box bottom above its floor, same as the built-in zones
+  chunkTries: 6,
+  arenaLength: 1400,
+});
+const GEN_LISTS = ["solids", "terrain", "curves", "springs", "boxes", "coins", "magnets", "enemies", "route"];
+
+function gridRound(v) {
+  return Math.round(v / 10) * 10;
+}
+
+// Horizontal distance covered at top speed (double jump at the apex) before the hero
+// comes back down to `rise` px above the take-off height; 0 if that height is out of reach.
+function jumpReach(rise, launchVel = PHYS.jumpVel) {
+  let y = 0;
+  let vy = -launchVel;
+  let minY = 0;
+  let doubled = false;
+  for (let frame = 1; frame < 600; frame++) {
+    vy = Math.min(vy + PHYS.gravity, PHYS.terminalVel);
+    y += vy;
+    minY = Math.min(minY, y);
+    if (!doubled && vy >= 0) {
+      vy = -PHYS.jumpVel * 0.85;
+      doubled = true;
+    } else if (doubled && vy > 0 && y >= -rise) {
+      return minY <= -rise ? frame * PHYS.topSpeed : 0;
+    }
+  }
+  return 0;
+}
+
+// Route surfaces are { x0, x1, y, spring }: the walkable tops the hero has to chain through.
+function canCrossGap(from, to) {
+  const gap = to.x0 - from.x1;
+  const rise = from.y - to.y;
+  if (gap <= 0 && rise <= 0) return true; // walk on or drop down
+  const vel = from.spring ? GEN.springVel : PHYS.jumpVel;
+  const reach = jumpReach(rise / GEN.jumpMargin, vel) * GEN.jumpMargin;
+  return reach > 0 && Math.max(0, gap) <= reach;
+}
+
+function findUncrossableGap(route) {
+  for (let i = 1; i < route.length; i++) {
+    if (!canCrossGap(route[i - 1], route[i])) return i;
+  }
+  return -1;
+}
+
+function genFloor(b, x0, x1, y, extra = {}) {
+  b.solids.push({ x: x0, y, w: x1 - x0, h: GEN.bottom - y });
+  b.route.push({ x0, x1, y, ...extra });
+}
+function genCoinRow(b, x0, x1, y) {
+  for (let x = x0 + 30; x <= x1 - 30; x += 55) b.coins.push({ x, y: y - 10 });
+}
+function genBoxRow(b, x0, floorY, types) {
+  types.forEach((type, i) => b.boxes.push({ x: x0 + i * 60, y: floorY - GEN.boxLift - BOX_SIZE.h, type }));
+}
+// Next floor height: a random step that drifts back toward the default ground line.
+function genNextFloorY(rng, y, maxSteps) {
+  const drift = sign(GEN.groundY - y) * 10;
+  return clamp(y + rng.int(-maxSteps, maxSteps) * 10 + drift, GEN.minFloorY, GEN.maxFloorY);
+}
+function genSpeed(v) {
+  return Math.round(v * 100) / 100;
+}
+
+// Each chunk starts at (b.x, b.y) on the current floor and leaves the cursor on its last floor.
+const GEN_CHUNKS = {
+  run(b, rng) {
+    const x0 = b.x;
+    const len = gridRound(rng.range(320, 560));
+    genFloor(b, x0, x0 + len, b.y);
+    genCoinRow(b, x0, x0 + len, b.y);
+    if (rng.chance(0.5)) genBoxRow(b, x0 + 100, b.y, ["coin", "coin", rng.chance(0.3) ? "growth" : "coin"]);
+    b.x = x0 + len;
+  },
+
+  pit(b, rng, diff) {
+    const gap = gridRound(rng.range(80, Math.min(260, 120 + diff * 14)));
+    const y = genNextFloorY(rng, b.y, 4);
+    const x0 = b.x + gap;
+    const len = gridRound(rng.range(240, 400));
+    genFloor(b, x0, x0 + len, y);
+    genCoinRow(b, x0, x0 + len, y);
+    b.x = x0 + len;
+    b.y = y;
+  },
+
+  hills(b, rng, diff) {
+    const x0 = b.x;
+    const len = gridRound(rng.range(560, 800));
+    genFloor(b, x0, x0 + len, b.y);
+    // Smooth bump sitting on the floor: cosine profile sampled every ~40px.
+    const hx0 = x0 + 80;
+    const hx1 = x0 + len - 80;
+    const height = gridRound(rng.range(40, Math.min(140, 60 + diff * 10)));
+    const steps = Math.round((hx1 - hx0) / 40);
+    const points = [];
+    for (let i = 0; i <= steps; i++) {
+      const u = i / steps;
+      points.push({ x: Math.round(hx0 + u * (hx1 - hx0)), y: Math.round(b.y - (height * (1 - Math.cos(u * Math.PI * 2))) / 2) });
+    }
+    b.terrain.push({ points });
+    for (let i = 1; i < points.length - 1; i += 2) b.coins.push({ x: points[i].x, y: points[i].y - 10 });
+    b.x = x0 + len;
+  },
+
+  loop(b, rng) {
+    const x0 = b.x;
+    const r = rng.pick([80, 96, 112]);
+    const len = 2 * r + gridRound(rng.range(400, 560));
+    genFloor(b, x0, x0 + len, b.y);
+    const cx = x0 + 200 + r;
+    b.curves.push({ kind: "loop", x: cx, y: b.y, r, dir: "right" });
+    for (let i = 0; i < 8; i++) {
+      const a = (i / 8) * Math.PI * 2;
+      b.coins.push({ x: Math.round(cx + Math.sin(a) * (r - 24)), y: Math.round(b.y - r + Math.cos(a) * (r - 24)) });
+    }
+    b.x = x0 + len;
+  },
+
+  stairs(b, rng, diff) {
+    const x0 = b.x;
+    const maxSteps = Math.floor((b.y - 70) / 30) + 1; // keep the top step on screen (y >= 0)
+    const steps = Math.min(maxSteps, 3 + rng.int(0, Math.min(3, Math.floor(diff / 2))));
+    const len = 120 + steps * 180 + 160;
+    genFloor(b, x0, x0 + len, b.y);
+    for (let i = 0; i < steps; i++) {
+      const sx = x0 + 120 + i * 180;
+      const sy = b.y - 70 - i * 30;
+      b.solids.push({ x: sx, y: sy, w: 140, h: 20, oneWay: true });
+      genBoxRow(b, sx + 54, sy, ["coin"]);
+    }
+    b.x = x0 + len;
+  },
+
+  towers(b, rng, diff) {
+    const y = b.y;
+    const count = 2 + rng.int(0, Math.min(3, Math.floor(diff / 3)));
+    const towers = [];
+    let x = b.x + gridRound(rng.range(160, 240));
+    for (let i = 0; i < count; i++) {
+      const h = gridRound(rng.range(60, Math.min(130, 80 + diff * 6)));
+      towers.push({ x, top: y - h });
+      x += 80 + gridRound(rng.range(160, 260));
+    }
+    const x1 = x;
+    b.solids.push({ x: b.x, y, w: x1 - b.x, h: GEN.bottom - y });
+    let prev = b.x;
+    for (const t of towers) {
+      b.route.push({ x0: prev, x1: t.x, y });
+      b.solids.push({ x: t.x, y: t.top, w: 80, h: y - t.top });
+      b.route.push({ x0: t.x, x1: t.x + 80, y: t.top });
+      b.coins.push({ x: t.x + 40, y: t.top - 10 });
+      prev = t.x + 80;
+    }
+    b.route.push({ x0: prev, x1, y });
+    genCoinRow(b, prev, x1, y);
+    b.x = x1;
+  },
+
+  springRoute(b, rng) {
+    const x0 = b.x;
+    const len = gridRound(rng.range(260, 360));
+    if (b.y - 150 >= GEN.minFloorY) {
+      // Ledge too tall to jump: an up-spring at the foot of the wall.
+      const y = b.y - gridRound(rng.range(150, Math.min(200, b.y - GEN.minFloorY)));
+      genFloor(b, x0, x0 + len, b.y, { spring: true });
+      b.springs.push({ x: x0 + len - 60, y: b.y, dir: "up" });
+      const ledge = gridRound(rng.range(300, 460));
+      genFloor(b, x0 + len, x0 + len + ledge, y);
+      genCoinRow(b, x0 + len, x0 + len + ledge, y);
+      b.x = x0 + len + ledge;
+      b.y = y;
+    } else {
+      // Pit too wide to jump: a diagonal spring carries the hero across.
+      const plain = jumpReach(0) * GEN.jumpMargin;
+      const sprung = jumpReach(0, GEN.springVel) * GEN.jumpMargin;
+      const gap = gridRound(rng.range(plain + 20, sprung - 10));
+      genFloor(b, x0, x0 + len, b.y, { spring: true });
+      b.springs.push({ x: x0 + len - 40, y: b.y, dir: "diag-right" });
+      const land = gridRound(rng.range(280, 400));
+      genFloor(b, x0 + len + gap, x0 + len + gap + land, b.y);
+      genCoinRow(b, x0 + len + gap, x0 + len + gap + land, b.y);
+      b.x = x0 + len + gap + land;
+    }
+  },
+
+  gauntlet(b, rng, diff) {
+    const x0 = b.x;
+    const grounders = 1 + Math.min(3, Math.floor(diff / 3));
+    const spacing = 260;
+    const len = 240 + grounders * spacing;
+    genFloor(b, x0, x0 + len, b.y);
+    genCoinRow(b, x0, x0 + len, b.y);
+    for (let i = 0; i < grounders; i++) {
+      b.enemies.push({
+        kind: "ground",
+        x: x0 + 120 + i * spacing + spacing / 2,
+        y: b.y,
+        range: gridRound(rng.range(60, 110)),
+        speed: genSpeed(0.6 + diff * 0.03 + rng.range(0, 0.2)),
+        hp: i % 2 === 0 ? 2 : 1,
+      });
+    }
+    const birds = 1 + Math.min(3, Math.floor(diff / 4));
+    for (let i = 0; i < birds; i++) {
+      b.enemies.push({
+        kind: "bird",
+        x: x0 + 200 + Math.floor((i * (len - 300)) / birds),
+        y: b.y - gridRound(rng.range(110, 150)),
+        range: gridRound(rng.range(120, 180)),
+        speed: genSpeed(0.8 + diff * 0.03),
+        amp: rng.pick([20, 30]),
+        hp: 1,
+      });
+    }
+    if (rng.chance(0.4)) b.magnets.push({ x: x0 + 60, y: b.y - 12 });
+    b.x = x0 + len;
+  },
+};
+
+export function randomSeedString() {
+  return Math.floor(Math.random() * 36 ** 6).toString(36).padStart(6, "0");
+}
+
+function pickChunk(rng, diff) {
+  const weights = {
+    run: 3,
+    hills: 2,
+    loop: 1,
+    pit: 3,
+    stairs: 2,
+    towers: 2,
+    springRoute: 1 + diff * 0.15,
+    gauntlet: 1 + diff * 0.4,
+  };
+  const total = Object.values(weights).reduce((a, w) => a + w, 0);
+  let roll = rng.next() * total;
+  for (const [name, w] of Object.entries(weights)) {
+    roll -= w;
+    if (roll < 0) return name;
+  }
+  return "run";
+}
+
+/**
+ * Builds level data from a seed string and a difficulty (0 = gentlest, ~9 = the last
+ * built-in zone). Chunks are chained left to right; a chunk whose gaps cannot be
+ * crossed is discarded and re-rolled. The same seed and difficulty always give the same level.
+ */
+export function generateLevelData({ seed, difficulty = 0 }) {
+  const diff = Math.max(0, difficulty);
+  const rng = createRng(`${seed}|${diff}`);
+  const theme = rng.int(0, LEVEL_DEFS.length - 1);
+  const b = { x: 0, y: GEN.groundY };
+  for (const key of GEN_LISTS) b[key] = [];
+
+  // Start: flat run with the power-up boxes every zone offers.
+  genFloor(b, 0, 720, b.y);
+  genCoinRow(b, 100, 720, b.y);
+  genBoxRow(b, 300, b.y, ["coin", "power_green", "coin", "power_blue", "growth"]);
+  b.magnets.push({ x: 640, y: b.y - 12 });
+  b.x = 720;
+
+  const chunkCount = Math.min(18, 6 + Math.floor(diff * 1.2));
+  for (let i = 0; i < chunkCount; i++) {
+    let placed = false;
+    for (let attempt = 0; attempt < GEN.chunkTries && !placed; attempt++) {
+      const snap = { x: b.x, y: b.y, lens: GEN_LISTS.map((k) => b[k].length) };
+      GEN_CHUNKS[pickChunk(rng, diff)](b, rng, diff);
+      const from = Math.max(1, snap.lens[GEN_LISTS.indexOf("route")]);
+      placed = findUncrossableGap(b.route.slice(from - 1)) === -1;
+      if (!placed) {
+        b.x = snap.x;
+        b.y = snap.y;
+        GEN_LISTS.forEach((k, j) => (b[k].length = snap.lens[j]));
+      }
+    }
+    if (!placed) GEN_CHUNKS.run(b, rng);
+  }
+
+  // Boss arena back on the default ground line.
+  const x0 = b.x;
+  const width = x0 + GEN.arenaLength;
+  b.y = GEN.groundY;
+  genFloor(b, x0, width, b.y);
+  genCoinRow(b, x0, x0 + 600, b.y);
+  b.springs.push({ x: x0 + 200, y: b.y, dir: "up" });
+  b.enemies.push({ kind: "ground", x: x0 + 480, y: b.y, range: 100, speed: genSpeed(0.7 + diff * 0.03), hp: 2 });
+  b.enemies.push({ kind: "bird", x: x0 + 700, y: b.y - 130, range: 160, speed: genSpeed(0.8 + diff * 0.03), amp: 24, hp: 1 });
+
+  const bad = findUncrossableGap(b.route);
+  if (bad !== -1) throw new Error(`Generated level has an uncrossable gap at x=${b.route[bad].x0} (seed ${seed})`);
+
+  const taskSlot = clamp(Math.round(diff), 0, 9);
+  const data = {
+    format: LEVEL_FORMAT,
+    name: `Seed ${seed}`,
+    seed: String(seed),
+    difficulty: diff,
+    theme,
+    width,
+    height: GEN.bottom,
+    spawn: { x: 80, y: 220 },
+    goalX: width - 120,
+    groundY: GEN.groundY,
+    coinsPerBox: 1 + (taskSlot % 3),
+    solids: b.solids,
+    terrain: b.terrain,
+    curves: b.curves,
+    springs: b.springs,
+    boxes: b.boxes,
+    coins: b.coins,
+    magnets: b.magnets,
+    enemies: b.enemies,
+    boss: {
+      x: width - 260,
+      y: b.y,
+      maxHp: 10 + taskSlot * 4,
+      range: 200,
+      attackInterval: Math.max(1.2, Math.round((2.5 - diff * 0.1) * 100) / 100),
+    },
+    tasks: getTasksForLevel(taskSlot).map((t) => ({ ...t, id: `gen_${t.type}` })),
+  };
+  const errors = validateLevelData(data).filter((issue) => issue.severity === "error");
+  if (errors.length > 0) throw new Error(`Generated level is invalid (seed ${seed}): ${formatLevelIssue(errors[0])}`);
+  return data;
+}
@@ -0,0 +1,1753 @@
+import { WATER_DEFAULTS } from "../core/constants.js";
+import { aabbIntersects, clamp, sweptAabb } from "../core/math.js";
+import { Boss } from "../game/boss.js";
+import { BirdEnemy, Enemy } from "../game/enemies.js";
+import { createHazard } from "../game/hazards.js";
+import { LEVEL_DEFS, TASK_POP_TIME, getTasksForLevel } from "./environments.js";
+import {
+  BOX_SIZE,
+  BUILTIN_LEVELS,
+  CHECKPOINT_SIZE,
+  COIN_GRAVITY,
+  CRUMBLE_FADE,
+  CRUMBLE_SIZE,
+  SPRING_SIZE,
+} from "./format.js";
+import { formatLevelIssue, validateLevelData } from "./validate.js";
+
+export class Level {
+  constructor(data) {
+    this.data = data;
+    // Theme slot: picks colors from LEVEL_DEFS and varies the background scenery.
+    this.index = clamp(data.theme ?? 0, 0, LEVEL_DEFS.length - 1);
+    this.def = { ...LEVEL_DEFS[this.index], name: data.name ?? LEVEL_DEFS[this.index].name };
+    this.width = data.width;
+    this.height = data.height ?? 900;
+    this.spawn = { x: data.spawn?.x ?? 80, y: data.spawn?.y ?? 220 };
+    this.groundY = data.groundY ?? 300;
+    this.coinsPerBox = data.coinsPerBox ?? 1;
+    this.waterTuning = { ...WATER_DEFAULTS, ...(data.waterTuning || {}) };
+    this._clouds = Array.from({ length: 18 }, (_, i) => ({
+      x: i * 180 + (i % 3) * 40,
+      y: 60 + (i % 5) * 18,
+      r: 18 + (i % 4) * 6,
+    }));
+    this._solids = [];
+    this._breakables = []; // solid until smashed by a roll (see Player.isSpinAttacking)
+    this._debris = []; // chunks flying off smashed walls
+    this._platforms = []; // moving platforms; dx/dy hold the last step's movement
+    this._crumbles = []; // state: stable -> shaking -> gone -> respawning -> stable
+    this._hazards = []; // spikes, lava, electric floors, crushers (see createHazard)
+    this._water = []; // water volumes; y is the surface
+    this._bubbleVents = []; // floor vents that send up breathable air bubbles
+    this._airBubbles = []; // rising bubbles: big ones refill the hero's air, small ones are just breath
+    this._splashes = []; // droplets thrown up where the hero crosses a water surface
+    this._checkpoints = []; // starposts; active once touched (and every post before it)
+    this._checkpointState = null; // snapshot from the last touched post, see restoreCheckpoint()
+    this._coins = []; // static floor coins plus coins released from coin boxes (x, y, vx, vy, active)
+    this._coinAnim = 0;
+    this._enemies = [];
+    this._powerPickups = []; // green/blue power-ups released from power boxes (floating, collect to activate)
+    this._powerCoinAnim = 0;
+    this._bullets = [];
+    this._boss = null;
+    this._bossRewarded = false;
+    this._muzzleFlash = null;
+    this._bossAttacks = []; // fireballs/explosions
+    this._springs = [];
+    this._boxes = []; // Mario-style jump-activated: type = coin | power_green | power_blue | growth
+    this._fruits = []; // growth fruit from growth boxes
+    this._magnetPickups = []; // floor magnet power-ups (8s coin attraction)
+    this.goalX = data.goalX ?? this.width - 120;
+    this.goalRule = data.goalRule || "both"; // see GOAL_RULES
+    this._goalBump = 0; // signpost rattle when the hero runs into it while it is locked
+    this._goalTouched = false;
+    this._tasks = [];
+    this._progress = {};
+    this._completedTasks = new Set();
+    this._justCompleted = null;
+    this.events = null; // EventBus the engine hooks up (core/events); pickups, kills and the like are announced on it
+  }
+
+  reset() {
+    const d = this.data;
+    this._bossRewarded = false;
+    this._powerPickups = [];
+    this._fruits = [];
+    this._bullets = [];
+    this._bossAttacks = [];
+
+    this._solids = (d.solids || []).map((s) => ({ x: s.x, y: s.y, w: s.w, h: s.h, oneWay: !!s.oneWay }));
+    this._breakables = (d.breakables || []).map((b) => ({ x: b.x, y: b.y, w: b.w, h: b.h, breakable: true, broken: false }));
+    this._debris = [];
+    this._spawnMovingParts();
+    this._water = (d.water || []).map((w) => ({ x: w.x, y: w.y, w: w.w, h: w.h }));
+    this._bubbleVents = (d.bubbles || []).map((b) => ({ x: b.x, y: b.y, period: b.period ?? 3, timer: 1 }));
+    this._airBubbles = [];
+    this._splashes = [];
+    this._breathTimer = 0;
+    this._checkpoints = (d.checkpoints || [])
+      .map((c) => ({ x: c.x, y: c.y, active: false, spin: 0 }))
+      .sort((a, b) => a.x - b.x);
+    this._checkpointState = null;
+    this._terrain = (d.terrain || []).map((t) => {
+      const points = t.points.map((p) => ({ x: p.x, y: p.y }));
+      return { points, x0: points[0].x, x1: points[points.length - 1].x, top: Math.min(...points.map((p) => p.y)) };
+    });
+    // Curves: theta runs from 0 at the bottom point to `span` (full circle or quarter) in `dir`.
+    this._curves = (d.curves || []).map((c) => ({
+      kind: c.kind,
+      r: c.r,
+      cx: c.x,
+      cy: c.y - c.r,
+      dir: c.dir === "left" ? -1 : 1,
+      span: c.kind === "loop" ? Math.PI * 2 : Math.PI / 2,
+    }));
+
+    // Springs: classic Sonic-style launch pads (dir: 'up' | 'diag-left' | 'diag-right')
+    this._springs = (d.springs || []).map((s) => ({
+      x: s.x,
+      y: s.y,
+      w: s.w ?? SPRING_SIZE.w,
+      h: s.h ?? SPRING_SIZE.h,
+      dir: s.dir || "up",
+      compress: 0,
+    }));
+
+    // Boxes: hero jumps to hit them from below
+    this._boxes = (d.boxes || []).map((b) => ({
+      x: b.x,
+      y: b.y,
+      w: b.w ?? BOX_SIZE.w,
+      h: b.h ?? BOX_SIZE.h,
+      type: b.type || "coin",
+      used: false,
+      bounceAnim: 0,
+    }));
+
+    this._coins = (d.coins || []).map((c) => ({ x: c.x, y: c.y, vx: 0, vy: 0, active: true, static: true }));
+    this._magnetPickups = (d.magnets || []).map((m) => ({ x: m.x, y: m.y, collected: false, bob: 0 }));
+
+    this._enemies = (d.enemies || []).map((e) => {
+      if (e.kind === "bird") {
+        return new BirdEnemy({ x: e.x, y: e.y, range: e.range, speed: e.speed, amp: e.amp, hp: e.hp });
+      }
+      return new Enemy({ x: e.x, y: e.y, range: e.range, speed: e.speed, hp: e.hp });
+    });
+
+    this._boss = d.boss
+      ? new Boss({
+          x: d.boss.x,
+          y: d.boss.y,
+          levelIndex: this.index,
+          maxHp: d.boss.maxHp,
+          range: d.boss.range,
+          attackInterval: d.boss.attackInterval,
+        })
+      : null;
+
+    // Mission tasks: copied so "all enemies" targets can be filled in per run
+    this._tasks = (d.tasks || getTasksForLevel(this.index)).map((t) => ({ ...t }));
+    this._progress = {
+      coinsCollected: 0,
+      flyingKilled: 0,
+      flyingTotal: this._enemies.filter((e) => e.isFlying).length,
+      groundKilled: 0,
+      groundTotal: this._enemies.filter((e) => !e.isFlying).length,
+      springsUsed: 0,
+      hasPowerCoin: false,
+      hasShieldCoin: false,
+      bossDefeatedNoShield: false,
+      startTime: undefined,
+      startScore: 0,
+      reachedGoal: false,
+      goalReachedTime: undefined,
+    };
+    for (const t of this._tasks) {
+      if (t.type === "flyingEnemies") t.target = this._progress.flyingTotal;
+      if (t.type === "groundEnemies") t.target = this._progress.groundTotal;
+    }
+    this._completedTasks = new Set();
+    this._justCompleted = null;
+    this._goalBump = 0;
+    this._goalTouched = false;
+  }
+
+  // Moving platforms, crumbling ledges and hazards, all at their starting phase.
+  _spawnMovingParts() {
+    const d = this.data;
+    this._platforms = (d.platforms || []).map((p) => this._createPlatform(p));
+    this._crumbles = (d.crumbles || []).map((c) => ({
+      x: c.x,
+      y: c.y,
+      w: c.w ?? CRUMBLE_SIZE.w,
+      h: c.h ?? CRUMBLE_SIZE.h,
+      oneWay: !!c.oneWay,
+      delay: c.delay ?? 0.5,
+      respawn: c.respawn ?? 5,
+      state: "stable",
+      timer: 0,
+    }));
+    this._hazards = (d.hazards || []).map((h) => createHazard(h));
+  }
+
+  _createPlatform(p) {
+    const plat = {
+      x: p.x,
+      y: p.y,
+      w: p.w,
+      h: p.h,
+      oneWay: !!p.oneWay,
+      path: p.path || "linear",
+      startX: p.x,
+      startY: p.y,
+      travelX: p.dx ?? 0,
+      travelY: p.dy ?? 0,
+      period: p.period ?? 4,
+      r: p.r ?? 64,
+      speed: p.speed ?? 1,
+      trigger: p.trigger || "always",
+      running: p.trigger !== "touch",
+      time: 0,
+      dx: 0,
+      dy: 0,
+      segments: [],
+      length: 0,
+    };
+    if (plat.path === "waypoints") {
+      // Closed loop: start -> points... -> start.
+      const pts = [{ x: p.x, y: p.y }, ...(p.points || []), { x: p.x, y: p.y }];
+      for (let i = 1; i < pts.length; i++) {
+        const len = Math.hypot(pts[i].x - pts[i - 1].x, pts[i].y - pts[i - 1].y);
+        if (len === 0) continue;
+        plat.segments.push({ x0: pts[i - 1].x, y0: pts[i - 1].y, x1: pts[i].x, y1: pts[i].y, len });
+        plat.length += len;
+      }
+    }
+    return plat;
+  }
+
+  // Position on the path is a function of the platform's own clock, so it never drifts.
+  _placePlatform(p) {
+    if (p.path === "circle") {
+      const a = (p.time / p.period) * Math.PI * 2;
+      p.x = p.startX - p.r + Math.cos(a) * p.r;
+      p.y = p.startY - Math.sin(a) * p.r;
+    } else if (p.path === "waypoints") {
+      if (p.length === 0) return;
+      let d = (p.time * 60 * p.speed) % p.length;
+      for (const seg of p.segments) {
+        if (d <= seg.len) {
+          p.x = seg.x0 + ((seg.x1 - seg.x0) * d) / seg.len;
+          p.y = seg.y0 + ((seg.y1 - seg.y0) * d) / seg.len;
+          return;
+        }
+        d -= seg.len;
+      }
+    } else {
+      const u = 0.5 - 0.5 * Math.cos((p.time / p.period) * Math.PI * 2);
+      p.x = p.startX + p.travelX * u;
+      p.y = p.startY + p.travelY * u;
+    }
+  }
+
+  // Moves the platforms after the hero's step and carries a rider along with theirs.
+  _updatePlatforms(dt, player) {
+    for (const p of this._platforms) {
+      const rider = player._standingOn === p;
+      if (!p.running && rider) p.running = true;
+      const oldX = p.x;
+      const oldY = p.y;
+      if (p.running) {
+        p.time += dt;
+        this._placePlatform(p);
+      }
+      p.dx = p.x - oldX;
+      p.dy = p.y - oldY;
+      if (rider) {
+        player.x += p.dx;
+        player.y = p.y;
+        continue;
+      }
+      // A rising platform scoops up a hero falling onto it instead of passing through their feet.
+      if (p.dy < 0 && player.vy >= 0) {
+        const hb = player.getHitbox();
+        const feet = hb.y + hb.h;
+        if (hb.x + hb.w > p.x && hb.x < p.x + p.w && feet > p.y && feet <= oldY + 0.01) player.y = p.y;
+      }
+    }
+  }
+
+  _updateCrumbles(dt, player) {
+    for (const c of this._crumbles) {
+      if (c.state === "stable") {
+        if (player._standingOn === c) {
+          c.state = "shaking";
+          c.timer = c.delay;
+        }
+      } else if (c.state === "shaking") {
+        c.timer -= dt;
+        if (c.timer <= 0) this._crumble(c);
+      } else if (c.state === "gone") {
+        c.timer -= dt;
+        // Only come back once the spot is clear, never inside the hero.
+        if (c.timer <= 0 && !aabbIntersects(player.getHitbox(), c)) {
+          c.state = "respawning";
+          c.timer = CRUMBLE_FADE;
+        }
+      } else if (c.state === "respawning") {
+        c.timer -= dt;
+        if (c.timer <= 0) c.state = "stable";
+      }
+    }
+  }
+
+  // Crusher tops carry the hero like a platform. Touching a harmful hazard hurts once per
+  // step; spikes hit even through invulnerability.
+  _updateHazards(dt, player) {
+    for (const h of this._hazards) {
+      h.update(dt);
+      if (h.dy && player._standingOn === h) player.y = h.y;
+    }
+    const hb = player.getHitbox();
+    for (const h of this._hazards) {
+      if (player.invuln > 0 && !h.ignoresInvuln) continue;
+      if (!h.isHarmful() || !aabbIntersects(hb, h.getHurtBox())) continue;
+      const knock = h.getKnock(player);
+      player.takeHit(knock.dir, { ignoreInvuln: h.ignoresInvuln, fromAbove: knock.fromAbove });
+      return;
+    }
+  }
+
+  // Vents puff out a bubble every `period` seconds; it grows to breathable size on the way up and
+  // pops at the surface. The hero breathes out small bubbles while submerged.
+  _updateWater(dt, player) {
+    const frameScale = dt * 60;
+    for (const v of this._bubbleVents) {
+      v.timer -= dt;
+      if (v.timer > 0) continue;
+      v.timer = v.period;
+      const volume = this.getWaterAt(v.x, v.y - 1);
+      if (volume) this._airBubbles.push({ x: v.x, baseX: v.x, y: v.y - 4, r: 3, age: 0, big: true, surface: volume.y });
+    }
+    if (player.underwater) {
+      this._breathTimer -= dt;
+      if (this._breathTimer <= 0) {
+        this._breathTimer = 1.2;
+        const head = player.y - player.getHitbox().h + 4;
+        const volume = this.getWaterAt(player.x, head);
+        if (volume) this._airBubbles.push({ x: player.x, baseX: player.x + player.facing * 6, y: head, r: 2, age: 0, big: false, surface: volume.y });
+      }
+    }
+    const hb = player.getHitbox();
+    this._airBubbles = this._airBubbles.filter((b) => {
+      b.age += dt;
+      if (b.big) b.r = Math.min(12, 3 + b.age * 18);
+      b.y -= (b.big ? 0.6 : 1) * frameScale;
+      b.x = b.baseX + Math.sin(b.age * 4) * 3;
+      if (b.y - b.r <= b.surface) return false;
+      const box = { x: b.x - b.r, y: b.y - b.r, w: b.r * 2, h: b.r * 2 };
+      if (b.big && b.r >= 12 && player.underwater && aabbIntersects(hb, box)) {
+        player.breathe();
+        return false;
+      }
+      return true;
+    });
+    for (const d of this._splashes) {
+      d.x += d.vx * frameScale;
+      d.y += d.vy * frameScale;
+      d.vy += COIN_GRAVITY * frameScale;
+      d.life -= dt;
+    }
+    this._splashes = this._splashes.filter((d) => d.life > 0);
+  }
+
+  _updateCheckpoints(dt, player, nowSeconds) {
+    const hb = player.getHitbox();
+    this._checkpoints.forEach((c, i) => {
+      if (c.spin > 0) c.spin = Math.max(0, c.spin - dt);
+      if (c.active) return;
+      const post = { x: c.x - CHECKPOINT_SIZE.w / 2, y: c.y - CHECKPOINT_SIZE.h, w: CHECKPOINT_SIZE.w, h: CHECKPOINT_SIZE.h };
+      if (!aabbIntersects(hb, post)) return;
+      // Posts behind this one light up too, so running back cannot save an older spot.
+      for (let k = 0; k <= i; k++) this._checkpoints[k].active = true;
+      c.spin = 1;
+      player.setSpawn({ x: c.x, y: c.y });
+      this._checkpointState = this._captureCheckpoint(c, nowSeconds);
+      this.events?.emit("checkpointReached", { x: c.x, y: c.y });
+    });
+  }
+
+  // Everything a lost life rolls back: used boxes, collected pickups, killed enemies, boss HP,
+  // smashed walls, task progress and the level clock. Platforms, crumbles and hazards hold no
+  // progress and simply start over after every lost life, so a collapsed path is always back.
+  _captureCheckpoint(c, nowSeconds) {
+    const copy = (list) => list.map((o) => ({ ...o }));
+    return {
+      x: c.x,
+      y: c.y,
+      elapsed: nowSeconds - (this._progress.startTime ?? nowSeconds),
+      boxes: this._boxes.map((b) => b.used),
+      coins: copy(this._coins),
+      magnets: copy(this._magnetPickups),
+      powerPickups: copy(this._powerPickups),
+      fruits: copy(this._fruits),
+      enemies: this._enemies.map((e) => ({ alive: e.alive, hp: e.hp })),
+      boss: this._boss ? { alive: this._boss.alive, hp: this._boss.hp } : null,
+      bossRewarded: this._bossRewarded,
+      breakables: this._breakables.map((b) => b.broken),
+      progress: { ...this._progress },
+      completedTasks: [...this._completedTasks],
+    };
+  }
+
+  // Called by the engine after the hero loses a life; returns false when no post was touched yet.
+  restoreCheckpoint(player, nowSeconds) {
+    this._spawnMovingParts();
+    const snap = this._checkpointState;
+    if (!snap) return false;
+    const copy = (list) => list.map((o) => ({ ...o }));
+    this._boxes.forEach((b, i) => {
+      b.used = snap.boxes[i];
+      b.bounceAnim = 0;
+    });
+    this._coins = copy(snap.coins);
+    this._magnetPickups = copy(snap.magnets);
+    this._powerPickups = copy(snap.powerPickups);
+    this._fruits = copy(snap.fruits);
+    this._enemies.forEach((e, i) => {
+      const saved = snap.enemies[i];
+      if (e.alive === saved.alive && e.hp === saved.hp) return;
+      e.alive = saved.alive;
+      e.hp = saved.hp;
+      e.hitTimer = 0;
+      e.deathTimer = 0;
+      e.x = e.baseX;
+    });
+    if (this._boss && snap.boss) {
+      this._boss.alive = snap.boss.alive;
+      this._boss.hp = snap.boss.hp;
+      this._boss.hurtTimer = 0;
+      this._boss.deathTimer = 0;
+      this._boss.x = this._boss.baseX;
+    }
+    this._bossRewarded = snap.bossRewarded;
+    this._breakables.forEach((b, i) => {
+      b.broken = snap.breakables[i];
+    });
+    this._progress = { ...snap.progress, startTime: nowSeconds - snap.elapsed };
+    this._completedTasks = new Set(snap.completedTasks);
+    this._justCompleted = null;
+    this._bullets = [];
+    this._bossAttacks = [];
+    player.respawn({ x: snap.x, y: snap.y });
+    return true;
+  }
+
+  // Water volume whose inside (below the surface) holds the point, or null.
+  getWaterAt(x, y) {
+    return this._water.find((w) => x >= w.x && x <= w.x + w.w && y > w.y && y < w.y + w.h) || null;
+  }
+
+  // Called by the player when they cross a water surface.
+  splash(x, surfaceY) {
+    for (let i = 0; i < 10; i++) {
+      this._splashes.push({ x, y: surfaceY, vx: (i - 4.5) * 0.5, vy: -2.5 - (i % 3) * 0.8, life: 0.6 });
+    }
+    this.events?.emit("waterSplash", { x, y: surfaceY });
+  }
+
+  // Breaks a crumbling platform into four falling pieces; it stops being solid right away.
+  _crumble(c) {
+    c.state = "gone";
+    c.timer = c.respawn;
+    for (let i = 0; i < 4; i++) {
+      this._debris.push({
+        x: c.x + ((i + 0.5) * c.w) / 4,
+        y: c.y + c.h / 2,
+        vx: (i - 1.5) * 0.6,
+        vy: -1 + (i % 2) * 0.5,
+        w: c.w / 4 - 2,
+        h: c.h,
+        color: "#8d5a34",
+        life: 2,
+      });
+    }
+    this.events?.emit("crumbleFell", { crumble: c });
+  }
+
+  spawnBullet(x, y, dir) {
+    const speed = 12;
+    this._bullets.push({
+      x,
+      y,
+      vx: dir * speed,
+      life: 1.0,
+      dir,
+    });
+    // Store muzzle flash position for rendering
+    this._muzzleFlash = { x, y, dir, time: 0.1 };
+  }
+
+  spawnBossAttack(x, y, vx, vy) {
+    this._bossAttacks.push({
+      x,
+      y,
+      vx,
+      vy,
+      life: 3.0,
+      r: 12,
+    });
+  }
+
+  // rng: the engine's seeded generator (createRng); without one, random touches fall back to fixed values.
+  update(dt, player, nowSeconds = 0, rng = null) {
+    const frameScale = dt * 60;
+    this._coinAnim = (this._coinAnim + dt * 10) % 8;
+    this._powerCoinAnim = (this._powerCoinAnim + dt * 8) % 6;
+    if (this._progress.startTime === undefined) {
+      this._progress.startTime = nowSeconds;
+      this._progress.startScore = player.score; // the level's own score is what the save keeps
+    }
+    // Only an open signpost stops the clock; running into a locked one on the way does not count.
+    if (player.x >= this.goalX - 20 && this.isGoalOpen()) {
+      this._progress.reachedGoal = true;
+      if (this._progress.goalReachedTime === undefined) this._progress.goalReachedTime = nowSeconds;
+    }
+    // A locked signpost rattles once per run-in; backing off re-arms it.
+    this._goalBump = Math.max(0, this._goalBump - dt);
+    if (player.x >= this.goalX && !this._goalTouched && !this.isGoalOpen()) {
+      this._goalTouched = true;
+      this._goalBump = 0.4;
+      this.events?.emit("goalLocked", { reason: this.getGoalLockReason() });
+    } else if (player.x < this.goalX - 40) {
+      this._goalTouched = false;
+    }
+    if (this._justCompleted) {
+      this._justCompleted.timer -= dt;
+      if (this._justCompleted.timer <= 0) this._justCompleted = null;
+    }
+    this._updatePlatforms(dt, player);
+    this._updateCrumbles(dt, player);
+    this._updateHazards(dt, player);
+    this._updateWater(dt, player);
+    this._updateCheckpoints(dt, player, nowSeconds);
+
+    const hb = player.getHitbox();
+    const px = hb.x + hb.w / 2;
+    const py = hb.y + hb.h / 2;
+    const r = 16;
+    const r2 = r * r;
+    const phb = player.getHitbox();
+    const playerBottom = phb.y + phb.h;
+
+    // Springs: when player lands on spring, launch upward or diagonal
+    for (const s of this._springs) {
+      if (s.compress > 0) s.compress = Math.max(0, s.compress - dt * 4);
+      const sx = s.x - s.w / 2;
+      const sy = s.y - s.h; // spring top
+      const sb = { x: sx, y: sy, w: s.w, h: s.h };
+      if (!aabbIntersects(phb, sb)) continue;
+      if (player.vy < 0) continue; // only trigger when falling onto spring
+      if (playerBottom < sy + 4) continue; // player bottom must be at or past spring top
+      if (playerBottom > s.y + 8) continue;
+
+      s.compress = 0.35;
+      this._progress.springsUsed += 1;
+      player.grounded = false;
+      player.springLaunchTimer = 0.4;
+      this.events?.emit("springLaunched", { spring: s });
+      const normalJumpVel = 6.5;
+      const springBoost = 1.35;
+      const maxSpringVy = -normalJumpVel * springBoost;
+      if (s.dir === "up") {
+        player.vy = maxSpringVy;
+        player.vx = 0;
+      } else if (s.dir === "diag-left") {
+        player.vy = maxSpringVy;
+        player.vx = -4;
+      } else {
+        player.vy = maxSpringVy;
+        player.vx = 4;
+      }
+    }
+
+    // Box platform: top collider = solid (getSolidsNear); bottom = trigger for jump-hit activation only.
+    const boxGroundY = this.groundY;
+    const SPAWN_OFFSET_ABOVE_BOX = 28;
+
+    for (const box of this._boxes) {
+      if (box.bounceAnim > 0) box.bounceAnim = Math.max(0, box.bounceAnim - dt);
+      // One-time use: after activation, disable further collisions
+      if (box.used) continue;
+
+      const boxLeft = box.x;
+      const boxRight = box.x + box.w;
+      const boxBottom = box.y + box.h;
+      const boxTop = box.y;
+
+      // Horizontal overlap with box
+      if (phb.x + phb.w < boxLeft || phb.x > boxRight) continue;
+      // CRITICAL: must be moving upward (jump hit from below)
+      if (player.vy >= 0) continue;
+
+      const playerTop = phb.y;
+      const playerBottom = phb.y + phb.h;
+      const prevPlayerTop = playerTop - player.vy * frameScale;
+      const hitFromBelow =
+        prevPlayerTop >= boxBottom && playerTop < boxBottom && playerBottom > boxTop;
+
+      if (!hitFromBelow) continue;
+
+      // Activate once: bounce animation, spawn item instantly, set used
+      box.used = true;
+      box.bounceAnim = 0.28;
+
+      const cx = box.x + box.w / 2;
+      const boxTopY = box.y;
+      const spawnY = boxTopY - SPAWN_OFFSET_ABOVE_BOX;
+
+      if (box.type === "coin") {
+        const count = Math.max(1, this.coinsPerBox);
+        for (let i = 0; i < count; i++) {
+          this._coins.push({
+            x: cx + (i - count / 2) * 8,
+            y: spawnY,
+            vx: (i - count / 2) * 1.8,
+            vy: -9 - i * 0.6,
+            active: true,
+          });
+        }
+      } else if (box.type === "power_green" || box.type === "power_blue") {
+        const POWER_MAX_RISE = 22;
+        this._powerPickups.push({
+          x: cx,
+          y: spawnY,
+          vy: -3.2,
+          maxY: spawnY - POWER_MAX_RISE,
+          type: box.type,
+          collected: false,
+          bob: 0,
+        });
+      } else if (box.type === "growth") {
+        const FRUIT_MAX_RISE = 22;
+        this._fruits.push({
+          x: cx,
+          y: spawnY,
+          vy: -3.2,
+          maxY: spawnY - FRUIT_MAX_RISE,
+          collected: false,
+          bob: 0,
+        });
+      }
+
+      player.vy = 0.6;
+    }
+
+    // Released coins: gravity, bounce; floor coins (static) do not move
+    for (const c of this._coins) {
+      if (!c.active) continue;
+      if (c.static) continue;
+      c.vy += COIN_GRAVITY * dt * 60;
+      c.y += c.vy * dt * 60;
+      c.x += (c.vx || 0) * dt * 60;
+      if (c.y >= boxGroundY) {
+        c.y = boxGroundY;
+        c.vy = -(c.vy || 0) * 0.45;
+        if (Math.abs(c.vy) < 2) c.vy = 0;
+      }
+    }
+    // Debris falls with the same gravity as released coins and fades out.
+    for (const d of this._debris) {
+      d.vy += COIN_GRAVITY * frameScale;
+      d.x += d.vx * frameScale;
+      d.y += d.vy * frameScale;
+      d.life -= dt;
+    }
+    this._debris = this._debris.filter((d) => d.life > 0);
+    const MAGNET_RADIUS = 140;
+    const MAGNET_PULL_SPEED = 5.5;
+    const MAGNET_COLLECT_R = 28;
+    if (player.magnetTimer > 0) {
+      for (const c of this._coins) {
+        if (!c.active) continue;
+        let dx = px - c.x;
+        let dy = py - c.y;
+        let dist = Math.sqrt(dx * dx + dy * dy);
+        if (dist < MAGNET_RADIUS && dist > 0.1) {
+          const move = MAGNET_PULL_SPEED * dt * 60;
+          c.x += (dx / dist) * Math.min(move, dist);
+          c.y += (dy / dist) * Math.min(move, dist);
+          dx = px - c.x;
+          dy = py - c.y;
+          dist = Math.sqrt(dx * dx + dy * dy);
+        }
+        if (dist < MAGNET_COLLECT_R) {
+          c.active = false;
+          this._progress.coinsCollected += 1;
+          player.rings += 1;
+          const points = player.addComboScore(10);
+          this.events?.emit("coinCollected", { x: c.x, y: c.y, points });
+        }
+      }
+    }
+    for (const c of this._coins) {
+      if (!c.active) continue;
+      const dx = c.x - px;
+      const dy = c.y - py;
+      if (dx * dx + dy * dy <= r2) {
+        c.active = false;
+        this._progress.coinsCollected += 1;
+        player.rings += 1;
+        const points = player.addComboScore(10);
+        this.events?.emit("coinCollected", { x: c.x, y: c.y, points });
+      }
+    }
+
+    for (const mp of this._magnetPickups) {
+      if (mp.collected) continue;
+      mp.bob = (mp.bob + dt * 6) % (Math.PI * 2);
+      const mx = mp.x;
+      const my = mp.y + Math.sin(mp.bob) * 4;
+      const mdx = px - mx;
+      const mdy = py - my;
+      if (mdx * mdx + mdy * mdy <= 24 * 24) {
+        mp.collected = true;
+        player.magnetTimer = 8;
+        this.events?.emit("powerUpCollected", { kind: "magnet" });
+      }
+    }
+    this._magnetPickups = this._magnetPickups.filter((m) => !m.collected);
+
+    // Power pickups (green gun / blue shield): controlled rise, then float (same in all levels)
+    const powerGravityLight = 0.06;
+    const powerMaxUpwardVy = -3.5;
+    for (const pp of this._powerPickups) {
+      if (pp.collected) continue;
+      pp.y += pp.vy * dt * 60;
+      pp.vy += powerGravityLight * dt * 60;
+      pp.vy = Math.min(pp.vy, 1.2);
+      if (pp.vy < powerMaxUpwardVy) pp.vy = powerMaxUpwardVy;
+      if (pp.maxY != null && pp.y < pp.maxY) {
+        pp.y = pp.maxY;
+        pp.vy = 0;
+      }
+      pp.bob = (pp.bob + dt * 5) % (Math.PI * 2);
+      const pb = { x: pp.x - 14, y: pp.y - 14, w: 28, h: 28 };
+      if (aabbIntersects(phb, pb)) {
+        pp.collected = true;
+        if (pp.type === "power_green") {
+          this._progress.hasPowerCoin = true;
+          player.hasGunPower = true;
+          player.gunCooldown = 0;
+        } else {
+          this._progress.hasShieldCoin = true;
+          player.hasShieldPower = true;
+        }
+        player.powerFlash = 0.5;
+        this.events?.emit("powerUpCollected", { kind: pp.type === "power_green" ? "gun" : "shield" });
+      }
+    }
+    this._powerPickups = this._powerPickups.filter((p) => !p.collected);
+
+    // Fruit: controlled rise, then float in place (same in all levels)
+    const fruitGravityLight = 0.06;
+    const fruitMaxUpwardVy = -3.5;
+    for (const fruit of this._fruits) {
+      if (fruit.collected) continue;
+      fruit.y += fruit.vy * dt * 60;
+      fruit.vy += fruitGravityLight * dt * 60;
+      fruit.vy = Math.min(fruit.vy, 1.2);
+      if (fruit.vy < fruitMaxUpwardVy) fruit.vy = fruitMaxUpwardVy;
+      if (fruit.maxY != null && fruit.y < fruit.maxY) {
+        fruit.y = fruit.maxY;
+        fruit.vy = 0;
+      }
+      fruit.bob = (fruit.bob + dt * 5) % (Math.PI * 2);
+      const fruitBox = { x: fruit.x - 14, y: fruit.y - 14, w: 28, h: 28 };
+      if (aabbIntersects(phb, fruitBox)) {
+        fruit.collected = true;
+        player.isBig = true;
+        player.growthTransformTimer = 0.6;
+        this.events?.emit("powerUpCollected", { kind: "growth" });
+      }
+    }
+    this._fruits = this._fruits.filter((f) => !f.collected);
+
+    // Enemies
+    for (const e of this._enemies) e.update(dt);
+    for (const e of this._enemies) {
+      if (!e.alive) continue;
+      const eb = e.getAabb();
+      if (!aabbIntersects(phb, eb)) continue;
+
+      // Stomp if falling and player was above enemy.
+      const playerBottom = phb.y + phb.h;
+      const enemyTop = eb.y;
+      const wasAbove = playerBottom - player.vy * frameScale <= enemyTop + 6;
+      const stomp = player.vy > 0 && wasAbove;
+      // A rolling or revving hero smashes enemies from any side.
+      if (stomp || player.isSpinAttacking()) {
+        e.alive = false;
+        if (e.isFlying) this._progress.flyingKilled += 1;
+        else this._progress.groundKilled += 1;
+        const points = player.addComboScore(100);
+        this.events?.emit("enemyKilled", { enemy: e, by: stomp ? "stomp" : "spin", points });
+        if (stomp) {
+          player.vy = -4.5; // bounce
+          player.grounded = false;
+        }
+      } else {
+        const knockDir = player.x < e.x ? -1 : 1;
+        player.takeHit(knockDir);
+      }
+    }
+
+    // Boss update and collisions.
+    if (this._boss) {
+      this._boss.update(dt, player, this);
+      const boss = this._boss;
+      if (boss.alive) {
+        const bb = boss.getAabb();
+        if (aabbIntersects(phb, bb)) {
+          const playerBottom = phb.y + phb.h;
+          const bossTop = bb.y;
+          const wasAboveBoss = playerBottom - player.vy * frameScale <= bossTop + 8;
+          if (player.vy > 0 && wasAboveBoss) {
+            // Stomp bounces player only; boss takes damage ONLY from hero bullets
+            player.vy = -5;
+            player.grounded = false;
+          } else {
+            const knockDir = player.x < boss.x ? -1 : 1;
+            player.takeHit(knockDir);
+          }
+        }
+      }
+    }
+
+    // Boss attacks: move and collide with player/shield.
+    for (const atk of this._bossAttacks) {
+      atk.x += atk.vx * frameScale;
+      atk.y += atk.vy * frameScale;
+      atk.life -= dt;
+    }
+    this._bossAttacks = this._bossAttacks.filter((atk) => {
+      if (atk.life <= 0 || atk.x < -100 || atk.x > this.width + 100) return false;
+      // Swept over this step's movement so fast fireballs cannot jump over the hero.
+      const dx = atk.vx * frameScale;
+      const dy = atk.vy * frameScale;
+      const from = { x: atk.x - dx - atk.r, y: atk.y - dy - atk.r, w: atk.r * 2, h: atk.r * 2 };
+      if (sweptAabb(from, dx, dy, phb)) {
+        // Hit player - shield absorbs if active
+        const knockDir = player.x < atk.x ? -1 : 1;
+        player.takeHit(knockDir);
+        return false; // attack disappears
+      }
+      return true;
+    });
+
+    // Update muzzle flash
+    if (this._muzzleFlash) {
+      this._muzzleFlash.time -= dt;
+      if (this._muzzleFlash.time <= 0) {
+        this._muzzleFlash = null;
+      }
+    }
+
+    // Bullets: move forward and hit any enemies (including birds).
+    for (const b of this._bullets) {
+      b.x += b.vx * frameScale;
+      b.life -= dt;
+    }
+    // Remove dead/expired bullets and apply collisions.
+    this._bullets = this._bullets.filter((b) => {
+      if (b.life <= 0 || b.x < -100 || b.x > this.width + 100) return false;
+      // Swept over this step: the first enemy or boss along the path takes the hit.
+      const dx = b.vx * frameScale;
+      const from = { x: b.x - dx - 4, y: b.y - 4, w: 8, h: 8 };
+      let target = null;
+      let targetT = Infinity;
+      for (const e of this._enemies) {
+        if (!e.alive) continue;
+        const hit = sweptAabb(from, dx, 0, e.getAabb());
+        if (hit && hit.t < targetT) {
+          target = e;
+          targetT = hit.t;
+        }
+      }
+      if (this._boss && this._boss.alive) {
+        const hit = sweptAabb(from, dx, 0, this._boss.getAabb());
+        if (hit && hit.t < targetT) target = this._boss;
+      }
+      if (target && target === this._boss) {
+        // Bullet vs boss: always trigger damage when bullet hits boss (all levels, no invincible boss).
+        this._boss.takeHit(1, rng);
+        const points = player.addComboScore(150);
+        this.events?.emit("bossHit", { boss: this._boss, points });
+        return false;
+      }
+      if (target) {
+        target.takeHit(1);
+        if (!target.alive) {
+          if (target.isFlying) this._progress.flyingKilled += 1;
+          else this._progress.groundKilled += 1;
+          const points = player.addComboScore(80);
+          this.events?.emit("enemyKilled", { enemy: target, by: "bullet", points });
+        } else {
+          this.events?.emit("enemyHit", { enemy: target });
+        }
+        return false; // bullet disappears
+      }
+      return true;
+    });
+
+    // Boss defeat: stop attacks, drop many coins, hide health bar (handled by HUD).
+    if (this._boss && !this._boss.alive && !this._bossRewarded) {
+      this._bossRewarded = true;
+      this._bossAttacks = [];
+      this._progress.bossDefeatedNoShield = player.shieldHits < player.shieldMaxHits;
+      const points = player.addComboScore(1000);
+      player.rings += 20;
+      this.events?.emit("bossDefeated", { boss: this._boss, points });
+      const cx = this._boss.x;
+      const cy = this._boss.y - 40;
+      for (let i = 0; i < 24; i++) {
+        this._coins.push({
+          x: cx - 120 + i * 10,
+          y: cy - (i % 4) * 8,
+          vx: (i % 5 - 2) * 2.5,
+          vy: -6 - (i % 3) * 2,
+          active: true,
+        });
+      }
+      const rewardY = cy - 40;
+      this._powerPickups.push({
+        x: cx,
+        y: rewardY,
+        vy: -3.2,
+        maxY: rewardY - 22,
+        type: "power_green",
+        collected: false,
+        bob: 0,
+      });
+    }
+
+    // Evaluate task completion
+    const p = this._progress;
+    for (const t of this._tasks) {
+      if (this._completedTasks.has(t.id)) continue;
+      let done = false;
+      if (t.type === "coins") done = p.coinsCollected >= t.target;
+      else if (t.type === "flyingEnemies") done = p.flyingKilled >= (t.target || p.flyingTotal);
+      else if (t.type === "groundEnemies") done = p.groundKilled >= (t.target || p.groundTotal);
+      else if (t.type === "springsUsed") done = p.springsUsed >= t.target;
+      else if (t.type === "bothCoins") done = p.hasPowerCoin && p.hasShieldCoin;
+      else if (t.type === "bossNoShield") done = p.bossDefeatedNoShield;
+      else if (t.type === "timeLimit") done = p.reachedGoal && (p.goalReachedTime - p.startTime <= t.target);
+      if (done) {
+        this._completedTasks.add(t.id);
+        this._justCompleted = { id: t.id, timer: TASK_POP_TIME };
+        if (!t.mandatory) player.rings += 5;
+        this.events?.emit("taskCompleted", { task: t });
+      }
+    }
+  }
+
+  isGoalOpen() {
+    return this.getGoalLockReason() === null;
+  }
+
+  // What still keeps the signpost shut under this level's goalRule, or null once it is open.
+  getGoalLockReason() {
+    const bossDone = this._boss ? !this._boss.alive : null; // null: no boss in this level
+    const tasksDone = this.areMandatoryTasksComplete();
+    if (this.goalRule === "boss") return bossDone === false ? "DEFEAT THE BOSS" : null;
+    if (this.goalRule === "tasks") return tasksDone ? null : "MANDATORY TASKS INCOMPLETE";
+    if (this.goalRule === "either") {
+      if (tasksDone || bossDone) return null;
+      return bossDone === null ? "MANDATORY TASKS INCOMPLETE" : "DEFEAT THE BOSS OR FINISH THE MANDATORY TASKS";
+    }
+    if (bossDone === false) return tasksDone ? "DEFEAT THE BOSS" : "DEFEAT THE BOSS AND FINISH THE MANDATORY TASKS";
+    return tasksDone ? null : "MANDATORY TASKS INCOMPLETE";
+  }
+
+  // 1 star for the clear, the other 2 shared out over the optional tasks done (all 3 when there are none).
+  getStarRating() {
+    const optional = this._tasks.filter((t) => !t.mandatory);
+    if (optional.length === 0) return 3;
+    const done = optional.filter((t) => this._completedTasks.has(t.id)).length;
+    return 1 + Math.floor((2 * done) / optional.length);
+  }
+
+  areMandatoryTasksComplete() {
+    for (const t of this._tasks) {
+      if (t.mandatory && !this._completedTasks.has(t.id)) return false;
+    }
+    return true;
+  }
+
+  getTasks() {
+    return this._tasks;
+  }
+  getProgress() {
+    return this._progress;
+  }
+  getCompletedTasks() {
+    return this._completedTasks;
+  }
+  getJustCompleted() {
+    return this._justCompleted;
+  }
+
+  hasAliveBoss() {
+    return !!(this._boss && this._boss.alive);
+  }
+
+  getBoss() {
+    return this._boss;
+  }
+
+  // Highest terrain surface at x between top and bottom: { y, angle } or null.
+  getGroundAt(x, top, bottom) {
+    let best = null;
+    for (const t of this._terrain) {
+      if (x < t.x0 || x > t.x1 || t.top > bottom) continue;
+      const pts = t.points;
+      let i = 1;
+      while (i < pts.length - 1 && pts[i].x < x) i++;
+      const a = pts[i - 1];
+      const b = pts[i];
+      const y = a.y + ((b.y - a.y) * (x - a.x)) / (b.x - a.x);
+      if (y < top || y > bottom || (best && best.y <= y)) continue;
+      best = { y, angle: Math.atan2(b.y - a.y, b.x - a.x) };
+    }
+    return best;
+  }
+
+  // Called by the player when a roll hits a breakable wall: the wall stops being solid and bursts into chunks.
+  breakWall(wall, player) {
+    if (wall.broken) return;
+    wall.broken = true;
+    const cols = Math.max(2, Math.round(wall.w / 16));
+    const rows = Math.max(2, Math.round(wall.h / 16));
+    const push = Math.sign(player.vx) || player.facing;
+    for (let i = 0; i < cols; i++) {
+      for (let j = 0; j < rows; j++) {
+        // Fixed spread per chunk (no Math.random) so the burst looks the same every time.
+        this._debris.push({
+          x: wall.x + ((i + 0.5) * wall.w) / cols,
+          y: wall.y + ((j + 0.5) * wall.h) / rows,
+          vx: push * (1.5 + ((i * 7 + j * 3) % 5) * 0.6),
+          vy: -2 - ((i + j * 5) % 4) * 0.8,
+          w: 6 + ((i + j) % 3) * 2,
+          h: 6 + ((i + j) % 3) * 2,
+          life: 1.2,
+        });
+      }
+    }
+    const points = player.addComboScore(50);
+    this.events?.emit("wallBroken", { wall, points });
+  }
+
+  getCurvesNear(x) {
+    return this._curves.filter((c) => Math.abs(x - c.cx) <= c.r + 96);
+  }
+
+  getSolidsNear(hb) {
+    const margin = 96;
+    const minX = hb.x - margin;
+    const maxX = hb.x + hb.w + margin;
+    const platformSolids = this._solids.filter((s) => s.x < maxX && s.x + s.w > minX);
+    const walls = this._breakables.filter((b) => !b.broken && b.x < maxX && b.x + b.w > minX);
+    const platforms = this._platforms.filter((p) => p.x < maxX && p.x + p.w > minX);
+    const crumbles = this._crumbles.filter(
+      (c) => (c.state === "stable" || c.state === "shaking") && c.x < maxX && c.x + c.w > minX
+    );
+    const hazards = this._hazards.filter((h) => h.isSolid() && h.x < maxX && h.x + h.w > minX);
+    const boxTopHeight = 8;
+    const boxTops = this._boxes
+      .filter((b) => b.x + b.w > minX && b.x < maxX)
+      .map((b) => ({ x: b.x, y: b.y, w: b.w, h: boxTopHeight, oneWay: true })); // hits from below are the box's own trigger
+    return platformSolids.concat(walls, platforms, crumbles, hazards, boxTops);
+  }
+
+  // Drawn over the hero: tinted water volumes with a rolling surface, air bubbles and splashes.
+  renderWater(ctx, camera, time = 0) {
+    const t = time * 3;
+    for (const w of this._water) {
+      const x = w.x - camera.x;
+      const y = w.y - camera.y;
+      if (x + w.w < -50 || x > camera.width + 50) continue;
+      ctx.fillStyle = "rgba(40,120,210,0.32)";
+      ctx.beginPath();
+      ctx.moveTo(x, y + w.h);
+      for (let i = 0; i <= w.w; i += 16) ctx.lineTo(x + i, y + Math.sin(i * 0.05 + t) * 2);
+      ctx.lineTo(x + w.w, y + w.h);
+      ctx.closePath();
+      ctx.fill();
+      ctx.strokeStyle = "rgba(220,245,255,0.7)";
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      for (let i = 0; i <= w.w; i += 16) {
+        const wy = y + Math.sin(i * 0.05 + t) * 2;
+        if (i === 0) ctx.moveTo(x, wy);
+        else ctx.lineTo(x + i, wy);
+      }
+      ctx.stroke();
+    }
+    for (const b of this._airBubbles) {
+      const x = b.x - camera.x;
+      const y = b.y - camera.y;
+      ctx.strokeStyle = "rgba(230,250,255,0.85)";
+      ctx.lineWidth = b.big ? 2 : 1;
+      ctx.beginPath();
+      ctx.arc(x, y, b.r, 0, Math.PI * 2);
+      ctx.stroke();
+      if (b.big) {
+        ctx.fillStyle = "rgba(230,250,255,0.25)";
+        ctx.fill();
+        ctx.fillStyle = "rgba(255,255,255,0.8)";
+        ctx.fillRect(x - b.r * 0.45, y - b.r * 0.45, 3, 3);
+      }
+    }
+    ctx.fillStyle = "rgba(210,240,255,0.85)";
+    for (const d of this._splashes) {
+      ctx.globalAlpha = Math.min(1, d.life * 3);
+      ctx.fillRect(d.x - 2 - camera.x, d.y - 2 - camera.y, 4, 4);
+    }
+    ctx.globalAlpha = 1;
+  }
+
+  renderBackground(ctx, camera, time = 0) {
+    const cx = camera.x;
+    const cy = camera.y;
+    const t = time * 0.04;
+
+    // Far background hills / mountains.
+    ctx.save();
+    ctx.translate(-(cx * 0.2), -(cy * 0.05));
+    ctx.fillStyle = this.def.hill;
+    for (let i = 0; i < 8; i++) {
+      const x = i * 340;
+      ctx.beginPath();
+      ctx.ellipse(x + 140, 250, 220, 90, 0, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    ctx.restore();
+
+    // Mid-layer trees / city silhouettes depending on theme.
+    ctx.save();
+    ctx.translate(-(cx * 0.35), -(cy * 0.08));
+    ctx.fillStyle = this.index === 7 ? "rgba(20,20,40,0.9)" : "rgba(10,70,30,0.85)";
+    for (let i = -2; i < 14; i++) {
+      const baseX = i * 260;
+      const treeH = 80 + ((i + this.index) % 3) * 24;
+      const x = baseX + ((this.index * 50) % 120);
+      ctx.fillRect(x, 320 - treeH, 26, treeH);
+      ctx.beginPath();
+      ctx.moveTo(x - 24, 320 - treeH);
+      ctx.lineTo(x + 13, 320 - treeH - 40);
+      ctx.lineTo(x + 50, 320 - treeH);
+      ctx.closePath();
+      ctx.fill();
+    }
+    ctx.restore();
+
+    // Moving clouds / sky particles.
+    ctx.save();
+    ctx.translate(-(cx * 0.1), -(cy * 0.02));
+    ctx.fillStyle = this.index === 9 ? "rgba(120,255,240,0.55)" : "rgba(255,255,255,0.85)";
+    for (let i = 0; i < this._clouds.length; i++) {
+      const c = this._clouds[i];
+      const sx = c.x + Math.sin(t + i * 0.7) * 30 - cx * 0.1;
+      const sy = c.y + Math.cos(t * 1.2 + i) * 4 - cy * 0.02;
+      ctx.beginPath();
+      ctx.arc(sx, sy, c.r, 0, Math.PI * 2);
+      ctx.arc(sx + c.r * 0.9, sy + 4, c.r * 0.8, 0, Math.PI * 2);
+      ctx.arc(sx - c.r * 0.9, sy + 6, c.r * 0.7, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    ctx.restore();
+  }
+
+  render(ctx, camera, time = 0) {
+    for (const s of this._solids) {
+      const x = s.x - camera.x;
+      const y = s.y - camera.y;
+      if (x + s.w < -50 || x > camera.width + 50) continue;
+
+      ctx.fillStyle = this.def.dirt;
+      ctx.fillRect(x, y, s.w, s.h);
+
+      ctx.fillStyle = this.def.groundTop;
+      ctx.fillRect(x, y, s.w, s.h >= 80 ? 12 : 8);
+
+      // Subtle top-edge shadow only (no checkerboard/tiling – clean solid ground)
+      ctx.fillStyle = "rgba(0,0,0,0.08)";
+      ctx.fillRect(x, y, s.w, 4);
+
+      // One-way platforms: dashed underside hints that they can be jumped through.
+      if (s.oneWay) {
+        ctx.fillStyle = "rgba(255,255,255,0.25)";
+        for (let dx = 4; dx < s.w - 4; dx += 16) ctx.fillRect(x + dx, y + s.h - 3, 8, 2);
+      }
+    }
+
+    // Slope terrain: dirt down to the level bottom, grass and shadow strips follow the surface.
+    for (const t of this._terrain) {
+      if (t.x1 - camera.x < -50 || t.x0 - camera.x > camera.width + 50) continue;
+      const band = (depth, bottomY) => {
+        ctx.beginPath();
+        for (const p of t.points) ctx.lineTo(p.x - camera.x, p.y - camera.y);
+        if (bottomY != null) {
+          ctx.lineTo(t.x1 - camera.x, bottomY - camera.y);
+          ctx.lineTo(t.x0 - camera.x, bottomY - camera.y);
+        } else {
+          for (let i = t.points.length - 1; i >= 0; i--) {
+            ctx.lineTo(t.points[i].x - camera.x, t.points[i].y + depth - camera.y);
+          }
+        }
+        ctx.closePath();
+        ctx.fill();
+      };
+      ctx.fillStyle = this.def.dirt;
+      band(0, this.height);
+      ctx.fillStyle = this.def.groundTop;
+      band(12);
+      ctx.fillStyle = "rgba(0,0,0,0.08)";
+      band(4);
+    }
+
+    // Loops and quarter pipes: solid body outside the arc, grass lining the riding surface.
+    for (const c of this._curves) {
+      const cx = c.cx - camera.x;
+      const cy = c.cy - camera.y;
+      if (cx + c.r + 30 < 0 || cx - c.r - 30 > camera.width) continue;
+      ctx.save();
+      if (c.kind === "loop") {
+        ctx.strokeStyle = this.def.dirt;
+        ctx.lineWidth = 20;
+        ctx.beginPath();
+        ctx.arc(cx, cy, c.r + 10, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.strokeStyle = this.def.groundTop;
+        ctx.lineWidth = 6;
+        ctx.beginPath();
+        ctx.arc(cx, cy, c.r + 3, 0, Math.PI * 2);
+        ctx.stroke();
+      } else {
+        // Canvas angle of a point at theta is π/2 - theta.
+        const end = Math.PI / 2 - c.span * c.dir;
+        const anticlockwise = c.dir > 0;
+        ctx.fillStyle = this.def.dirt;
+        ctx.beginPath();
+        ctx.arc(cx, cy, c.r, Math.PI / 2, end, anticlockwise);
+        ctx.lineTo(cx + c.r * c.dir, cy + c.r);
+        ctx.closePath();
+        ctx.fill();
+        ctx.strokeStyle = this.def.groundTop;
+        ctx.lineWidth = 6;
+        ctx.beginPath();
+        ctx.arc(cx, cy, c.r + 3, Math.PI / 2, end, anticlockwise);
+        ctx.stroke();
+      }
+      ctx.restore();
+    }
+
+    // Moving platforms: dotted guide along the path, then a riveted plate. Touch-triggered
+    // platforms show a lamp that turns green once they start.
+    for (const p of this._platforms) {
+      const x = p.x - camera.x;
+      const y = p.y - camera.y;
+      ctx.save();
+      ctx.strokeStyle = "rgba(255,255,255,0.25)";
+      ctx.lineWidth = 2;
+      ctx.setLineDash([4, 8]);
+      ctx.beginPath();
+      const gx = p.w / 2 - camera.x;
+      const gy = p.h / 2 - camera.y;
+      if (p.path === "circle") {
+        ctx.arc(p.startX - p.r + gx, p.startY + gy, p.r, 0, Math.PI * 2);
+      } else if (p.path === "waypoints") {
+        for (const seg of p.segments) {
+          ctx.moveTo(seg.x0 + gx, seg.y0 + gy);
+          ctx.lineTo(seg.x1 + gx, seg.y1 + gy);
+        }
+      } else {
+        ctx.moveTo(p.startX + gx, p.startY + gy);
+        ctx.lineTo(p.startX + p.travelX + gx, p.startY + p.travelY + gy);
+      }
+      ctx.stroke();
+      ctx.restore();
+      if (x + p.w < -50 || x > camera.width + 50) continue;
+      ctx.fillStyle = "#6b7280";
+      ctx.fillRect(x, y, p.w, p.h);
+      ctx.fillStyle = this.def.groundTop;
+      ctx.fillRect(x, y, p.w, Math.min(6, p.h));
+      ctx.fillStyle = "rgba(0,0,0,0.3)";
+      ctx.fillRect(x, y + p.h - 3, p.w, 3);
+      ctx.fillStyle = "#cbd5e1";
+      for (let bx = 8; bx < p.w - 4; bx += 24) {
+        ctx.beginPath();
+        ctx.arc(x + bx, y + p.h / 2 + 2, 2, 0, Math.PI * 2);
+        ctx.fill();
+      }
+      if (p.trigger === "touch") {
+        ctx.fillStyle = p.running ? "#5aff7a" : "#ff5a4a";
+        ctx.fillRect(x + p.w / 2 - 4, y + p.h, 8, 4);
+      }
+    }
+
+    // Breakable walls: lighter blocks with cracks so they read differently from plain ground.
+    for (const b of this._breakables) {
+      if (b.broken) continue;
+      const x = b.x - camera.x;
+      const y = b.y - camera.y;
+      if (x + b.w < -50 || x > camera.width + 50) continue;
+      ctx.fillStyle = this.def.dirt;
+      ctx.fillRect(x, y, b.w, b.h);
+      ctx.fillStyle = "rgba(255,255,255,0.12)";
+      ctx.fillRect(x, y, b.w, b.h);
+      ctx.strokeStyle = "rgba(0,0,0,0.35)";
+      ctx.lineWidth = 2;
+      ctx.strokeRect(x + 1, y + 1, b.w - 2, b.h - 2);
+      ctx.beginPath();
+      for (let cy = 0; cy < b.h; cy += 24) {
+        ctx.moveTo(x + b.w * 0.2, y + cy + 4);
+        ctx.lineTo(x + b.w * 0.5, y + cy + 12);
+        ctx.lineTo(x + b.w * 0.35, y + cy + 20);
+        ctx.moveTo(x + b.w * 0.5, y + cy + 12);
+        ctx.lineTo(x + b.w * 0.8, y + cy + 8);
+      }
+      ctx.stroke();
+    }
+    // Crumbling platforms: cracked planks that rattle while shaking and fade back in on respawn.
+    for (const c of this._crumbles) {
+      if (c.state === "gone") continue;
+      const shake = c.state === "shaking" ? Math.sin(c.timer * 80) * 2 : 0;
+      const x = c.x + shake - camera.x;
+      const y = c.y - camera.y;
+      if (x + c.w < -50 || x > camera.width + 50) continue;
+      if (c.state === "respawning") ctx.globalAlpha = 1 - c.timer / CRUMBLE_FADE;
+      ctx.fillStyle = "#8d5a34";
+      ctx.fillRect(x, y, c.w, c.h);
+      ctx.fillStyle = "#b07a48";
+      ctx.fillRect(x, y, c.w, Math.min(4, c.h));
+      ctx.strokeStyle = "rgba(0,0,0,0.4)";
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      for (let cx = c.w / 4; cx < c.w; cx += c.w / 4) {
+        ctx.moveTo(x + cx, y + 2);
+        ctx.lineTo(x + cx - 3, y + c.h / 2);
+        ctx.lineTo(x + cx + 2, y + c.h);
+      }
+      ctx.stroke();
+      ctx.globalAlpha = 1;
+    }
+    for (const h of this._hazards) {
+      if (h.x + h.w - camera.x < -50 || h.x - camera.x > camera.width + 50) continue;
+      h.render(ctx, camera, this.def);
+    }
+    // Checkpoints: starposts whose lamp turns red and spins once touched
+    for (const c of this._checkpoints) {
+      const x = c.x - camera.x;
+      const y = c.y - camera.y;
+      if (x < -50 || x > camera.width + 50) continue;
+      ctx.fillStyle = "#3a4a8c";
+      ctx.fillRect(x - 3, y - CHECKPOINT_SIZE.h + 12, 6, CHECKPOINT_SIZE.h - 12);
+      ctx.fillStyle = "#c9c9d6";
+      ctx.fillRect(x - 6, y - 4, 12, 4);
+      // The lamp swings round the top of the pole while spinning
+      const angle = c.spin > 0 ? (1 - c.spin) * Math.PI * 6 : 0;
+      const lx = x + Math.sin(angle) * 8;
+      const ly = y - CHECKPOINT_SIZE.h + 6 - Math.cos(angle) * 2;
+      ctx.fillStyle = c.active ? "#ff3b3b" : "#3b8bff";
+      ctx.beginPath();
+      ctx.arc(lx, ly, 6, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillStyle = "rgba(255,255,255,0.6)";
+      ctx.fillRect(lx - 3, ly - 3, 2, 2);
+      if (c.spin > 0) {
+        ctx.strokeStyle = `rgba(255,220,80,${c.spin})`;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(x, y - CHECKPOINT_SIZE.h + 6, 10 + (1 - c.spin) * 14, 0, Math.PI * 2);
+        ctx.stroke();
+      }
+    }
+    // Bubble vents: little grates on the sea floor
+    for (const v of this._bubbleVents) {
+      const x = v.x - camera.x;
+      const y = v.y - camera.y;
+      if (x < -50 || x > camera.width + 50) continue;
+      ctx.fillStyle = "rgba(0,0,0,0.45)";
+      ctx.fillRect(x - 10, y - 4, 20, 4);
+      ctx.fillStyle = "rgba(200,240,255,0.6)";
+      for (let i = -7; i <= 5; i += 4) ctx.fillRect(x + i, y - 3, 2, 2);
+    }
+    for (const d of this._debris) {
+      ctx.globalAlpha = Math.min(1, d.life * 2);
+      ctx.fillStyle = d.color || this.def.dirt;
+      ctx.fillRect(d.x - d.w / 2 - camera.x, d.y - d.h / 2 - camera.y, d.w, d.h);
+      ctx.strokeStyle = "rgba(0,0,0,0.3)";
+      ctx.lineWidth = 1;
+      ctx.strokeRect(d.x - d.w / 2 - camera.x, d.y - d.h / 2 - camera.y, d.w, d.h);
+    }
+    ctx.globalAlpha = 1;
+
+    // Springs: classic Sonic red/blue with arrow and compression
+    for (const spr of this._springs) {
+      const sx = spr.x - spr.w / 2 - camera.x;
+      const syBot = spr.y - camera.y;
+      const compressMul = 1 - Math.min(1, spr.compress) * 0.65;
+      const rh = Math.max(4, spr.h * compressMul);
+      const sy = syBot - rh;
+      if (sx + spr.w < -30 || sx > camera.width + 30 || syBot < -20 || sy > camera.height + 30) continue;
+
+      ctx.save();
+      ctx.translate(sx, sy);
+
+      // Red/blue horizontal stripes (classic Sonic spring)
+      const stripeH = 3;
+      for (let yy = 0; yy < rh; yy += stripeH) {
+        ctx.fillStyle = (Math.floor(yy / stripeH) & 1) ? "#e62e2e" : "#2563eb";
+        ctx.fillRect(0, yy, spr.w, Math.min(stripeH, rh - yy));
+      }
+      ctx.strokeStyle = "rgba(0,0,0,0.4)";
+      ctx.lineWidth = 1;
+      ctx.strokeRect(0, 0, spr.w, rh);
+
+      // Direction arrow on top (classic Sonic arrow)
+      ctx.translate(spr.w / 2, -4);
+      ctx.fillStyle = "#fff";
+      ctx.strokeStyle = "rgba(0,0,0,0.5)";
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      if (spr.dir === "up") {
+        ctx.moveTo(0, -6);
+        ctx.lineTo(-5, 4);
+        ctx.lineTo(0, 0);
+        ctx.lineTo(5, 4);
+      } else if (spr.dir === "diag-left") {
+        ctx.moveTo(2, -5);
+        ctx.lineTo(-4, 0);
+        ctx.lineTo(2, 5);
+        ctx.lineTo(4, 0);
+      } else {
+        ctx.moveTo(-2, -5);
+        ctx.lineTo(4, 0);
+        ctx.lineTo(-2, 5);
+        ctx.lineTo(-4, 0);
+      }
+      ctx.closePath();
+      ctx.fill();
+      ctx.stroke();
+      ctx.restore();
+    }
+
+    const frame = Math.floor(this._coinAnim);
+    const squash = [0.25, 0.5, 0.75, 1, 0.75, 0.5, 0.25, 0.5][frame] ?? 1;
+    // Released coins (from coin boxes): bounce then collectible
+    for (const c of this._coins) {
+      if (!c.active) continue;
+      const sx = c.x - camera.x;
+      const sy = c.y - camera.y;
+      if (sx < -40 || sx > camera.width + 40 || sy < -40 || sy > camera.height + 40) continue;
+
+      ctx.save();
+      ctx.translate(sx, sy);
+      ctx.scale(squash, 1);
+      ctx.lineWidth = 3;
+      ctx.strokeStyle = "rgba(0,0,0,0.35)";
+      ctx.fillStyle = "#ffd24a";
+      ctx.beginPath();
+      ctx.arc(0, 0, 12, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+      ctx.lineWidth = 2;
+      ctx.strokeStyle = "rgba(255,255,255,0.55)";
+      ctx.beginPath();
+      ctx.arc(0, 0, 7, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.restore();
+    }
+
+    // Power pickups (green shoot / blue shield) – released from power boxes
+    const pFrame = Math.floor(this._powerCoinAnim);
+    const pulse = [1, 1.1, 1.2, 1.1, 1][pFrame] ?? 1;
+    for (const pp of this._powerPickups) {
+      if (pp.collected) continue;
+      const sx = pp.x - camera.x;
+      const sy = pp.y - camera.y + Math.sin(pp.bob) * 3;
+      if (sx < -40 || sx > camera.width + 40 || sy < -40 || sy > camera.height + 40) continue;
+      ctx.save();
+      ctx.translate(sx, sy);
+      ctx.scale(pulse, pulse);
+      ctx.lineWidth = 3;
+      if (pp.type === "power_green") {
+        ctx.strokeStyle = "rgba(0,40,0,0.7)";
+        ctx.fillStyle = "#6aff7a";
+      } else {
+        ctx.strokeStyle = "rgba(0,0,40,0.7)";
+        ctx.fillStyle = "#6ad7ff";
+      }
+      ctx.beginPath();
+      ctx.arc(0, 0, 13, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+      ctx.fillStyle = "#ffffff";
+      if (pp.type === "power_green") ctx.fillRect(-3, -6, 6, 12);
+      else {
+        ctx.beginPath();
+        ctx.arc(0, 0, 6, 0, Math.PI * 2);
+        ctx.fill();
+      }
+      ctx.restore();
+    }
+
+    // Mario-style boxes: type = coin | power_green | power_blue | growth (color + icon)
+    for (const box of this._boxes) {
+      const sx = box.x - camera.x;
+      const sy = box.y - camera.y;
+      if (sx + box.w < -40 || sx > camera.width + 40 || sy + box.h < -40 || sy > camera.height + 40) continue;
+      ctx.save();
+      const bounceOff = box.bounceAnim > 0 ? box.bounceAnim * 8 : 0;
+      ctx.translate(sx + box.w / 2, sy + box.h / 2 - bounceOff);
+      ctx.translate(-box.w / 2, -box.h / 2);
+      if (box.used) {
+        ctx.fillStyle = "#4a3728";
+        ctx.strokeStyle = "rgba(0,0,0,0.5)";
+      } else {
+        if (box.type === "coin") {
+          ctx.fillStyle = "#d4a84b";
+          ctx.strokeStyle = "#8b6914";
+        } else if (box.type === "power_green") {
+          ctx.fillStyle = "#5a9f5a";
+          ctx.strokeStyle = "#2d6b2d";
+        } else if (box.type === "power_blue") {
+          ctx.fillStyle = "#5a8fcf";
+          ctx.strokeStyle = "#2d5a9f";
+        } else {
+          ctx.fillStyle = "#cf7a4a";
+          ctx.strokeStyle = "#8b4a2d";
+        }
+      }
+      ctx.lineWidth = 2;
+      ctx.fillRect(0, 0, box.w, box.h);
+      ctx.strokeRect(0, 0, box.w, box.h);
+      if (!box.used) {
+        ctx.fillStyle = "#1a1a1a";
+        ctx.font = "bold 16px ui-sans-serif, system-ui, sans-serif";
+        ctx.textAlign = "center";
+        ctx.textBaseline = "middle";
+        if (box.type === "coin") ctx.fillText("$", box.w / 2, box.h / 2);
+        else if (box.type === "power_green") ctx.fillText("P", box.w / 2, box.h / 2);
+        else if (box.type === "power_blue") ctx.fillText("S", box.w / 2, box.h / 2);
+        else ctx.fillText("G", box.w / 2, box.h / 2);
+      }
+      ctx.restore();
+    }
+
+    // Fruits (growth power-up): float/bob
+    for (const fruit of this._fruits) {
+      if (fruit.collected) continue;
+      const sx = fruit.x - camera.x;
+      const sy = fruit.y - camera.y;
+      if (sx < -30 || sx > camera.width + 30 || sy < -30 || sy > camera.height + 30) continue;
+      ctx.save();
+      const bobY = Math.sin(fruit.bob) * 3;
+      ctx.translate(sx, sy + bobY);
+      ctx.fillStyle = "#e85a2a";
+      ctx.strokeStyle = "rgba(0,0,0,0.4)";
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.ellipse(0, 0, 10, 12, 0, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+      ctx.fillStyle = "#4a9020";
+      ctx.beginPath();
+      ctx.ellipse(0, -6, 4, 5, 0, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.restore();
+    }
+
+    // Magnet power-ups (floor): magnet icon + glow, easy to see while running
+    for (const mp of this._magnetPickups) {
+      if (mp.collected) continue;
+      const sx = mp.x - camera.x;
+      const sy = mp.y - camera.y;
+      if (sx < -50 || sx > camera.width + 50 || sy < -50 || sy > camera.height + 50) continue;
+      const bobY = Math.sin(mp.bob) * 4;
+      ctx.save();
+      ctx.translate(sx, sy + bobY);
+      const t = time * 2;
+      const pulse = 0.85 + Math.sin(t) * 0.15;
+      // Outer glow – magnetic field
+      const grad = ctx.createRadialGradient(0, 0, 0, 0, 0, 28);
+      grad.addColorStop(0, "rgba(120,100,255,0.5)");
+      grad.addColorStop(0.5, "rgba(80,60,200,0.25)");
+      grad.addColorStop(1, "rgba(40,20,120,0)");
+      ctx.fillStyle = grad;
+      ctx.beginPath();
+      ctx.arc(0, 0, 28, 0, Math.PI * 2);
+      ctx.fill();
+      // Magnet body – U-shape (horseshoe)
+      ctx.scale(pulse, pulse);
+      ctx.strokeStyle = "rgba(0,0,0,0.4)";
+      ctx.lineWidth = 3;
+      ctx.fillStyle = "#c04040";
+      ctx.beginPath();
+      ctx.arc(-8, -6, 8, 0, Math.PI);
+      ctx.lineTo(-8, 10);
+      ctx.lineTo(8, 10);
+      ctx.lineTo(8, -6);
+      ctx.arc(8, -6, 8, 0, Math.PI);
+      ctx.closePath();
+      ctx.fill();
+      ctx.stroke();
+      ctx.fillStyle = "#e0e0e0";
+      ctx.beginPath();
+      ctx.arc(-6, -6, 4, 0, Math.PI * 2);
+      ctx.arc(6, -6, 4, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.strokeStyle = "rgba(80,60,200,0.9)";
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(0, 0, 14, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.restore();
+    }
+
+    // Enemies
+    for (const e of this._enemies) e.render(ctx, camera, time);
+
+    // Boss
+    if (this._boss) this._boss.render(ctx, camera, time);
+
+    // Muzzle flash
+    if (this._muzzleFlash) {
+      const mf = this._muzzleFlash;
+      const sx = mf.x - camera.x;
+      const sy = mf.y - camera.y;
+      if (sx > -30 && sx < camera.width + 30 && sy > -30 && sy < camera.height + 30) {
+        ctx.save();
+        ctx.translate(sx, sy);
+        const alpha = mf.time / 0.1;
+        const grad = ctx.createRadialGradient(0, 0, 0, 0, 0, 12);
+        grad.addColorStop(0, `rgba(160,255,180,${alpha * 0.9})`);
+        grad.addColorStop(0.5, `rgba(100,255,120,${alpha * 0.6})`);
+        grad.addColorStop(1, `rgba(40,200,60,0)`);
+        ctx.fillStyle = grad;
+        ctx.beginPath();
+        ctx.arc(0, 0, 12, 0, Math.PI * 2);
+        ctx.fill();
+        // Flash lines
+        ctx.strokeStyle = `rgba(200,255,220,${alpha})`;
+        ctx.lineWidth = 2;
+        for (let i = 0; i < 4; i++) {
+          const ang = (i * Math.PI * 2) / 4;
+          ctx.beginPath();
+          ctx.moveTo(Math.cos(ang) * 4, Math.sin(ang) * 4);
+          ctx.lineTo(Math.cos(ang) * 10, Math.sin(ang) * 10);
+          ctx.stroke();
+        }
+        ctx.restore();
+      }
+    }
+
+    // Bullets - green glowing energy shots
+    for (const b of this._bullets) {
+      const sx = b.x - camera.x;
+      const sy = b.y - camera.y;
+      if (sx < -20 || sx > camera.width + 20 || sy < -20 || sy > camera.height + 20) continue;
+      ctx.save();
+      ctx.translate(sx, sy);
+      // Glowing green energy core
+      const grad = ctx.createRadialGradient(0, 0, 0, 0, 0, 6);
+      grad.addColorStop(0, "rgba(160,255,180,1)");
+      grad.addColorStop(0.5, "rgba(100,255,120,0.8)");
+      grad.addColorStop(1, "rgba(40,200,60,0)");
+      ctx.fillStyle = grad;
+      ctx.beginPath();
+      ctx.arc(0, 0, 6, 0, Math.PI * 2);
+      ctx.fill();
+      // Outer glow
+      ctx.fillStyle = "rgba(160,255,180,0.4)";
+      ctx.beginPath();
+      ctx.arc(0, 0, 8, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.restore();
+    }
+
+    // Boss attacks – plasma / alien energy blasts
+    for (const atk of this._bossAttacks) {
+      const sx = atk.x - camera.x;
+      const sy = atk.y - camera.y;
+      if (sx < -50 || sx > camera.width + 50 || sy < -50 || sy > camera.height + 50) continue;
+      ctx.save();
+      ctx.translate(sx, sy);
+      const grad = ctx.createRadialGradient(0, 0, 0, 0, 0, atk.r);
+      grad.addColorStop(0, "rgba(0,255,255,1)");
+      grad.addColorStop(0.4, "rgba(160,80,255,0.9)");
+      grad.addColorStop(0.8, "rgba(0,200,180,0.5)");
+      grad.addColorStop(1, "rgba(60,20,120,0)");
+      ctx.fillStyle = grad;
+      ctx.beginPath();
+      ctx.arc(0, 0, atk.r, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillStyle = "rgba(0,255,255,0.4)";
+      ctx.beginPath();
+      ctx.arc(0, 0, atk.r + 4, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.restore();
+    }
+
+    // Goal sign: "GO" once the goal rule is met, otherwise a grey padlocked sign that rattles when bumped.
+    {
+      const open = this.isGoalOpen();
+      const gx = this.goalX - camera.x + Math.sin(this._goalBump * 60) * this._goalBump * 10;
+      const gy = this.groundY - camera.y;
+      ctx.fillStyle = "#202025";
+      ctx.fillRect(gx + 36, gy - 60, 8, 60);
+      ctx.fillStyle = open ? "#ffd24a" : "#7a7f8c";
+      ctx.beginPath();
+      ctx.arc(gx + 40, gy - 70, 16, 0, Math.PI * 2);
+      ctx.fill();
+      if (open) {
+        ctx.fillStyle = "#111";
+        ctx.font = "12px ui-monospace, Menlo, Consolas, monospace";
+        ctx.fillText("GO", gx + 30, gy - 66);
+      } else {
+        ctx.strokeStyle = this._goalBump > 0 ? "#ff4a4a" : "#d0d4dc";
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(gx + 40, gy - 74, 5, Math.PI, 0);
+        ctx.stroke();
+        ctx.fillStyle = this._goalBump > 0 ? "#ff4a4a" : "#d0d4dc";
+        ctx.fillRect(gx + 33, gy - 74, 14, 10);
+      }
+    }
+  }
+}
+
+export function createLevelFromData(data) {
+  const errors = validateLevelData(data).filter((issue) => issue.severity === "error");
+  if (errors.length > 0) {
+    const name = data && data.name ? data.name : "level";
+    throw new Error(`Level "${name}" rejected:\n${errors.map(formatLevelIssue).join("\n")}`);
+  }
+  const level = new Level(data);
+  level.reset();
+  return level;
+}
+
+export function createLevel(levelIndex) {
+  const data = BUILTIN_LEVELS[clamp(levelIndex, 0, BUILTIN_LEVELS.length - 1)];
+  return createLevelFromData(data);
+}
+
+// Task list of a built-in level without building it (level select, save records).
+export function getLevelTasks(levelIndex) {
+  const data = BUILTIN_LEVELS[levelIndex];
+  return (data && data.tasks) || getTasksForLevel(levelIndex);
+}
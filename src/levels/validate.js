@@ -0,0 +1,274 @@
+// Sanity checks before a level is built.
+
+import { PHYS, WATER_DEFAULTS } from "../core/constants.js";
+import { aabbIntersects } from "../core/math.js";
+import { CRUSHER_PHASES } from "../game/hazards.js";
+import { BOX_SIZE, LEVEL_FORMAT } from "./format.js";
+
+export const SPRING_DIRS = ["up", "diag-left", "diag-right"];
+export const BOX_TYPES = ["coin", "power_green", "power_blue", "growth"];
+export const ENEMY_KINDS = ["ground", "bird"];
+const CURVE_KINDS = ["loop", "quarter-pipe"];
+const CURVE_DIRS = ["right", "left"];
+export const PLATFORM_PATHS = ["linear", "circle", "waypoints"];
+export const PLATFORM_TRIGGERS = ["always", "touch"];
+export const HAZARD_KINDS = ["spikes", "lava", "electric", "crusher"];
+export const SPIKE_DIRS = ["up", "down", "left", "right"];
+export const GOAL_RULES = ["both", "boss", "tasks", "either"];
+const HERO_MIN_HEIGHT = 28; // small hero hitbox height (see Player.getHitbox)
+const BOSS_COIN_DROP = 24;
+
+// Highest rise above the take-off point with a jump plus the air double jump
+// (double jump is 0.85 × jumpVel, see Player._doDoubleJump).
+function maxJumpRise(launchVel) {
+  const second = PHYS.jumpVel * 0.85;
+  return (launchVel * launchVel + second * second) / (2 * PHYS.gravity);
+}
+
+function levelIssue(severity, collection, index, entity, message) {
+  const id = entity && entity.id != null ? String(entity.id) : index == null ? collection : `${collection}[${index}]`;
+  return { severity, id, x: entity ? entity.x : undefined, y: entity ? entity.y : undefined, message };
+}
+
+export function formatLevelIssue(issue) {
+  const at = issue.x != null ? ` (${Math.round(issue.x)}, ${Math.round(issue.y)})` : "";
+  return `${issue.severity} ${issue.id}${at}: ${issue.message}`;
+}
+
+// Contiguous walkable span at height `top` that contains x (touching solids merge).
+function surfaceSpanAt(solids, x, top) {
+  const onTop = solids.filter((s) => Math.abs(s.y - top) <= 1);
+  const start = onTop.find((s) => x >= s.x && x <= s.x + s.w);
+  if (!start) return null;
+  let left = start.x;
+  let right = start.x + start.w;
+  let grew = true;
+  while (grew) {
+    grew = false;
+    for (const s of onTop) {
+      if (s.x <= right && s.x + s.w >= left && (s.x < left || s.x + s.w > right)) {
+        left = Math.min(left, s.x);
+        right = Math.max(right, s.x + s.w);
+        grew = true;
+      }
+    }
+  }
+  return { left, right };
+}
+
+/**
+ * Checks a level definition and returns a list of issues:
+ * { severity: "error" | "warning", id, x, y, message }.
+ * Errors make createLevelFromData() reject the level; warnings flag layout
+ * problems (floating springs, unreachable boxes, patrols off a ledge).
+ */
+export function validateLevelData(data) {
+  const issues = [];
+  const error = (col, i, e, msg) => issues.push(levelIssue("error", col, i, e, msg));
+  const warn = (col, i, e, msg) => issues.push(levelIssue("warning", col, i, e, msg));
+
+  if (!data || typeof data !== "object") {
+    error("level", null, null, "level data is missing");
+    return issues;
+  }
+  if (data.format !== LEVEL_FORMAT) error("level", null, null, `unsupported format ${data.format} (expected ${LEVEL_FORMAT})`);
+  if (!(data.width > 0)) error("level", null, null, "width must be a positive number");
+
+  const width = data.width;
+  const solids = data.solids || [];
+  const springs = data.springs || [];
+  const boxes = data.boxes || [];
+  const enemies = data.enemies || [];
+
+  solids.forEach((s, i) => {
+    if (!(s.w > 0 && s.h > 0)) error("solids", i, s, "solid needs a positive w and h");
+    if (s.oneWay != null && typeof s.oneWay !== "boolean") error("solids", i, s, "oneWay must be true or false");
+  });
+  (data.terrain || []).forEach((t, i) => {
+    const pts = t.points || [];
+    if (pts.length < 2) {
+      error("terrain", i, t, "terrain needs at least two points");
+      return;
+    }
+    for (let k = 1; k < pts.length; k++) {
+      const run = pts[k].x - pts[k - 1].x;
+      if (!(run > 0)) {
+        error("terrain", i, t, `points[${k}] x must be greater than points[${k - 1}] x`);
+        return;
+      }
+      if (Math.abs(pts[k].y - pts[k - 1].y) / run > PHYS.slopeMaxClimb) {
+        warn("terrain", i, t, `points[${k - 1}]–points[${k}] is too steep to run up (acts as a wall)`);
+      }
+    }
+    if (pts[0].x < 0 || pts[pts.length - 1].x > width) error("terrain", i, t, "terrain runs outside the level width");
+  });
+  (data.breakables || []).forEach((b, i) => {
+    if (!(b.w > 0 && b.h > 0)) error("breakables", i, b, "breakable wall needs a positive w and h");
+  });
+  (data.platforms || []).forEach((p, i) => {
+    const path = p.path || "linear";
+    if (!(p.w > 0 && p.h > 0)) error("platforms", i, p, "platform needs a positive w and h");
+    if (!PLATFORM_PATHS.includes(path)) error("platforms", i, p, `unknown platform path "${p.path}"`);
+    if (!PLATFORM_TRIGGERS.includes(p.trigger || "always")) error("platforms", i, p, `unknown platform trigger "${p.trigger}"`);
+    if (p.period != null && !(p.period > 0)) error("platforms", i, p, "period must be positive");
+    if (path === "circle" && p.r != null && !(p.r > 0)) error("platforms", i, p, "circle radius must be positive");
+    if (path === "waypoints") {
+      if (!Array.isArray(p.points) || p.points.length === 0) error("platforms", i, p, "waypoints path needs at least one point");
+      if (p.speed != null && !(p.speed > 0)) error("platforms", i, p, "speed must be positive");
+    }
+    if (p.oneWay != null && typeof p.oneWay !== "boolean") error("platforms", i, p, "oneWay must be true or false");
+  });
+  (data.crumbles || []).forEach((c, i) => {
+    if ((c.w != null && !(c.w > 0)) || (c.h != null && !(c.h > 0))) error("crumbles", i, c, "crumbling platform needs a positive w and h");
+    if (c.delay != null && !(c.delay >= 0)) error("crumbles", i, c, "delay must be zero or more");
+    if (c.respawn != null && !(c.respawn > 0)) error("crumbles", i, c, "respawn must be positive");
+  });
+  (data.hazards || []).forEach((h, i) => {
+    if (!HAZARD_KINDS.includes(h.kind)) {
+      error("hazards", i, h, `unknown hazard kind "${h.kind}"`);
+      return;
+    }
+    if ((h.w != null && !(h.w > 0)) || (h.h != null && !(h.h > 0))) error("hazards", i, h, "hazard needs a positive w and h");
+    if ((h.kind === "lava" || h.kind === "electric") && h.w == null) error("hazards", i, h, `${h.kind} needs a width`);
+    if (h.kind === "lava" && h.h == null) error("hazards", i, h, "lava needs a height");
+    if (h.kind === "spikes") {
+      if (!SPIKE_DIRS.includes(h.dir || "up")) error("hazards", i, h, `unknown spike dir "${h.dir}"`);
+      if (h.retract != null && !(h.retract >= 0)) error("hazards", i, h, "retract must be zero or more");
+    }
+    if (h.kind === "electric" && ((h.on != null && !(h.on > 0)) || (h.off != null && !(h.off > 0)))) {
+      error("hazards", i, h, "electric on and off times must be positive");
+    }
+    if (h.kind === "crusher") {
+      const minPeriod = CRUSHER_PHASES.drop + CRUSHER_PHASES.hold + CRUSHER_PHASES.rise;
+      if (h.travel != null && !(h.travel > 0)) error("hazards", i, h, "crusher travel must be positive");
+      if (h.period != null && !(h.period >= minPeriod)) error("hazards", i, h, `crusher period must be at least ${minPeriod}s`);
+    }
+  });
+  const water = data.water || [];
+  water.forEach((w, i) => {
+    if (!(w.w > 0 && w.h > 0)) error("water", i, w, "water volume needs a positive w and h");
+  });
+  if (data.waterTuning != null) {
+    if (typeof data.waterTuning !== "object") error("waterTuning", null, null, "waterTuning must be an object");
+    else {
+      for (const [k, v] of Object.entries(data.waterTuning)) {
+        if (!(k in WATER_DEFAULTS)) error("waterTuning", null, null, `unknown water setting "${k}"`);
+        else if (!(v > 0)) error("waterTuning", null, null, `water ${k} must be positive`);
+      }
+    }
+  }
+  (data.bubbles || []).forEach((b, i) => {
+    if (b.period != null && !(b.period > 0)) error("bubbles", i, b, "period must be positive");
+    if (!water.some((w) => b.x >= w.x && b.x <= w.x + w.w && b.y > w.y && b.y <= w.y + w.h)) {
+      warn("bubbles", i, b, "bubble vent is not under water");
+    }
+  });
+  (data.curves || []).forEach((c, i) => {
+    if (!CURVE_KINDS.includes(c.kind)) error("curves", i, c, `unknown curve kind "${c.kind}"`);
+    if (!CURVE_DIRS.includes(c.dir || "right")) error("curves", i, c, `unknown curve dir "${c.dir}"`);
+    if (!(c.r >= 32)) error("curves", i, c, "curve radius must be at least 32");
+    if (!surfaceSpanAt(solids, c.x, c.y)) warn("curves", i, c, "bottom point is not on a solid, the hero cannot run in");
+  });
+  for (let i = 0; i < solids.length; i++) {
+    for (let j = i + 1; j < solids.length; j++) {
+      if (aabbIntersects(solids[i], solids[j])) warn("solids", i, solids[i], `overlaps solids[${j}] at (${solids[j].x}, ${solids[j].y})`);
+    }
+  }
+
+  // Box tops are walkable too (Level.getSolidsNear)
+  const surfaces = solids.concat(boxes.map((b) => ({ x: b.x, y: b.y, w: b.w ?? BOX_SIZE.w, h: 8 })));
+
+  const checkResting = (key, i, s) => {
+    if (surfaceSpanAt(surfaces, s.x, s.y)) return;
+    const below = surfaces
+      .filter((f) => s.x >= f.x && s.x <= f.x + f.w && f.y > s.y)
+      .sort((a, b) => a.y - b.y)[0];
+    if (below) warn(key, i, s, `not resting on a surface (floats ${Math.round(below.y - s.y)}px above it)`);
+    else warn(key, i, s, "not resting on a surface (nothing below)");
+  };
+  springs.forEach((s, i) => {
+    if (!SPRING_DIRS.includes(s.dir || "up")) error("springs", i, s, `unknown spring dir "${s.dir}"`);
+    checkResting("springs", i, s);
+  });
+  (data.checkpoints || []).forEach((c, i) => {
+    if (!(c.x >= 0 && c.x <= width)) error("checkpoints", i, c, "checkpoint is outside the level");
+    else checkResting("checkpoints", i, c);
+  });
+
+  const jumpRise = maxJumpRise(PHYS.jumpVel);
+  const reachX = PHYS.topSpeed * (PHYS.jumpVel / PHYS.gravity);
+  boxes.forEach((b, i) => {
+    const type = b.type || "coin";
+    if (!BOX_TYPES.includes(type)) error("boxes", i, b, `unknown box type "${b.type}"`);
+    const bw = b.w ?? BOX_SIZE.w;
+    const bottom = b.y + (b.h ?? BOX_SIZE.h);
+    const nearLeft = b.x - reachX;
+    const nearRight = b.x + bw + reachX;
+    const fromSpring = springs.some((s) => s.x >= nearLeft && s.x <= nearRight && s.y - bottom >= HERO_MIN_HEIGHT);
+    if (fromSpring) return;
+    const reachable = surfaces.some((f) => {
+      if (f.x > nearRight || f.x + f.w < nearLeft) return false;
+      const gap = f.y - bottom;
+      return gap >= HERO_MIN_HEIGHT && gap <= HERO_MIN_HEIGHT + jumpRise;
+    });
+    if (!reachable) warn("boxes", i, b, `unreachable from below (needs a surface ${HERO_MIN_HEIGHT}–${Math.round(HERO_MIN_HEIGHT + jumpRise)}px under it)`);
+  });
+
+  enemies.forEach((e, i) => {
+    const kind = e.kind || "ground";
+    if (!ENEMY_KINDS.includes(kind)) {
+      error("enemies", i, e, `unknown enemy kind "${e.kind}"`);
+      return;
+    }
+    if (e.hp != null && !(e.hp > 0)) error("enemies", i, e, "hp must be positive");
+    if (kind !== "ground") return;
+    const range = e.range ?? 120;
+    const span = surfaceSpanAt(solids, e.x, e.y);
+    if (!span) warn("enemies", i, e, "ground enemy is not standing on a solid");
+    else if (e.x - range < span.left || e.x + range > span.right) {
+      const edge = e.x - range < span.left ? span.left : span.right;
+      warn("enemies", i, e, `patrol range ${e.x - range}–${e.x + range} runs off the ledge at x=${edge}`);
+    }
+  });
+
+  if (data.goalRule != null && !GOAL_RULES.includes(data.goalRule)) {
+    error("goal", null, { x: data.goalX ?? width - 120, y: data.groundY ?? 300 }, `unknown goal rule "${data.goalRule}"`);
+  }
+  if (data.goalX != null && (data.goalX < 0 || data.goalX > width)) {
+    error("goal", null, { x: data.goalX, y: data.groundY ?? 300 }, `goalX is outside the level (width ${width})`);
+  }
+  if (data.spawn && (data.spawn.x < 0 || data.spawn.x > width)) {
+    error("spawn", null, data.spawn, `spawn is outside the level (width ${width})`);
+  }
+
+  if (data.boss) {
+    if (!(data.boss.maxHp > 0)) error("boss", null, data.boss, "boss maxHp must be positive");
+    if (data.boss.x < 0 || data.boss.x > width) error("boss", null, data.boss, `boss is outside the level (width ${width})`);
+  }
+
+  const countEnemies = (kind) => enemies.filter((e) => (e.kind || "ground") === kind).length;
+  const coinSupply =
+    (data.coins || []).length +
+    boxes.filter((b) => (b.type || "coin") === "coin").length * Math.max(1, data.coinsPerBox ?? 1) +
+    (data.boss ? BOSS_COIN_DROP : 0);
+  (data.tasks || []).forEach((t, i) => {
+    const needs = (ok, what) => {
+      if (!ok) error("tasks", i, null, `task "${t.id}" (${t.type}) needs ${what} but the level has none`);
+    };
+    if (t.type === "coins") {
+      if (coinSupply < t.target) error("tasks", i, null, `task "${t.id}" needs ${t.target} coins but the level only offers ${coinSupply}`);
+    } else if (t.type === "flyingEnemies") needs(countEnemies("bird") > 0, "bird enemies");
+    else if (t.type === "groundEnemies") needs(countEnemies("ground") > 0, "ground enemies");
+    else if (t.type === "springsUsed") needs(springs.length > 0, "springs");
+    else if (t.type === "bothCoins") {
+      needs(boxes.some((b) => b.type === "power_green") || !!data.boss, "a power_green box");
+      needs(boxes.some((b) => b.type === "power_blue"), "a power_blue box");
+    } else if (t.type === "bossNoShield") needs(!!data.boss, "a boss");
+    else if (t.type === "timeLimit") {
+      // Timed at the open goal, so as a mandatory task it would keep the goal shut for good.
+      if (t.mandatory) error("tasks", i, null, `task "${t.id}" (timeLimit) cannot be mandatory`);
+    } else error("tasks", i, null, `task "${t.id}" has unknown type "${t.type}"`);
+  });
+
+  return issues;
+}
@@ -0,0 +1,101 @@
+// Browser entry point (index.html): builds the game and wires the page to it.
+
+import { startMusicOnce } from "./core/audio.js";
+import { Camera } from "./core/camera.js";
+import { GAME_HEIGHT, GAME_WIDTH } from "./core/constants.js";
+import { GameEngine } from "./core/engine.js";
+import { InputHandler } from "./core/input.js";
+import { SaveStore, getBrowserStorage } from "./core/save.js";
+import { Player } from "./game/player.js";
+import { createLevel } from "./levels/level.js";
+import { LevelEditor } from "./ui/editor.js";
+import { Hud } from "./ui/hud.js";
+import {
+  resizeCanvas,
+  setupLevelEditor,
+  setupLevelSelect,
+  setupMusicToggle,
+  setupPauseMenu,
+  setupSettingsMenu,
+  setupTouchControls,
+} from "./ui/menus.js";
+
+function bootstrap() {
+  const canvas = document.getElementById("game");
+  if (!(canvas instanceof HTMLCanvasElement)) throw new Error("Canvas #game not found");
+  const ctx = canvas.getContext("2d");
+  if (!ctx) throw new Error("2D context not available");
+
+  canvas.width = GAME_WIDTH;
+  canvas.height = GAME_HEIGHT;
+  // Clean, stable visuals: smooth scaling, no blurry stretch
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = "high";
+  resizeCanvas(canvas);
+  if (typeof window !== "undefined") {
+    window.addEventListener("resize", () => resizeCanvas(canvas));
+    window.addEventListener("orientationchange", () => { setTimeout(() => resizeCanvas(canvas), 100); });
+  }
+
+  const input = new InputHandler(window);
+  setupTouchControls(input);
+
+  const titleLogo = typeof Image !== "undefined" ? new Image() : null;
+  if (titleLogo) titleLogo.src = "images/Logo.png";
+
+  const level = createLevel(0);
+  const player = new Player(level.spawn);
+  player.setSpawn(level.spawn);
+  const camera = new Camera({ width: canvas.width, height: canvas.height });
+  camera.setBounds({
+    left: 0,
+    right: level.width - canvas.width,
+    top: 0,
+    bottom: level.height - canvas.height,
+  });
+  camera.follow(player);
+  const hud = new Hud();
+  const pauseMenuEl = document.getElementById("pause-menu");
+  const settingsMenuEl = document.getElementById("settings-menu");
+  const editor = new LevelEditor({ camera, viewWidth: canvas.width, viewHeight: canvas.height });
+  // Endless runs are shared as seed strings: index.html?seed=abc123 replays the same run.
+  const params = new URLSearchParams(window.location.search);
+  const endlessSeed = params.get("seed");
+  const simSeed = params.get("sim"); // fixed simulation seed: with the same inputs every attempt plays out the same
+  const save = new SaveStore(getBrowserStorage());
+
+  const engine = new GameEngine({
+    canvas,
+    ctx,
+    input,
+    level,
+    player,
+    camera,
+    hud,
+    titleLogo,
+    pauseMenuEl,
+    settingsMenuEl,
+    editor,
+    endlessSeed,
+    save,
+    simSeed,
+  });
+  setupMusicToggle(engine);
+  setupPauseMenu(engine);
+  setupSettingsMenu(engine);
+  setupLevelEditor(engine, canvas);
+  setupLevelSelect(engine, canvas);
+  // Start music on first user interaction (click, key, or touch) to satisfy autoplay policy
+  const startMusicOnInteraction = () => {
+    startMusicOnce();
+    window.removeEventListener("click", startMusicOnInteraction);
+    window.removeEventListener("keydown", startMusicOnInteraction);
+    window.removeEventListener("touchstart", startMusicOnInteraction);
+  };
+  window.addEventListener("click", startMusicOnInteraction, { once: true });
+  window.addEventListener("keydown", startMusicOnInteraction, { once: true });
+  window.addEventListener("touchstart", startMusicOnInteraction, { once: true, passive: true });
+  engine.start();
+}
+
+bootstrap();
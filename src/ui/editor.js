@@ -0,0 +1,467 @@
+// In-browser level editor.
+
+import { clamp } from "../core/math.js";
+import { SPIKE_SIZE, createHazard } from "../game/hazards.js";
+import { LEVEL_DEFS } from "../levels/environments.js";
+import { BOX_SIZE, CHECKPOINT_SIZE, CRUMBLE_SIZE, SPRING_SIZE } from "../levels/format.js";
+import { Level } from "../levels/level.js";
+import {
+  BOX_TYPES,
+  ENEMY_KINDS,
+  GOAL_RULES,
+  HAZARD_KINDS,
+  PLATFORM_PATHS,
+  PLATFORM_TRIGGERS,
+  SPIKE_DIRS,
+  SPRING_DIRS,
+  validateLevelData,
+} from "../levels/validate.js";
+
+const EDITOR_GRID = 10;
+const EDITOR_PAN_SPEED = 720; // px/s with arrow keys / WASD
+const EDITOR_TOOLS = ["select", "solid", "platform", "crumble", "hazard", "water", "bubble", "checkpoint", "spring", "box", "magnet", "coin", "enemy", "bird", "boss"];
+
+// What each placement tool creates and which data list it goes into.
+const EDITOR_PLACE = {
+  solid: { key: "solids", create: (x, y) => ({ x, y, w: 160, h: 20, oneWay: false }) },
+  platform: {
+    key: "platforms",
+    create: (x, y) => ({ x, y, w: 120, h: 16, path: "linear", dx: 200, dy: 0, period: 4, trigger: "always", oneWay: true }),
+  },
+  crumble: { key: "crumbles", create: (x, y) => ({ x, y, w: CRUMBLE_SIZE.w, h: CRUMBLE_SIZE.h, delay: 0.5, respawn: 5 }) },
+  hazard: { key: "hazards", create: (x, y) => ({ kind: "spikes", x: x - SPIKE_SIZE.w / 2, y: y - SPIKE_SIZE.h, w: SPIKE_SIZE.w, h: SPIKE_SIZE.h, dir: "up" }) },
+  water: { key: "water", create: (x, y) => ({ x, y, w: 400, h: 200 }) },
+  bubble: { key: "bubbles", rests: true, create: (x, y) => ({ x, y, period: 3 }) },
+  checkpoint: { key: "checkpoints", rests: true, create: (x, y) => ({ x, y }) },
+  spring: { key: "springs", rests: true, create: (x, y) => ({ x, y, dir: "up" }) },
+  box: { key: "boxes", create: (x, y) => ({ x: x - BOX_SIZE.w / 2, y: y - BOX_SIZE.h / 2, type: "coin" }) },
+  magnet: { key: "magnets", create: (x, y) => ({ x, y }) },
+  coin: { key: "coins", create: (x, y) => ({ x, y }) },
+  enemy: { key: "enemies", rests: true, create: (x, y) => ({ kind: "ground", x, y, range: 120, speed: 0.6, hp: 2 }) },
+  bird: { key: "enemies", create: (x, y) => ({ kind: "bird", x, y, range: 160, speed: 0.9, amp: 24, hp: 1 }) },
+};
+
+// Pick order: small things drawn on top are hit before the solids behind them.
+const EDITOR_PICK_ORDER = ["boss", "enemies", "magnets", "coins", "boxes", "springs", "checkpoints", "spawn", "goal", "bubbles", "hazards", "crumbles", "platforms", "solids", "water"];
+const EDITOR_RESIZABLE = ["solids", "platforms", "crumbles", "hazards", "water"];
+
+// "list.field" entries override the plain field name for that list.
+const EDITOR_SELECT_OPTIONS = {
+  dir: SPRING_DIRS,
+  type: BOX_TYPES,
+  kind: ENEMY_KINDS,
+  oneWay: [false, true],
+  path: PLATFORM_PATHS,
+  trigger: PLATFORM_TRIGGERS,
+  "hazards.kind": HAZARD_KINDS,
+  "hazards.dir": SPIKE_DIRS,
+};
+
+function snapToGrid(v) {
+  return Math.round(v / EDITOR_GRID) * EDITOR_GRID;
+}
+
+export function cloneLevelData(data) {
+  return JSON.parse(JSON.stringify(data));
+}
+
+export class LevelEditor {
+  constructor({ camera, viewWidth, viewHeight }) {
+    this.camera = camera;
+    this.viewWidth = viewWidth;
+    this.viewHeight = viewHeight;
+    this.data = null;
+    this.level = null;
+    this.tool = "select";
+    this.selection = null; // { key, index } | { key: "boss" | "spawn" | "goal" } | null = level settings
+    this.issues = [];
+    this.camX = 0;
+    this.camY = 0;
+    this.cursor = { x: 0, y: 0 };
+    this._drag = null;
+    this.panelEl = null;
+    this.onChange = null; // called after every edit (panel refresh)
+  }
+
+  isDragging() {
+    return !!this._drag;
+  }
+
+  setPanelVisible(visible) {
+    if (!this.panelEl) return;
+    this.panelEl.classList.toggle("visible", visible);
+    this.panelEl.setAttribute("aria-hidden", visible ? "false" : "true");
+  }
+
+  open(data) {
+    this.data = cloneLevelData(data);
+    this.selection = null;
+    this._drag = null;
+    this.camX = this.data.spawn ? this.data.spawn.x - this.viewWidth / 2 : 0;
+    this.camY = this.data.spawn ? this.data.spawn.y - this.viewHeight / 2 : 0;
+    this._rebuild();
+  }
+
+  setTool(tool) {
+    if (EDITOR_TOOLS.includes(tool)) this.tool = tool;
+    this._changed();
+  }
+
+  update(dt, input) {
+    const move = EDITOR_PAN_SPEED * dt;
+    if (input.left()) this.camX -= move;
+    if (input.right()) this.camX += move;
+    if (input.up()) this.camY -= move;
+    if (input.down()) this.camY += move;
+    this.applyCamera();
+  }
+
+  applyCamera() {
+    const width = this.data ? this.data.width : this.viewWidth;
+    const height = this.data ? this.data.height ?? 900 : this.viewHeight;
+    // A little headroom above y=0: sky platforms are allowed to sit there.
+    this.camX = clamp(this.camX, -200, Math.max(0, width - this.viewWidth) + 200);
+    this.camY = clamp(this.camY, -400, Math.max(0, height - this.viewHeight));
+    this.camera.x = Math.round(this.camX);
+    this.camera.y = Math.round(this.camY);
+  }
+
+  screenToWorld(sx, sy) {
+    return { x: sx + this.camera.x, y: sy + this.camera.y };
+  }
+
+  // —— Pointer editing ——
+  pointerDown(wx, wy, button) {
+    this.cursor = { x: wx, y: wy };
+    if (button === 2) {
+      this._drag = { mode: "pan", startX: wx - this.camera.x, startY: wy - this.camera.y, camX: this.camX, camY: this.camY };
+      return;
+    }
+    if (this.tool === "boss") {
+      // One boss per level: placing again moves it and keeps its tuning.
+      const prev = this.data.boss || { maxHp: 10, range: 200, attackInterval: 2.5 };
+      this.data.boss = {
+        x: snapToGrid(wx),
+        y: this.surfaceBelow(wx, wy),
+        maxHp: prev.maxHp,
+        range: prev.range,
+        attackInterval: prev.attackInterval,
+      };
+      this.selection = { key: "boss" };
+      this._startMove(wx, wy);
+      this._rebuild();
+      return;
+    }
+    const place = EDITOR_PLACE[this.tool];
+    if (place) {
+      const x = snapToGrid(wx);
+      const y = place.rests ? this.surfaceBelow(wx, wy) : snapToGrid(wy);
+      if (!this.data[place.key]) this.data[place.key] = [];
+      this.data[place.key].push(place.create(x, y));
+      this.selection = { key: place.key, index: this.data[place.key].length - 1 };
+      this._startMove(wx, wy);
+      this._rebuild();
+      return;
+    }
+
+    this.selection = this._pick(wx, wy);
+    if (this.selection && EDITOR_RESIZABLE.includes(this.selection.key)) {
+      const s = this._selected();
+      if (Math.abs(wx - (s.x + s.w)) <= 8 && Math.abs(wy - (s.y + s.h)) <= 8) {
+        this._drag = { mode: "resize" };
+        this._changed();
+        return;
+      }
+    }
+    if (this.selection) this._startMove(wx, wy);
+    this._changed();
+  }
+
+  pointerMove(wx, wy) {
+    this.cursor = { x: wx, y: wy };
+    const drag = this._drag;
+    if (!drag) return;
+    if (drag.mode === "pan") {
+      const sx = wx - this.camera.x;
+      const sy = wy - this.camera.y;
+      this.camX = drag.camX - (sx - drag.startX);
+      this.camY = drag.camY - (sy - drag.startY);
+      this.applyCamera();
+      return;
+    }
+    const e = this._selected();
+    if (!e) return;
+    if (drag.mode === "resize") {
+      e.w = Math.max(EDITOR_GRID, snapToGrid(wx - e.x));
+      e.h = Math.max(EDITOR_GRID, snapToGrid(wy - e.y));
+    } else if (this.selection.key === "goal") {
+      this.data.goalX = snapToGrid(wx - drag.offX);
+    } else {
+      e.x = snapToGrid(wx - drag.offX);
+      e.y = snapToGrid(wy - drag.offY);
+    }
+    this._rebuild();
+  }
+
+  pointerUp() {
+    const drag = this._drag;
+    this._drag = null;
+    if (!drag || drag.mode !== "move") return;
+    // Springs, bubble vents, ground enemies and the boss snap back onto the surface under them.
+    const e = this._selected();
+    const key = this.selection && this.selection.key;
+    const rests = key === "springs" || key === "bubbles" || key === "checkpoints" || key === "boss" || (key === "enemies" && (e.kind || "ground") === "ground");
+    if (e && rests) e.y = this.surfaceBelow(e.x, e.y - 1);
+    this._rebuild();
+  }
+
+  deleteSelection() {
+    const sel = this.selection;
+    if (!sel) return;
+    if (sel.key === "boss") this.data.boss = null;
+    else if (sel.index != null) this.data[sel.key].splice(sel.index, 1);
+    else return; // spawn and goal cannot be removed
+    this.selection = null;
+    this._rebuild();
+  }
+
+  _startMove(wx, wy) {
+    const e = this._selected();
+    if (!e) return;
+    const ex = this.selection.key === "goal" ? this.data.goalX : e.x;
+    this._drag = { mode: "move", offX: wx - ex, offY: wy - (e.y ?? 0) };
+  }
+
+  // Top of the nearest solid at or below (wx, wy); used to stand things (and play-test spawns) on the ground.
+  surfaceBelow(wx, wy) {
+    const column = (this.data.solids || []).filter((s) => wx >= s.x && wx <= s.x + s.w);
+    // Dragged down into a solid: pop back up onto its top.
+    const inside = column.filter((s) => wy > s.y && wy <= s.y + s.h).sort((a, b) => a.y - b.y)[0];
+    if (inside) return inside.y;
+    const below = column.filter((s) => s.y >= wy).sort((a, b) => a.y - b.y)[0];
+    return below ? below.y : snapToGrid(wy);
+  }
+
+  _selected() {
+    const sel = this.selection;
+    if (!sel || !this.data) return null;
+    if (sel.key === "boss") return this.data.boss;
+    if (sel.key === "spawn") return this.data.spawn;
+    if (sel.key === "goal") return { x: this.data.goalX, y: this.data.groundY ?? 300 };
+    return (this.data[sel.key] || [])[sel.index] || null;
+  }
+
+  _bounds(key, e) {
+    if (key === "hazards") {
+      const hz = createHazard(e); // fills in the default size when w / h are left out
+      return { x: hz.x, y: hz.y, w: hz.w, h: hz.h };
+    }
+    if (EDITOR_RESIZABLE.includes(key)) return { x: e.x, y: e.y, w: e.w, h: e.h };
+    if (key === "springs") return { x: e.x - SPRING_SIZE.w / 2, y: e.y - SPRING_SIZE.h, w: SPRING_SIZE.w, h: SPRING_SIZE.h };
+    if (key === "boxes") return { x: e.x, y: e.y, w: e.w ?? BOX_SIZE.w, h: e.h ?? BOX_SIZE.h };
+    if (key === "magnets") return { x: e.x - 14, y: e.y - 14, w: 28, h: 28 };
+    if (key === "bubbles") return { x: e.x - 10, y: e.y - 8, w: 20, h: 8 };
+    if (key === "checkpoints") return { x: e.x - CHECKPOINT_SIZE.w / 2, y: e.y - CHECKPOINT_SIZE.h, w: CHECKPOINT_SIZE.w, h: CHECKPOINT_SIZE.h };
+    if (key === "coins") return { x: e.x - 12, y: e.y - 12, w: 24, h: 24 };
+    if (key === "enemies") {
+      return e.kind === "bird" ? { x: e.x - 16, y: e.y - 12, w: 32, h: 24 } : { x: e.x - 16, y: e.y - 28, w: 32, h: 28 };
+    }
+    if (key === "boss") return { x: e.x - 48, y: e.y - 96, w: 96, h: 96 };
+    if (key === "spawn") return { x: e.x - 10, y: e.y - 40, w: 20, h: 40 };
+    if (key === "goal") return { x: e.x + 24, y: e.y - 90, w: 32, h: 90 };
+    return null;
+  }
+
+  _forEachEntity(fn) {
+    const d = this.data;
+    for (const key of EDITOR_PICK_ORDER) {
+      if (key === "boss") {
+        if (d.boss) fn({ key }, d.boss);
+      } else if (key === "spawn") {
+        if (d.spawn) fn({ key }, d.spawn);
+      } else if (key === "goal") {
+        fn({ key }, { x: d.goalX ?? d.width - 120, y: d.groundY ?? 300 });
+      } else {
+        const list = d[key] || [];
+        for (let i = list.length - 1; i >= 0; i--) fn({ key, index: i }, list[i]);
+      }
+    }
+  }
+
+  _pick(wx, wy) {
+    let hit = null;
+    this._forEachEntity((sel, e) => {
+      if (hit) return;
+      const b = this._bounds(sel.key, e);
+      if (wx >= b.x && wx <= b.x + b.w && wy >= b.y && wy <= b.y + b.h) hit = sel;
+    });
+    return hit;
+  }
+
+  _rebuild() {
+    // Built without validation so half-finished layouts still render.
+    this.level = new Level(this.data);
+    this.level.reset();
+    this.issues = validateLevelData(this.data);
+    this.applyCamera();
+    this._changed();
+  }
+
+  _changed() {
+    if (this.onChange) this.onChange();
+  }
+
+  // —— Property panel model ——
+  getPropertyFields() {
+    const sel = this.selection;
+    if (!sel) {
+      return [
+        { path: "name", kind: "text" },
+        { path: "theme", kind: "select", options: LEVEL_DEFS.map((d, i) => ({ value: i, label: d.name })) },
+        { path: "width", kind: "number" },
+        { path: "height", kind: "number" },
+        { path: "goalX", kind: "number" },
+        { path: "goalRule", kind: "select", options: GOAL_RULES.map((r) => ({ value: r, label: r })) },
+        { path: "groundY", kind: "number" },
+        { path: "coinsPerBox", kind: "number" },
+        { path: "spawn.x", kind: "number" },
+        { path: "spawn.y", kind: "number" },
+      ];
+    }
+    if (sel.key === "goal") return [{ path: "goalX", kind: "number" }];
+    const e = this._selected();
+    if (!e) return [];
+    const prefix = sel.index != null ? `${sel.key}.${sel.index}.` : `${sel.key}.`;
+    // Nested values (waypoint lists) are edited in the JSON, not the panel.
+    return Object.keys(e).filter((k) => typeof e[k] !== "object").map((k) => {
+      const options = EDITOR_SELECT_OPTIONS[`${sel.key}.${k}`] ?? EDITOR_SELECT_OPTIONS[k];
+      if (options) return { path: prefix + k, label: k, kind: "select", options: options.map((o) => ({ value: o, label: o })) };
+      return { path: prefix + k, label: k, kind: typeof e[k] === "number" ? "number" : "text" };
+    });
+  }
+
+  getSelectionLabel() {
+    const sel = this.selection;
+    if (!sel) return "Level";
+    return sel.index != null ? `${sel.key}[${sel.index}]` : sel.key;
+  }
+
+  getValue(path) {
+    return path.split(".").reduce((o, k) => (o == null ? undefined : o[k]), this.data);
+  }
+
+  setValue(path, raw, kind) {
+    const keys = path.split(".");
+    const last = keys.pop();
+    const target = keys.reduce((o, k) => (o[k] == null ? (o[k] = {}) : o[k]), this.data);
+    let value = raw;
+    if (kind === "number" || (kind === "select" && typeof target[last] === "number")) {
+      value = Number(raw);
+      if (!Number.isFinite(value)) return;
+    } else if (kind === "select" && typeof target[last] === "boolean") {
+      value = raw === true || raw === "true";
+    }
+    target[last] = value;
+    if (last === "kind" && value === "bird" && target.amp == null) target.amp = 24;
+    if (last === "kind" && value === "ground") delete target.amp;
+    this._rebuild();
+  }
+
+  focusIssue(issue) {
+    if (issue.x == null) return;
+    this.camX = issue.x - this.viewWidth / 2;
+    this.camY = issue.y - this.viewHeight / 2;
+    this.applyCamera();
+  }
+
+  toJson() {
+    return JSON.stringify(this.data, null, 2);
+  }
+
+  // —— Overlay drawn on top of the normal level render ——
+  renderOverlay(ctx) {
+    const cam = this.camera;
+    const w = ctx.canvas.width;
+    const h = ctx.canvas.height;
+    ctx.save();
+
+    // Grid every 100px
+    ctx.strokeStyle = "rgba(255,255,255,0.08)";
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let x = Math.floor(cam.x / 100) * 100; x < cam.x + w; x += 100) {
+      ctx.moveTo(x - cam.x + 0.5, 0);
+      ctx.lineTo(x - cam.x + 0.5, h);
+    }
+    for (let y = Math.floor(cam.y / 100) * 100; y < cam.y + h; y += 100) {
+      ctx.moveTo(0, y - cam.y + 0.5);
+      ctx.lineTo(w, y - cam.y + 0.5);
+    }
+    ctx.stroke();
+
+    // Level edges
+    ctx.strokeStyle = "rgba(255,80,80,0.6)";
+    ctx.setLineDash([6, 6]);
+    ctx.strokeRect(-cam.x, -cam.y, this.data.width, this.data.height ?? 900);
+    ctx.setLineDash([]);
+
+    // Spawn marker and goal post (the goal sign is hidden in-game while the boss lives)
+    const sp = this.data.spawn || { x: 80, y: 220 };
+    ctx.fillStyle = "rgba(60,130,220,0.55)";
+    ctx.fillRect(sp.x - 10 - cam.x, sp.y - 40 - cam.y, 20, 40);
+    const gx = (this.data.goalX ?? this.data.width - 120) - cam.x;
+    const gy = (this.data.groundY ?? 300) - cam.y;
+    ctx.fillStyle = "rgba(255,210,74,0.8)";
+    ctx.fillRect(gx + 36, gy - 60, 8, 60);
+    ctx.beginPath();
+    ctx.arc(gx + 40, gy - 70, 16, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Outline every entity, highlight the selection
+    const selected = this.selection;
+    this._forEachEntity((sel, e) => {
+      const b = this._bounds(sel.key, e);
+      if (b.x - cam.x > w || b.x + b.w - cam.x < 0 || b.y - cam.y > h || b.y + b.h - cam.y < 0) return;
+      const isSel = selected && selected.key === sel.key && selected.index === sel.index;
+      ctx.strokeStyle = isSel ? "#ffe04a" : "rgba(255,255,255,0.35)";
+      ctx.lineWidth = isSel ? 2 : 1;
+      ctx.strokeRect(b.x - cam.x + 0.5, b.y - cam.y + 0.5, b.w, b.h);
+      if (isSel && EDITOR_RESIZABLE.includes(sel.key)) {
+        ctx.fillStyle = "#ffe04a";
+        ctx.fillRect(b.x + b.w - cam.x - 4, b.y + b.h - cam.y - 4, 8, 8);
+      }
+      if (isSel && sel.key === "enemies") {
+        // Patrol range
+        ctx.strokeStyle = "rgba(255,224,74,0.7)";
+        ctx.beginPath();
+        ctx.moveTo(e.x - (e.range ?? 120) - cam.x, e.y - cam.y + 2);
+        ctx.lineTo(e.x + (e.range ?? 120) - cam.x, e.y - cam.y + 2);
+        ctx.stroke();
+      }
+    });
+
+    // Flag entities with validation problems
+    for (const issue of this.issues) {
+      if (issue.x == null) continue;
+      ctx.fillStyle = issue.severity === "error" ? "#ff4040" : "#ffa030";
+      ctx.beginPath();
+      ctx.arc(issue.x - cam.x, issue.y - cam.y, 4, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    ctx.font = "bold 14px ui-monospace, SFMono-Regular, Menlo, Consolas, monospace";
+    ctx.textBaseline = "top";
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = "rgba(0,0,0,0.6)";
+    ctx.fillStyle = "#fff";
+    const lines = [
+      `EDITOR – tool: ${this.tool.toUpperCase()}  (${Math.round(this.cursor.x)}, ${Math.round(this.cursor.y)})`,
+      "Drag to move · right-drag / arrows to pan · Del removes · T plays from cursor · L exits",
+    ];
+    lines.forEach((line, i) => {
+      ctx.strokeText(line, 68, 16 + i * 18);
+      ctx.fillText(line, 68, 16 + i * 18);
+    });
+    ctx.restore();
+  }
+}
@@ -1,8 +1,11 @@
-function pad6(n) {
+import { GAME } from "../core/constants.js";
+import { clamp } from "../core/math.js";
+import { TASK_POP_TIME } from "../levels/environments.js";
+
+export function pad6(n) {
   const s = String(Math.max(0, Math.floor(n)));
   return s.padStart(6, "0");
 }
-
 function formatTime(seconds) {
   const total = Math.max(0, Math.floor(seconds));
   const m = Math.floor(total / 60);
@@ -10,11 +13,74 @@ function formatTime(seconds) {
   return `${m}:${String(s).padStart(2, "0")}`;
 }
 
+function getTaskProgressText(task, progress, timeSeconds = 0) {
+  const p = progress;
+  if (task.type === "coins") return `${p.coinsCollected ?? 0}/${task.target}`;
+  if (task.type === "flyingEnemies") return `${p.flyingKilled ?? 0}/${task.target || p.flyingTotal || 0}`;
+  if (task.type === "groundEnemies") return `${p.groundKilled ?? 0}/${task.target || p.groundTotal || 0}`;
+  if (task.type === "springsUsed") return `${p.springsUsed ?? 0}/${task.target}`;
+  if (task.type === "bothCoins") return p.hasPowerCoin && p.hasShieldCoin ? "Done" : (p.hasPowerCoin ? "1/2" : "0/2");
+  if (task.type === "bossNoShield") return p.bossDefeatedNoShield ? "Done" : "-";
+  if (task.type === "timeLimit") {
+    if (p.reachedGoal) return `${Math.floor((p.goalReachedTime - p.startTime) || 0)}s`;
+    const elapsed = p.startTime != null ? Math.floor(timeSeconds - p.startTime) : 0;
+    return `${elapsed}s / ${task.target}s`;
+  }
+  return "";
+}
+
+// Level select: one card per zone, five to a row, with the highlighted zone's details underneath.
+export const LEVEL_SELECT = Object.freeze({ cols: 5, cardW: 172, cardH: 150, gap: 12, top: 76, detailTop: 406 });
+
+function levelSelectCardRect(index, canvasWidth) {
+  const { cols, cardW, cardH, gap, top } = LEVEL_SELECT;
+  const left = (canvasWidth - (cols * cardW + (cols - 1) * gap)) / 2;
+  return { x: left + (index % cols) * (cardW + gap), y: top + Math.floor(index / cols) * (cardH + gap), w: cardW, h: cardH };
+}
+
+// Card index under a canvas point, or -1 (tapping the level select).
+export function levelSelectCardAt(x, y, canvasWidth, count) {
+  for (let i = 0; i < count; i++) {
+    const r = levelSelectCardRect(i, canvasWidth);
+    if (x >= r.x && x <= r.x + r.w && y >= r.y && y <= r.y + r.h) return i;
+  }
+  return -1;
+}
+
 export class Hud {
-  render(ctx, { state, timeSeconds, player }) {
+  render(
+    ctx,
+    {
+      state,
+      timeSeconds,
+      player,
+      levelIndex,
+      levelName,
+      endless = null,
+      endlessSeed = null,
+      lives,
+      gameOver,
+      bossHp = 0,
+      bossHpDisplay = 0,
+      bossMaxHp = 0,
+      tasks = [],
+      progress = {},
+      completedTasks = new Set(),
+      justCompleted = null,
+      mandatoryComplete = true,
+      hasAliveBoss = false,
+      titleLogo = null,
+      titleScreenShownAt = undefined,
+      levelSelect = null,
+      objectivesOpen = true,
+      nearGoal = false,
+      goalLockReason = null,
+      results = null,
+      replay = null,
+      renderTime = 0,
+    }
+  ) {
     ctx.save();
-
-    // Retro-ish HUD styling
     ctx.font = "bold 18px ui-monospace, SFMono-Regular, Menlo, Consolas, monospace";
     ctx.textBaseline = "top";
     ctx.lineWidth = 3;
@@ -23,10 +89,14 @@ export class Hud {
 
     const x = 18;
     const y = 14;
-
     const score = `SCORE: ${pad6(player.score)}`;
-    const time = `TIME:  ${formatTime(timeSeconds)}`;
+    // Level clock, so a checkpoint restore winds it back to when the post was touched
+    const time = `TIME:  ${formatTime(progress.startTime != null ? timeSeconds - progress.startTime : 0)}`;
     const rings = `RINGS: ${player.rings}`;
+    const livesText = `LIVES: ${lives}`;
+    const levelText = endless
+      ? `ENDLESS: ${endless.stage + 1} - SEED ${endless.seed}`
+      : `LEVEL: ${levelIndex + 1} - ${levelName}`;
 
     ctx.strokeText(score, x, y);
     ctx.fillText(score, x, y);
@@ -38,10 +108,154 @@ export class Hud {
     ctx.fillStyle = ringsColor;
     ctx.fillText(rings, x, y + 44);
 
-    // Overlays
+    ctx.fillStyle = "#ffe04a";
+    ctx.strokeText(livesText, x, y + 66);
+    ctx.fillText(livesText, x, y + 66);
+
+    // Hero icon – police badge theme
+    const iconX = ctx.canvas.width - 52;
+    const iconY = y + 8;
+    ctx.save();
+    ctx.translate(iconX, iconY);
+    const iconT = (state === "playing" ? (renderTime * 2) : 0) % 1;
+    const iconPulse = 1 + Math.sin(iconT * Math.PI * 2) * 0.05;
+    ctx.scale(iconPulse, iconPulse);
+    ctx.strokeStyle = "#b0bec5";
+    ctx.lineWidth = 2;
+    ctx.fillStyle = "#0d1b3a";
+    ctx.beginPath();
+    ctx.moveTo(0, -16);
+    ctx.lineTo(14, -4);
+    ctx.lineTo(14, 8);
+    ctx.lineTo(0, 14);
+    ctx.lineTo(-14, 8);
+    ctx.lineTo(-14, -4);
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+    ctx.fillStyle = "#b0bec5";
+    ctx.beginPath();
+    ctx.moveTo(0, -10);
+    ctx.lineTo(8, -2);
+    ctx.lineTo(8, 4);
+    ctx.lineTo(0, 8);
+    ctx.lineTo(-8, 4);
+    ctx.lineTo(-8, -2);
+    ctx.closePath();
+    ctx.fill();
+    ctx.fillStyle = "#0a0a0f";
+    ctx.fillRect(-2, -1, 4, 3);
+    if (player.hasGunPower) {
+      ctx.strokeStyle = "rgba(80,220,120,0.9)";
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(0, 0, 20, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+    if (player.shieldActive && player.hasShieldPower) {
+      ctx.strokeStyle = "rgba(60,130,220,0.9)";
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(0, 0, 22, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+    ctx.restore();
+
+    ctx.font = "bold 16px ui-monospace, SFMono-Regular, Menlo, Consolas, monospace";
+    ctx.strokeText(levelText, x, y + 92);
+    ctx.fillText(levelText, x, y + 92);
+
+    // Air meter while submerged; the last seconds count down big in the middle of the screen.
+    if (player.underwater) {
+      const frac = clamp(player.air / player.airMax, 0, 1);
+      const low = player.air <= player.airWarn;
+      ctx.strokeText("AIR:", x, y + 114);
+      ctx.fillText("AIR:", x, y + 114);
+      ctx.fillStyle = "rgba(0,0,0,0.45)";
+      ctx.fillRect(x + 44, y + 115, 104, 14);
+      ctx.fillStyle = low ? "#ff4a4a" : "#6ad7ff";
+      ctx.fillRect(x + 46, y + 117, 100 * frac, 10);
+      if (low && player.air > 0) {
+        const flash = Math.floor(player.air * 4) % 2 === 0;
+        ctx.save();
+        ctx.font = "bold 64px ui-monospace, SFMono-Regular, Menlo, Consolas, monospace";
+        ctx.textAlign = "center";
+        ctx.lineWidth = 6;
+        ctx.fillStyle = flash ? "#ff4a4a" : "#ffffff";
+        const n = String(Math.ceil(player.air));
+        ctx.strokeText(n, ctx.canvas.width / 2, 110);
+        ctx.fillText(n, ctx.canvas.width / 2, 110);
+        ctx.restore();
+      }
+    }
+
+    const inPlay = state === "playing" || state === "paused" || state === "replay";
+    if (inPlay && !gameOver && tasks.length > 0) {
+      this._renderObjectives(ctx, { tasks, progress, completedTasks, justCompleted, timeSeconds, open: objectivesOpen });
+    }
+    if (inPlay && !gameOver && nearGoal && goalLockReason) {
+      const flash = 0.65 + Math.sin(renderTime * 10) * 0.35;
+      ctx.save();
+      ctx.globalAlpha = flash;
+      ctx.fillStyle = "rgba(120,0,0,0.75)";
+      ctx.fillRect(ctx.canvas.width / 2 - 290, 132, 580, 28);
+      ctx.globalAlpha = 1;
+      ctx.restore();
+      this._centerText(ctx, `GOAL LOCKED: ${goalLockReason}`, 0, 146 - ctx.canvas.height / 2, 16);
+    }
+
+    // Boss health bar (blood bar) at top – visible when boss exists, smooth red decrease, hide when dead.
+    if ((state === "playing" || state === "replay") && bossMaxHp > 0 && (bossHp > 0 || bossHpDisplay > 0.5) && !gameOver) {
+      const barWidth = 280;
+      const barHeight = 18;
+      const cx = ctx.canvas.width / 2;
+      const bx = cx - barWidth / 2;
+      const by = 12;
+      const ratio = clamp(bossHpDisplay / bossMaxHp, 0, 1);
+
+      ctx.lineWidth = 3;
+      ctx.strokeStyle = "rgba(0,0,0,0.8)";
+      ctx.fillStyle = "rgba(30,0,0,0.95)";
+      ctx.fillRect(bx, by, barWidth, barHeight);
+      ctx.strokeRect(bx, by, barWidth, barHeight);
+
+      const innerWidth = Math.max(0, Math.floor((barWidth - 4) * ratio));
+      const innerX = bx + 2;
+      const innerY = by + 2;
+      const grad = ctx.createLinearGradient(innerX, innerY, innerX + barWidth, innerY);
+      grad.addColorStop(0, "#cc2020");
+      grad.addColorStop(0.5, "#e03030");
+      grad.addColorStop(1, "#a01818");
+      ctx.fillStyle = grad;
+      ctx.fillRect(innerX, innerY, innerWidth, barHeight - 4);
+
+      ctx.font = "bold 13px ui-monospace, SFMono-Regular, Menlo, Consolas, monospace";
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.fillStyle = "#fff";
+      ctx.strokeStyle = "rgba(0,0,0,0.8)";
+      const label = `BOSS ${Math.round(bossHpDisplay)} / ${bossMaxHp}`;
+      ctx.strokeText(label, cx, by + barHeight / 2 + 1);
+      ctx.fillText(label, cx, by + barHeight / 2 + 1);
+      ctx.textAlign = "left";
+      ctx.textBaseline = "top";
+    }
+
     if (state === "title") {
-      this._centerText(ctx, "SONIC-STYLE PROTOTYPE", 0, -42, 34);
-      this._centerText(ctx, "Press any movement or JUMP to start", 0, 10, 18);
+      this._renderTitleScreen(ctx, levelIndex, levelName, titleLogo, titleScreenShownAt, renderTime, endlessSeed);
+    } else if (state === "levelSelect" && levelSelect) {
+      this._renderLevelSelect(ctx, levelSelect, renderTime);
+    } else if (state === "results" && results) {
+      this._renderResults(ctx, results, player.score);
+    } else if (state === "replay" && replay) {
+      this._renderReplayBar(ctx, replay, gameOver);
+    } else if (gameOver) {
+      ctx.globalAlpha = 0.65;
+      ctx.fillStyle = "#000";
+      ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+      ctx.globalAlpha = 1;
+      this._centerText(ctx, "GAME OVER", 0, -10, 44);
+      this._centerText(ctx, "Press R to restart", 0, 34, 18);
     } else if (state === "paused") {
       ctx.globalAlpha = 0.55;
       ctx.fillStyle = "#000";
@@ -54,6 +268,345 @@ export class Hud {
     ctx.restore();
   }
 
+  _renderTitleScreen(ctx, levelIndex, levelName, titleLogo, titleScreenShownAt, renderTime, endlessSeed) {
+    const w = ctx.canvas.width;
+    const h = ctx.canvas.height;
+    const t = renderTime;
+    const elapsed = renderTime - (titleScreenShownAt ?? renderTime);
+
+    // Dark sci-fi background (no placeholder graphics – clean for logo)
+    const bgGrad = ctx.createRadialGradient(w / 2, h / 2, 0, w / 2, h / 2, w * 0.9);
+    bgGrad.addColorStop(0, "rgba(12,6,32,0.98)");
+    bgGrad.addColorStop(0.6, "rgba(4,2,18,0.99)");
+    bgGrad.addColorStop(1, "rgba(0,0,8,1)");
+    ctx.fillStyle = bgGrad;
+    ctx.fillRect(0, 0, w, h);
+    ctx.fillStyle = "rgba(255,255,255,0.06)";
+    for (let i = 0; i < 40; i++) {
+      const x = ((i * 137.5) % w);
+      const y = ((i * 89.3) % h);
+      ctx.beginPath();
+      ctx.arc(x, y, 0.8, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    // Logo: above the title text, smaller so it fits the screen
+    const logoFade = Math.min(1, elapsed / 1.2);
+    const logoZoom = 0.92 + 0.08 * logoFade;
+    if (titleLogo && titleLogo.complete && titleLogo.naturalWidth > 0) {
+      ctx.save();
+      const maxLogoWidth = w * 0.48 * logoZoom;
+      const imgW = titleLogo.naturalWidth;
+      const imgH = titleLogo.naturalHeight;
+      const scale = maxLogoWidth / imgW;
+      let drawW = imgW * scale;
+      let drawH = imgH * scale;
+      if (drawH > h * 0.4) {
+        const scaleH = (h * 0.4) / drawH;
+        drawW *= scaleH;
+        drawH *= scaleH;
+      }
+      const lx = (w - drawW) / 2;
+      const logoCenterY = h / 2 - 130;
+      const ly = logoCenterY - drawH / 2;
+      ctx.globalAlpha = 0.85 * logoFade + 0.15;
+      ctx.drawImage(titleLogo, lx, ly, drawW, drawH);
+      ctx.globalAlpha = 1;
+      ctx.restore();
+    }
+
+    // Title text: below the logo, "BLACKHOLE INFIVERSE PRESENTS"
+    const titleDelay = 0.85;
+    const titleFade = elapsed < titleDelay ? 0 : Math.min(1, (elapsed - titleDelay) / 0.55);
+    const cx = w / 2;
+    const cy = h / 2 + 12;
+    const pulse = 1 + Math.sin(t * 2) * 0.022;
+    ctx.save();
+    ctx.translate(cx, cy);
+    ctx.scale(pulse * titleFade, pulse * titleFade);
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.font = "bold 36px ui-sans-serif, system-ui, 'Segoe UI', sans-serif";
+    ctx.shadowColor = "rgba(120,80,255,0.95)";
+    ctx.shadowBlur = 28;
+    ctx.shadowOffsetX = 0;
+    ctx.shadowOffsetY = 0;
+    ctx.strokeStyle = "rgba(0,0,0,0.85)";
+    ctx.lineWidth = 6;
+    ctx.strokeText("BLACKHOLE INFIVERSE PRESENTS", 0, 0);
+    ctx.fillStyle = "#e8e4ff";
+    ctx.fillText("BLACKHOLE INFIVERSE PRESENTS", 0, 0);
+    ctx.shadowBlur = 0;
+    ctx.shadowColor = "transparent";
+    ctx.restore();
+
+    this._centerText(ctx, `Last level: ${levelIndex + 1} / 10 – ${levelName}`, 0, 52, 20);
+    this._centerText(ctx, "Press JUMP or ↑/↓ to choose a level (1–0 jumps straight to one)", 0, 78, 15);
+    this._centerText(ctx, "Press L to open the level editor", 0, 100, 13);
+    this._centerText(ctx, endlessSeed ? `Press N for an endless run (seed ${endlessSeed})` : "Press N for an endless run", 0, 118, 13);
+  }
+
+  // Objectives panel under the hero badge: one row per task, or just a header line when collapsed.
+  _renderObjectives(ctx, { tasks, progress, completedTasks, justCompleted, timeSeconds, open }) {
+    const mono = "ui-monospace, SFMono-Regular, Menlo, Consolas, monospace";
+    const panelW = 270;
+    const rowH = 18;
+    const x = ctx.canvas.width - panelW - 14;
+    const y = 48;
+    const done = tasks.filter((t) => completedTasks.has(t.id)).length;
+    const h = 22 + (open ? tasks.length * rowH + 4 : 0);
+    ctx.save();
+    ctx.fillStyle = "rgba(0,0,0,0.45)";
+    ctx.fillRect(x, y, panelW, h);
+    ctx.textBaseline = "top";
+    ctx.textAlign = "left";
+    ctx.font = `bold 13px ${mono}`;
+    ctx.fillStyle = "#ffe04a";
+    ctx.fillText(`OBJECTIVES ${done}/${tasks.length}`, x + 8, y + 5);
+    ctx.textAlign = "right";
+    ctx.fillStyle = "rgba(255,255,255,0.55)";
+    ctx.font = `bold 11px ${mono}`;
+    ctx.fillText(open ? "O: hide" : "O: show", x + panelW - 8, y + 6);
+
+    if (open) {
+      tasks.forEach((task, i) => {
+        const ry = y + 24 + i * rowH;
+        const complete = completedTasks.has(task.id);
+        // Freshly completed row flashes and pops out to the left
+        const popping = justCompleted && justCompleted.id === task.id;
+        const pop = popping ? justCompleted.timer / TASK_POP_TIME : 0;
+        if (popping) {
+          ctx.fillStyle = `rgba(93,255,176,${0.45 * pop})`;
+          ctx.fillRect(x - 12 * pop, ry - 2, panelW + 12 * pop, rowH);
+        }
+        ctx.font = `bold 10px ${mono}`;
+        ctx.textAlign = "left";
+        ctx.fillStyle = task.mandatory ? "#ff6a6a" : "#8ab4ff";
+        ctx.fillText(task.mandatory ? "REQ" : "OPT", x + 8, ry + 2);
+        ctx.font = `bold 12px ${mono}`;
+        ctx.fillStyle = complete ? "#5dffb0" : "#fff";
+        ctx.fillText(task.description, x + 36, ry, panelW - 110);
+        ctx.textAlign = "right";
+        ctx.fillText(complete ? "✓" : getTaskProgressText(task, progress, timeSeconds), x + panelW - 8, ry);
+      });
+    }
+    ctx.restore();
+
+    // Completion banner: scales in, then fades with the pop timer
+    const task = justCompleted && tasks.find((t) => t.id === justCompleted.id);
+    if (task) {
+      const left = justCompleted.timer / TASK_POP_TIME;
+      const grow = Math.min(1, (1 - left) * 5);
+      ctx.save();
+      ctx.globalAlpha = Math.min(1, left * 3);
+      ctx.translate(ctx.canvas.width / 2, 70);
+      ctx.scale(0.6 + 0.4 * grow, 0.6 + 0.4 * grow);
+      ctx.font = `bold 20px ${mono}`;
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.lineWidth = 4;
+      ctx.strokeStyle = "rgba(0,0,0,0.7)";
+      ctx.fillStyle = "#5dffb0";
+      const label = `TASK COMPLETE: ${task.description}${task.mandatory ? "" : " (+5 RINGS)"}`;
+      ctx.strokeText(label, 0, 0);
+      ctx.fillText(label, 0, 0);
+      ctx.restore();
+    }
+  }
+
+  // End-of-level tally: each bonus counts down into the score shown at the bottom.
+  _renderResults(ctx, { levelName, elapsed, stars, bonuses, timer, done }, score) {
+    const w = ctx.canvas.width;
+    const mono = "ui-monospace, SFMono-Regular, Menlo, Consolas, monospace";
+    ctx.save();
+    ctx.globalAlpha = Math.min(0.6, timer * 2);
+    ctx.fillStyle = "#000";
+    ctx.fillRect(0, 0, w, ctx.canvas.height);
+    ctx.globalAlpha = 1;
+    // Title slides in from the left like the classic "GOT THROUGH" card
+    const slide = Math.min(1, timer / 0.4);
+    ctx.translate((1 - slide) * -w, 0);
+    ctx.font = `bold 34px ${mono}`;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.lineWidth = 5;
+    ctx.strokeStyle = "rgba(0,0,0,0.8)";
+    ctx.fillStyle = "#ffe04a";
+    ctx.strokeText("LEVEL CLEAR", w / 2, 120);
+    ctx.fillText("LEVEL CLEAR", w / 2, 120);
+    ctx.font = `bold 18px ${mono}`;
+    ctx.fillStyle = "#fff";
+    ctx.strokeText(levelName.toUpperCase(), w / 2, 158);
+    ctx.fillText(levelName.toUpperCase(), w / 2, 158);
+    ctx.restore();
+
+    ctx.save();
+    ctx.font = `bold 20px ${mono}`;
+    ctx.textBaseline = "middle";
+    ctx.lineWidth = 4;
+    ctx.strokeStyle = "rgba(0,0,0,0.8)";
+    const rows = [{ label: "TIME", value: formatTime(elapsed) }, ...bonuses.map((b) => ({ label: b.label, value: String(b.left) }))];
+    rows.forEach((row, i) => {
+      const y = 210 + i * 32;
+      ctx.textAlign = "left";
+      ctx.fillStyle = "#ffe04a";
+      ctx.strokeText(row.label, w / 2 - 200, y);
+      ctx.fillText(row.label, w / 2 - 200, y);
+      ctx.textAlign = "right";
+      ctx.fillStyle = "#fff";
+      ctx.strokeText(row.value, w / 2 + 200, y);
+      ctx.fillText(row.value, w / 2 + 200, y);
+    });
+    const y = 222 + rows.length * 32;
+    ctx.textAlign = "left";
+    ctx.fillStyle = "#ffe04a";
+    ctx.strokeText("SCORE", w / 2 - 200, y);
+    ctx.fillText("SCORE", w / 2 - 200, y);
+    ctx.textAlign = "right";
+    ctx.fillStyle = "#fff";
+    ctx.strokeText(pad6(score), w / 2 + 200, y);
+    ctx.fillText(pad6(score), w / 2 + 200, y);
+    ctx.font = `bold 30px ${mono}`;
+    ctx.textAlign = "center";
+    ctx.fillStyle = "#ffe04a";
+    ctx.fillText("★".repeat(stars).padEnd(3, "☆"), w / 2, y + 44);
+    ctx.restore();
+    if (done && Math.floor(timer * 2) % 2 === 0) this._centerText(ctx, "Press JUMP to continue", 0, ctx.canvas.height / 2 - 40, 16);
+  }
+
+  // Transport strip along the bottom edge while a replay plays.
+  _renderReplayBar(ctx, { step, steps, paused, speed, ended }, gameOver) {
+    const w = ctx.canvas.width;
+    const h = ctx.canvas.height;
+    const mono = "ui-monospace, SFMono-Regular, Menlo, Consolas, monospace";
+    const bx = w / 2 - 260;
+    const by = h - 74;
+    ctx.save();
+    ctx.fillStyle = "rgba(0,0,0,0.6)";
+    ctx.fillRect(bx, by, 520, 60);
+    ctx.fillStyle = "rgba(255,255,255,0.2)";
+    ctx.fillRect(bx + 12, by + 32, 496, 6);
+    ctx.fillStyle = "#ffe04a";
+    ctx.fillRect(bx + 12, by + 32, steps > 0 ? (496 * step) / steps : 0, 6);
+    ctx.font = `bold 16px ${mono}`;
+    ctx.textBaseline = "top";
+    ctx.textAlign = "left";
+    let status = `▶ REPLAY ${speed}×`;
+    if (paused) status = "❚❚ REPLAY PAUSED";
+    if (ended) status = gameOver ? "■ REPLAY END - GAME OVER" : "■ REPLAY END";
+    ctx.fillText(status, bx + 12, by + 8);
+    ctx.textAlign = "right";
+    ctx.fillStyle = "#fff";
+    ctx.fillText(`FRAME ${step}  ${formatTime(step * GAME.fixedDt)} / ${formatTime(steps * GAME.fixedDt)}`, bx + 508, by + 8);
+    ctx.font = `12px ${mono}`;
+    ctx.textAlign = "center";
+    ctx.fillText("P pause · ↑/↓ speed · → step frame (paused) · Esc exit", w / 2, by + 43);
+    ctx.restore();
+  }
+
+  // view: { cursor, entries: [{ def, unlocked, record, tasks: [{ description, mandatory, done }] }] }
+  _renderLevelSelect(ctx, { cursor, entries }, renderTime) {
+    const w = ctx.canvas.width;
+    const h = ctx.canvas.height;
+    const t = renderTime;
+    ctx.fillStyle = "rgba(4,2,18,0.97)";
+    ctx.fillRect(0, 0, w, h);
+    this._centerText(ctx, "SELECT ZONE", 0, 40 - h / 2, 30);
+
+    const mono = "ui-monospace, SFMono-Regular, Menlo, Consolas, monospace";
+    ctx.textAlign = "left";
+    ctx.textBaseline = "top";
+    entries.forEach((entry, i) => {
+      const { def, unlocked, record, tasks } = entry;
+      const r = levelSelectCardRect(i, w);
+      const previewH = 82;
+      // Zone preview in its theme colors: sky, hill and a strip of ground
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(r.x, r.y, r.w, r.h);
+      ctx.clip();
+      ctx.fillStyle = def.sky;
+      ctx.fillRect(r.x, r.y, r.w, previewH);
+      ctx.fillStyle = def.hill;
+      ctx.beginPath();
+      ctx.ellipse(r.x + r.w * 0.35, r.y + previewH - 14, r.w * 0.45, 34, 0, Math.PI, 0);
+      ctx.fill();
+      ctx.fillStyle = def.dirt;
+      ctx.fillRect(r.x, r.y + previewH - 16, r.w, 16);
+      ctx.fillStyle = def.groundTop;
+      ctx.fillRect(r.x, r.y + previewH - 16, r.w, 4);
+      ctx.fillStyle = "rgba(10,12,28,0.95)";
+      ctx.fillRect(r.x, r.y + previewH, r.w, r.h - previewH);
+
+      ctx.font = `bold 11px ${mono}`;
+      ctx.fillStyle = "#fff";
+      ctx.fillText(`${i + 1}. ${def.name.toUpperCase()}`, r.x + 6, r.y + previewH + 6, r.w - 12);
+      ctx.font = `bold 12px ${mono}`;
+      ctx.fillStyle = "#ffe04a";
+      ctx.fillText(`TIME  ${record && record.bestTime != null ? formatTime(record.bestTime) : "-:--"}`, r.x + 6, r.y + previewH + 24);
+      ctx.fillText(`SCORE ${record ? pad6(record.bestScore) : "------"}`, r.x + 6, r.y + previewH + 40);
+      ctx.textAlign = "right";
+      ctx.fillText("★".repeat(record ? record.stars : 0).padEnd(3, "☆"), r.x + r.w - 6, r.y + r.h - 16);
+      ctx.textAlign = "left";
+      // One pip per task: filled once completed, mandatory ones ringed in red
+      tasks.forEach((task, k) => {
+        const px = r.x + 8 + k * 14;
+        const py = r.y + r.h - 14;
+        ctx.fillStyle = task.done ? "#5dffb0" : "rgba(255,255,255,0.15)";
+        ctx.fillRect(px, py, 9, 9);
+        ctx.strokeStyle = task.mandatory ? "#ff6a6a" : "rgba(255,255,255,0.5)";
+        ctx.lineWidth = 1;
+        ctx.strokeRect(px + 0.5, py + 0.5, 8, 8);
+      });
+
+      if (!unlocked) {
+        ctx.fillStyle = "rgba(0,0,0,0.7)";
+        ctx.fillRect(r.x, r.y, r.w, r.h);
+        // Padlock
+        const lx = r.x + r.w / 2;
+        const ly = r.y + 58;
+        ctx.strokeStyle = "#b0bec5";
+        ctx.lineWidth = 4;
+        ctx.beginPath();
+        ctx.arc(lx, ly - 8, 10, Math.PI, 0);
+        ctx.stroke();
+        ctx.fillStyle = "#b0bec5";
+        ctx.fillRect(lx - 15, ly - 8, 30, 24);
+        ctx.fillStyle = "#0d1b3a";
+        ctx.fillRect(lx - 2, ly, 4, 8);
+        ctx.font = `bold 12px ${mono}`;
+        ctx.textAlign = "center";
+        ctx.fillStyle = "#b0bec5";
+        ctx.fillText("LOCKED", lx, ly + 26);
+        ctx.textAlign = "left";
+      }
+      ctx.restore();
+
+      const selected = i === cursor;
+      ctx.lineWidth = selected ? 3 : 1;
+      ctx.strokeStyle = selected ? `rgba(255,224,74,${0.7 + Math.sin(t * 6) * 0.3})` : "rgba(255,255,255,0.25)";
+      ctx.strokeRect(r.x - 1, r.y - 1, r.w + 2, r.h + 2);
+    });
+
+    // Details of the highlighted zone: every task with its completion mark
+    const sel = entries[cursor];
+    if (sel) {
+      const x = levelSelectCardRect(0, w).x;
+      const y = LEVEL_SELECT.detailTop;
+      ctx.font = `bold 15px ${mono}`;
+      ctx.fillStyle = sel.unlocked ? "#fff" : "#8a8fa8";
+      ctx.fillText(sel.unlocked ? sel.def.name : `${sel.def.name} - clear the zone before it to unlock`, x, y);
+      ctx.font = `bold 12px ${mono}`;
+      sel.tasks.forEach((task, k) => {
+        const tx = x + (k % 2) * 460;
+        const ty = y + 24 + Math.floor(k / 2) * 18;
+        ctx.fillStyle = task.done ? "#5dffb0" : "#c8cbe0";
+        ctx.fillText(`${task.done ? "[x]" : "[ ]"} ${task.description}${task.mandatory ? " *" : ""}`, tx, ty);
+      });
+    }
+    this._centerText(ctx, "←/→/↑/↓ choose · JUMP / Enter start · Esc back · * mandatory task", 0, h / 2 - 16, 13);
+  }
+
   _centerText(ctx, text, dx, dy, size) {
     ctx.save();
     ctx.font = `bold ${size}px ui-monospace, SFMono-Regular, Menlo, Consolas, monospace`;
@@ -69,4 +622,3 @@ export class Hud {
     ctx.restore();
   }
 }
-
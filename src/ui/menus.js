@@ -0,0 +1,461 @@
+// DOM wiring: canvas sizing, pause and settings menus, editor panel, level select taps, touch controls.
+
+import { getMusicMuted, getSfxMuted, playSound, setMusicMuted, setSfxMuted } from "../core/audio.js";
+import { GAME_HEIGHT, GAME_WIDTH } from "../core/constants.js";
+import { GameState } from "../core/engine.js";
+import { isTextEntryTarget } from "../core/input.js";
+import { parseReplay } from "../core/replay.js";
+import { SAVE_SLOTS } from "../core/save.js";
+import { LEVEL_DEFS } from "../levels/environments.js";
+import { formatLevelIssue } from "../levels/validate.js";
+import { levelSelectCardAt, pad6 } from "./hud.js";
+
+export function resizeCanvas(canvas) {
+  const w = typeof window !== "undefined" ? window.innerWidth : GAME_WIDTH;
+  const h = typeof window !== "undefined" ? window.innerHeight : GAME_HEIGHT;
+  const padding = 16;
+  const helpHeight = 60;
+  const scale = Math.min((w - padding) / GAME_WIDTH, (h - helpHeight - padding) / GAME_HEIGHT, 2);
+  const displayW = Math.floor(GAME_WIDTH * scale);
+  const displayH = Math.floor(GAME_HEIGHT * scale);
+  canvas.style.width = displayW + "px";
+  canvas.style.height = displayH + "px";
+}
+
+export function setupPauseMenu(engine) {
+  const resumeBtn = document.getElementById("pause-resume");
+  const replayBtn = document.getElementById("pause-replay");
+  const settingsBtn = document.getElementById("pause-settings");
+  const exitBtn = document.getElementById("pause-exit");
+  if (resumeBtn) resumeBtn.addEventListener("click", () => engine.resume());
+  if (replayBtn) replayBtn.addEventListener("click", () => engine.replayLevel());
+  if (settingsBtn) settingsBtn.addEventListener("click", () => engine.openSettings(true));
+  if (exitBtn) exitBtn.addEventListener("click", () => engine.exitToMenu());
+  if (resumeBtn) resumeBtn.addEventListener("touchend", (e) => { e.preventDefault(); engine.resume(); }, { passive: false });
+  if (replayBtn) replayBtn.addEventListener("touchend", (e) => { e.preventDefault(); engine.replayLevel(); }, { passive: false });
+  if (settingsBtn) settingsBtn.addEventListener("touchend", (e) => { e.preventDefault(); engine.openSettings(true); }, { passive: false });
+  if (exitBtn) exitBtn.addEventListener("touchend", (e) => { e.preventDefault(); engine.exitToMenu(); }, { passive: false });
+}
+
+export function setupSettingsMenu(engine) {
+  const menuEl = document.getElementById("settings-menu");
+  const closeBtn = document.getElementById("settings-close");
+  const musicBtn = document.getElementById("settings-music");
+  const sfxBtn = document.getElementById("settings-sfx");
+  const movementBtn = document.getElementById("settings-movement");
+  const resumeBtn = document.getElementById("settings-resume");
+  const replayBtn = document.getElementById("settings-replay");
+  const exitBtn = document.getElementById("settings-exit");
+  const entryBtn = document.getElementById("settings-entry-btn");
+  const slotBtn = document.getElementById("settings-slot");
+  const slotInfo = document.getElementById("settings-slot-info");
+  const replaySaveBtn = document.getElementById("settings-replay-save");
+  const replayLoadBtn = document.getElementById("settings-replay-load");
+  const replayFile = document.getElementById("settings-replay-file");
+  const replayInfo = document.getElementById("settings-replay-info");
+
+  function updateSlotLabel() {
+    if (!engine.save) return;
+    if (slotBtn) slotBtn.textContent = `${engine.save.slot + 1} / ${SAVE_SLOTS}`;
+    if (slotInfo) {
+      const data = engine.save.data;
+      const cleared = Object.keys(data.levels).length;
+      const best = Object.values(data.levels).reduce((sum, rec) => sum + rec.bestScore, 0);
+      if (engine.save.readOnly) slotInfo.textContent = "Saved by a newer version of the game - nothing is saved to this slot.";
+      else if (cleared) slotInfo.textContent = `Reached level ${data.highestLevel + 1} - ${cleared} cleared - best scores total ${pad6(best)}`;
+      else slotInfo.textContent = "Empty slot - progress is saved whenever you clear a level.";
+    }
+  }
+
+  function nextSlot() {
+    if (!engine.save) return;
+    engine.selectSaveSlot((engine.save.slot + 1) % SAVE_SLOTS);
+    updateSlotLabel();
+    updateAudioLabels();
+    updateMovementLabel();
+  }
+
+  function updateAudioLabels() {
+    if (musicBtn) {
+      musicBtn.textContent = getMusicMuted() ? "OFF" : "ON";
+      musicBtn.setAttribute("aria-pressed", getMusicMuted() ? "true" : "false");
+    }
+    if (sfxBtn) {
+      sfxBtn.textContent = getSfxMuted() ? "OFF" : "ON";
+      sfxBtn.setAttribute("aria-pressed", getSfxMuted() ? "true" : "false");
+    }
+  }
+
+  function updateMovementLabel() {
+    if (movementBtn) movementBtn.textContent = engine.getMovementModel().toUpperCase();
+  }
+
+  function toggleMovement() {
+    engine.setMovementModel(engine.getMovementModel() === "classic" ? "instant" : "classic");
+    updateMovementLabel();
+  }
+
+  function setReplayInfo(text) {
+    if (replayInfo) replayInfo.textContent = text;
+  }
+
+  function saveReplay() {
+    const json = engine.exportReplay();
+    if (!json) {
+      setReplayInfo("Nothing recorded yet - play a level first.");
+      return;
+    }
+    const { source } = engine.recorder.start;
+    const name = source.endless != null ? `endless-${source.endless}-${source.stage + 1}` : `level-${source.level + 1}`;
+    const blob = new Blob([json], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `replay-${name.toLowerCase().replace(/[^a-z0-9]+/g, "-")}.json`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    setReplayInfo(`Saved ${a.download}`);
+  }
+
+  function openSettings(fromPause) {
+    engine.openSettings(fromPause);
+    updateAudioLabels();
+    updateMovementLabel();
+    updateSlotLabel();
+  }
+
+  function closeSettings() {
+    engine.closeSettings();
+  }
+
+  if (closeBtn) {
+    closeBtn.addEventListener("click", closeSettings);
+    closeBtn.addEventListener("touchend", (e) => { e.preventDefault(); closeSettings(); }, { passive: false });
+  }
+  if (musicBtn) {
+    musicBtn.addEventListener("click", () => {
+      setMusicMuted(!getMusicMuted());
+      engine.saveSettings();
+      updateAudioLabels();
+    });
+    musicBtn.addEventListener("touchend", (e) => {
+      e.preventDefault();
+      setMusicMuted(!getMusicMuted());
+      engine.saveSettings();
+      updateAudioLabels();
+    }, { passive: false });
+  }
+  if (sfxBtn) {
+    sfxBtn.addEventListener("click", () => {
+      setSfxMuted(!getSfxMuted());
+      engine.saveSettings();
+      updateAudioLabels();
+    });
+    sfxBtn.addEventListener("touchend", (e) => {
+      e.preventDefault();
+      setSfxMuted(!getSfxMuted());
+      engine.saveSettings();
+      updateAudioLabels();
+    }, { passive: false });
+  }
+  if (movementBtn) {
+    movementBtn.addEventListener("click", toggleMovement);
+    movementBtn.addEventListener("touchend", (e) => { e.preventDefault(); toggleMovement(); }, { passive: false });
+  }
+  if (slotBtn) {
+    slotBtn.addEventListener("click", nextSlot);
+    slotBtn.addEventListener("touchend", (e) => { e.preventDefault(); nextSlot(); }, { passive: false });
+  }
+  if (replaySaveBtn) {
+    replaySaveBtn.addEventListener("click", saveReplay);
+    replaySaveBtn.addEventListener("touchend", (e) => { e.preventDefault(); saveReplay(); }, { passive: false });
+  }
+  if (replayLoadBtn && replayFile) {
+    replayLoadBtn.addEventListener("click", () => replayFile.click());
+    replayFile.addEventListener("change", () => {
+      const file = replayFile.files && replayFile.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = () => {
+        try {
+          engine.playReplay(parseReplay(String(reader.result)));
+          setReplayInfo(`Playing ${file.name}`);
+          closeSettings();
+        } catch (err) {
+          setReplayInfo(`Could not read ${file.name}: ${err.message}`);
+        }
+        replayFile.value = "";
+      };
+      reader.readAsText(file);
+    });
+  }
+  if (resumeBtn) {
+    resumeBtn.addEventListener("click", () => { closeSettings(); engine.resume(); });
+    resumeBtn.addEventListener("touchend", (e) => { e.preventDefault(); closeSettings(); engine.resume(); }, { passive: false });
+  }
+  if (replayBtn) {
+    replayBtn.addEventListener("click", () => { closeSettings(); engine.replayLevel(); });
+    replayBtn.addEventListener("touchend", (e) => { e.preventDefault(); closeSettings(); engine.replayLevel(); }, { passive: false });
+  }
+  if (exitBtn) {
+    exitBtn.addEventListener("click", () => { closeSettings(); engine.exitToMenu(); });
+    exitBtn.addEventListener("touchend", (e) => { e.preventDefault(); closeSettings(); engine.exitToMenu(); }, { passive: false });
+  }
+  if (entryBtn) {
+    entryBtn.addEventListener("click", () => openSettings(engine.state === GameState.paused));
+    entryBtn.addEventListener("touchend", (e) => {
+      e.preventDefault();
+      openSettings(engine.state === GameState.paused);
+    }, { passive: false });
+  }
+  updateAudioLabels();
+  updateMovementLabel();
+  updateSlotLabel();
+}
+
+export function setupLevelEditor(engine, canvas) {
+  const editor = engine.editor;
+  const panelEl = document.getElementById("editor-panel");
+  if (!editor || !panelEl) return;
+  editor.panelEl = panelEl;
+  const toolBtns = panelEl.querySelectorAll(".editor-tool");
+  const propsTitle = document.getElementById("editor-props-title");
+  const propsEl = document.getElementById("editor-props");
+  const deleteBtn = document.getElementById("editor-delete");
+  const issuesEl = document.getElementById("editor-issues");
+  const statusEl = document.getElementById("editor-status");
+  const playBtn = document.getElementById("editor-play");
+  const saveBtn = document.getElementById("editor-save");
+  const loadBtn = document.getElementById("editor-load");
+  const fileInput = document.getElementById("editor-file");
+  const exitBtn = document.getElementById("editor-exit");
+  const active = () => engine.state === GameState.editor;
+
+  function setStatus(text) {
+    if (statusEl) statusEl.textContent = text;
+  }
+
+  function renderProps() {
+    if (propsTitle) propsTitle.textContent = editor.getSelectionLabel();
+    if (deleteBtn) deleteBtn.disabled = !editor.selection || editor.selection.key === "spawn" || editor.selection.key === "goal";
+    if (!propsEl) return;
+    propsEl.textContent = "";
+    for (const field of editor.getPropertyFields()) {
+      const row = document.createElement("label");
+      row.className = "editor-prop";
+      const name = document.createElement("span");
+      name.textContent = field.label || field.path;
+      let control;
+      if (field.kind === "select") {
+        control = document.createElement("select");
+        for (const opt of field.options) {
+          const o = document.createElement("option");
+          o.value = String(opt.value);
+          o.textContent = opt.label;
+          control.appendChild(o);
+        }
+      } else {
+        control = document.createElement("input");
+        control.type = field.kind === "number" ? "number" : "text";
+        if (field.kind === "number") control.step = "any";
+      }
+      const value = editor.getValue(field.path);
+      control.value = value == null ? "" : String(value);
+      control.addEventListener("change", () => editor.setValue(field.path, control.value, field.kind));
+      row.appendChild(name);
+      row.appendChild(control);
+      propsEl.appendChild(row);
+    }
+  }
+
+  function renderIssues() {
+    if (!issuesEl) return;
+    issuesEl.textContent = "";
+    if (editor.issues.length === 0) {
+      const li = document.createElement("li");
+      li.className = "editor-issue ok";
+      li.textContent = "No problems found";
+      issuesEl.appendChild(li);
+      return;
+    }
+    for (const issue of editor.issues) {
+      const li = document.createElement("li");
+      li.className = `editor-issue ${issue.severity}`;
+      li.textContent = formatLevelIssue(issue);
+      li.addEventListener("click", () => editor.focusIssue(issue));
+      issuesEl.appendChild(li);
+    }
+  }
+
+  let lastDrag = false;
+  editor.onChange = () => {
+    toolBtns.forEach((btn) => btn.classList.toggle("active", btn.getAttribute("data-tool") === editor.tool));
+    // Rebuilding the form on every drag step would steal focus; refresh when the drag ends.
+    const dragging = editor.isDragging();
+    if (!dragging || !lastDrag) renderProps();
+    lastDrag = dragging;
+    renderIssues();
+  };
+
+  function playTestFrom(x, y) {
+    try {
+      engine.startPlayTest({ x, y: editor.surfaceBelow(x, y) });
+      setStatus("Play-testing – press L to return");
+    } catch (err) {
+      setStatus(err.message);
+    }
+  }
+
+  function toWorld(e) {
+    const rect = canvas.getBoundingClientRect();
+    const sx = ((e.clientX - rect.left) * canvas.width) / rect.width;
+    const sy = ((e.clientY - rect.top) * canvas.height) / rect.height;
+    return editor.screenToWorld(sx, sy);
+  }
+
+  toolBtns.forEach((btn) => {
+    btn.addEventListener("click", () => editor.setTool(btn.getAttribute("data-tool")));
+  });
+  if (deleteBtn) deleteBtn.addEventListener("click", () => editor.deleteSelection());
+  if (playBtn) {
+    playBtn.addEventListener("click", () => {
+      const cam = engine.camera;
+      playTestFrom(cam.x + canvas.width / 2, cam.y + canvas.height / 2);
+    });
+  }
+  if (saveBtn) {
+    saveBtn.addEventListener("click", () => {
+      const blob = new Blob([editor.toJson()], { type: "application/json" });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      const slug = String(editor.data.name || "level").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+      a.href = url;
+      a.download = `${slug || "level"}.json`;
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+      setStatus(`Saved ${a.download}`);
+    });
+  }
+  if (loadBtn && fileInput) {
+    loadBtn.addEventListener("click", () => fileInput.click());
+    fileInput.addEventListener("change", () => {
+      const file = fileInput.files && fileInput.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = () => {
+        try {
+          editor.open(JSON.parse(String(reader.result)));
+          setStatus(`Loaded ${file.name}`);
+        } catch (err) {
+          setStatus(`Could not read ${file.name}: ${err.message}`);
+        }
+        fileInput.value = "";
+      };
+      reader.readAsText(file);
+    });
+  }
+  if (exitBtn) exitBtn.addEventListener("click", () => engine.closeEditor());
+
+  canvas.addEventListener("pointerdown", (e) => {
+    if (!active()) return;
+    e.preventDefault();
+    canvas.setPointerCapture(e.pointerId);
+    const p = toWorld(e);
+    editor.pointerDown(p.x, p.y, e.button);
+  });
+  canvas.addEventListener("pointermove", (e) => {
+    if (!active()) return;
+    const p = toWorld(e);
+    editor.pointerMove(p.x, p.y);
+  });
+  canvas.addEventListener("pointerup", (e) => {
+    if (!active()) return;
+    editor.pointerUp();
+  });
+  canvas.addEventListener("contextmenu", (e) => {
+    if (active()) e.preventDefault();
+  });
+  window.addEventListener("keydown", (e) => {
+    if (!active() || isTextEntryTarget(e.target)) return;
+    if (e.code === "Delete" || e.code === "Backspace") {
+      e.preventDefault();
+      editor.deleteSelection();
+    } else if (e.code === "Escape") {
+      editor.selection = null;
+      editor.onChange();
+    } else if (e.code === "KeyT") {
+      playTestFrom(editor.cursor.x, editor.cursor.y);
+    }
+  });
+}
+
+// Tap a zone card to highlight it, tap it again to start.
+export function setupLevelSelect(engine, canvas) {
+  canvas.addEventListener("pointerdown", (e) => {
+    if (engine.state !== GameState.levelSelect) return;
+    const rect = canvas.getBoundingClientRect();
+    const x = ((e.clientX - rect.left) * canvas.width) / rect.width;
+    const y = ((e.clientY - rect.top) * canvas.height) / rect.height;
+    const index = levelSelectCardAt(x, y, canvas.width, LEVEL_DEFS.length);
+    if (index < 0) return;
+    e.preventDefault();
+    if (index === engine.levelSelectCursor) engine.pickLevel(index);
+    else {
+      engine.levelSelectCursor = index;
+      playSound("menuMove");
+    }
+  });
+}
+
+export function setupMusicToggle(engine) {
+  const btn = document.getElementById("touch-music-toggle");
+  if (!btn) return;
+  const iconOn = btn.querySelector(".icon-music-on");
+  const iconOff = btn.querySelector(".icon-music-off");
+  function updateIcon() {
+    const muted = getMusicMuted();
+    if (iconOn) iconOn.hidden = muted;
+    if (iconOff) iconOff.hidden = !muted;
+    btn.setAttribute("aria-label", muted ? "Turn music on" : "Turn music off");
+    btn.setAttribute("title", muted ? "Music off – tap to turn on" : "Music on – tap to turn off");
+  }
+  btn.addEventListener("click", () => {
+    setMusicMuted(!getMusicMuted());
+    engine.saveSettings();
+    updateIcon();
+  });
+  btn.addEventListener("touchend", (e) => {
+    e.preventDefault();
+    setMusicMuted(!getMusicMuted());
+    engine.saveSettings();
+    updateIcon();
+  }, { passive: false });
+  updateIcon();
+}
+
+export function setupTouchControls(input) {
+  const overlay = document.getElementById("touch-controls");
+  if (!overlay || !input) return;
+  const actionToCode = { left: "TouchLeft", right: "TouchRight", jump: "TouchJump", shoot: "TouchShoot", shield: "TouchShield", pause: "TouchPause" };
+  const handleStart = (e, action) => {
+    e.preventDefault();
+    const code = actionToCode[action];
+    if (code) input.setVirtualKey(code, true);
+  };
+  const handleEnd = (e, action) => {
+    e.preventDefault();
+    const code = actionToCode[action];
+    if (code) input.setVirtualKey(code, false);
+  };
+  overlay.querySelectorAll(".touch-btn").forEach((btn) => {
+    const action = btn.getAttribute("data-action");
+    if (!action) return;
+    btn.addEventListener("pointerdown", (e) => handleStart(e, action), { passive: false });
+    btn.addEventListener("pointerup", (e) => handleEnd(e, action), { passive: false });
+    btn.addEventListener("pointerleave", (e) => handleEnd(e, action), { passive: false });
+    btn.addEventListener("pointercancel", (e) => handleEnd(e, action), { passive: false });
+    btn.addEventListener("touchstart", (e) => { e.preventDefault(); handleStart(e, action); }, { passive: false });
+    btn.addEventListener("touchend", (e) => { e.preventDefault(); handleEnd(e, action); }, { passive: false });
+    btn.addEventListener("touchcancel", (e) => handleEnd(e, action), { passive: false });
+  });
+}
@@ -0,0 +1,54 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { EventBus, GAME_EVENTS } from "../src/core/events.js";
+import { HeadlessGame } from "../src/core/headless.js";
+import { Player } from "../src/game/player.js";
+import { TEST_LEVEL_DATA, createTestLevel } from "../src/levels/testLevel.js";
+
+test("the bus rejects unknown events and incomplete payloads", () => {
+  const bus = new EventBus();
+  assert.throws(() => bus.emit("nope"), /Unknown game event "nope"/);
+  assert.throws(() => bus.on("nope", () => {}), /Unknown game event/);
+  assert.throws(() => bus.emit("coinCollected", { x: 1, y: 2 }), /missing "points"/);
+  assert.throws(() => bus.emit("coinCollected"), /missing "x"/);
+});
+
+test("handlers run until they are removed", () => {
+  const bus = new EventBus();
+  const seen = [];
+  const off = bus.on("magnetExpired", (payload) => seen.push(payload));
+  bus.emit("magnetExpired");
+  off();
+  bus.emit("magnetExpired");
+  assert.deepEqual(seen, [{}]);
+});
+
+test("gameplay announces coins and level swaps stay hooked up", () => {
+  const game = new HeadlessGame({ level: 0, seed: "events" });
+  const counts = {};
+  for (const type of Object.keys(GAME_EVENTS)) game.engine.events.on(type, () => (counts[type] = (counts[type] || 0) + 1));
+  game.hold("right").step(300);
+  assert.ok(counts.coinCollected > 0, JSON.stringify(counts));
+  assert.equal(counts.coinCollected, game.snapshot().progress.coinsCollected);
+
+  game.engine.pickLevel(1);
+  assert.equal(game.level.events, game.engine.events);
+});
+
+test("scoring does not depend on a bus being attached", () => {
+  const pickCoin = (events) => {
+    const level = createTestLevel();
+    level.events = events;
+    const coin = TEST_LEVEL_DATA.coins[0];
+    const player = new Player({ x: coin.x, y: coin.y + 14 }); // hitbox centred on the coin
+    level.update(1 / 60, player, 0);
+    return { rings: player.rings, score: player.score };
+  };
+  const bus = new EventBus();
+  const collected = [];
+  bus.on("coinCollected", (e) => collected.push(e.points));
+  const withoutBus = pickCoin(null);
+  assert.deepEqual(withoutBus, { rings: 1, score: 10 });
+  assert.deepEqual(pickCoin(bus), withoutBus);
+  assert.deepEqual(collected, [10]);
+});
@@ -0,0 +1,61 @@
+// Headless smoke checks: `npm test` (node --test) from the repo root.
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { HeadlessGame } from "../src/core/headless.js";
+
+test("a built-in level runs and the hero moves", () => {
+  const game = new HeadlessGame({ level: 0, seed: "smoke" });
+  game.hold("right").step(240).tap("jump").step(60);
+  const s = game.snapshot();
+  assert.equal(s.state, "playing");
+  assert.equal(s.frame, 300);
+  assert.ok(s.x > game.level.spawn.x + 100, `hero only got to x=${s.x}`);
+});
+
+test("a recorded attempt plays back to the same state", () => {
+  const run = new HeadlessGame({ level: 1, seed: "replay" });
+  run.hold("right").step(100).tap("jump").step(120).release("right").hold("left").step(60);
+  const text = run.engine.exportReplay();
+  assert.ok(text, "nothing was recorded");
+
+  const playback = new HeadlessGame().playReplay(text);
+  const a = run.snapshot();
+  const b = playback.snapshot();
+  for (const key of ["time", "x", "y", "rings", "score", "lives"]) assert.equal(b[key], a[key], key);
+  assert.deepEqual(b.progress, a.progress);
+});
+
+test("the test level fixture can be crossed to the goal", () => {
+  const game = new HeadlessGame({ level: "test", seed: "fixture" });
+  game.hold("right").stepUntil((g) => g.player.x >= 680 && g.player.grounded, 600);
+  game.hold("jump").step(20).release("jump"); // over the last platform, too low to run under
+  assert.ok(game.stepUntil((g) => g.player.x >= game.level.goalX, 600));
+  const s = game.snapshot();
+  assert.equal(s.lives, 5);
+  assert.equal(s.goalOpen, false); // the coins task still locks it
+});
+
+test("touching the locked goal early does not stop the level clock", () => {
+  const game = new HeadlessGame({ level: "test", seed: "goal" });
+  game.hold("right").stepUntil((g) => g.player.x >= 680 && g.player.grounded, 600);
+  game.hold("jump").step(20).release("jump");
+  assert.ok(game.stepUntil((g) => g.player.x >= game.level.goalX, 600));
+  game.step(30);
+  assert.equal(game.snapshot().state, "playing");
+  assert.equal(game.snapshot().progress.goalReachedTime, undefined);
+
+  // Back off, wait, then open the goal (standing in for collecting every coin) and clear it.
+  game.release("right").hold("left").step(60).release("left").step(60 * 60);
+  game.level.getProgress().coinsCollected = game.level.getTasks()[0].target;
+  game.step();
+  assert.equal(game.snapshot().goalOpen, true);
+  game.hold("right").stepUntil((g) => g.engine.state === "results", 600);
+
+  const { results } = game.engine;
+  const clearTime = game.snapshot().time;
+  assert.ok(results.elapsed > 60, `elapsed ${results.elapsed}s`);
+  assert.ok(Math.abs(results.elapsed - clearTime) < 0.1);
+  assert.ok(game.snapshot().progress.goalReachedTime > 60);
+  assert.notEqual(results.bonuses[0].value, 50000);
+});